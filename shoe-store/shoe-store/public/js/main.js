@@ -27,13 +27,13 @@ const Cart = {
         }
     },
 
-    // Update cart item quantity
-    async update(productId, size, quantity) {
+    // Update cart item quantity (sku identifies the line for variant products)
+    async update(productId, size, quantity, color, sku) {
         try {
             const response = await fetch('/api/cart/update', {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ productId, size, quantity })
+                body: JSON.stringify({ productId, size, color, sku, quantity })
             });
             const data = await response.json();
             
@@ -52,12 +52,12 @@ const Cart = {
     },
 
     // Remove item from cart
-    async remove(productId, size) {
+    async remove(productId, size, color, sku) {
         try {
             const response = await fetch('/api/cart/remove', {
                 method: 'DELETE',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ productId, size })
+                body: JSON.stringify({ productId, size, color, sku })
             });
             const data = await response.json();
             
@@ -87,6 +87,46 @@ const Cart = {
         }
     },
 
+    // Apply a discount code
+    async applyDiscount(code) {
+        try {
+            const response = await fetch('/api/cart/discount', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ code })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                this.updateUI(data.data);
+                this.showNotification('Discount applied!', 'success');
+            } else {
+                if (data.data) this.updateUI(data.data);
+                this.showNotification(data.message, 'error');
+            }
+            return data;
+        } catch (error) {
+            console.error('Apply discount error:', error);
+            this.showNotification('Failed to apply discount', 'error');
+        }
+    },
+
+    // Remove the discount code
+    async removeDiscount() {
+        try {
+            const response = await fetch('/api/cart/discount', { method: 'DELETE' });
+            const data = await response.json();
+
+            if (data.success) {
+                this.updateUI(data.data);
+                this.showNotification('Discount removed', 'info');
+            }
+            return data;
+        } catch (error) {
+            console.error('Remove discount error:', error);
+        }
+    },
+
     // Update cart UI
     updateUI(cart) {
         // Update cart count in header
@@ -122,8 +162,11 @@ const Cart = {
             return;
         }
 
-        container.innerHTML = cart.items.map(item => `
-            <div class="cart-item" data-product-id="${item.productId}" data-size="${item.size}">
+        container.innerHTML = cart.items.map(item => {
+            const lineArgs = `'${item.productId}', ${item.size}`;
+            const lineKey = `'${item.color}', ${item.sku ? `'${item.sku}'` : 'null'}`;
+            return `
+            <div class="cart-item" data-product-id="${item.productId}" data-size="${item.size}" data-sku="${item.sku || ''}">
                 <div class="cart-item-image">
                     <img src="${item.image}" alt="${item.name}">
                 </div>
@@ -134,27 +177,42 @@ const Cart = {
                 </div>
                 <div class="cart-item-actions">
                     <div class="cart-item-quantity">
-                        <button class="quantity-btn" onclick="Cart.update('${item.productId}', ${item.size}, ${item.quantity - 1})">-</button>
+                        <button class="quantity-btn" onclick="Cart.update(${lineArgs}, ${item.quantity - 1}, ${lineKey})">-</button>
                         <span>${item.quantity}</span>
-                        <button class="quantity-btn" onclick="Cart.update('${item.productId}', ${item.size}, ${item.quantity + 1})">+</button>
+                        <button class="quantity-btn" onclick="Cart.update(${lineArgs}, ${item.quantity + 1}, ${lineKey})">+</button>
                     </div>
                     <p class="cart-item-total">$${(item.price * item.quantity).toFixed(2)}</p>
-                    <button class="btn btn-sm btn-danger" onclick="Cart.remove('${item.productId}', ${item.size})">Remove</button>
+                    <button class="btn btn-sm btn-danger" onclick="Cart.remove(${lineArgs}, ${lineKey})">Remove</button>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
     },
 
     // Render cart summary
     renderCartSummary(cart) {
         const subtotalEl = document.getElementById('cart-subtotal');
         const shippingEl = document.getElementById('cart-shipping');
+        const discountEl = document.getElementById('cart-discount');
         const taxEl = document.getElementById('cart-tax');
         const totalEl = document.getElementById('cart-total');
 
         if (subtotalEl) subtotalEl.textContent = `$${cart.subtotal.toFixed(2)}`;
+        if (discountEl) {
+            discountEl.textContent = cart.discount
+                ? `${cart.discount.code}: -$${cart.discount.amount.toFixed(2)}`
+                : '';
+        }
         if (shippingEl) shippingEl.textContent = cart.shipping === 0 ? 'FREE' : `$${cart.shipping.toFixed(2)}`;
-        if (taxEl) taxEl.textContent = `$${cart.tax.toFixed(2)}`;
+        if (taxEl) {
+            if (!cart.taxEstimated) {
+                taxEl.textContent = 'Calculated at checkout';
+            } else {
+                taxEl.textContent = cart.pricesIncludeTax
+                    ? `incl. $${cart.tax.toFixed(2)}`
+                    : `$${cart.tax.toFixed(2)}`;
+            }
+        }
         if (totalEl) totalEl.textContent = `$${cart.total.toFixed(2)}`;
     },
 
@@ -208,7 +266,38 @@ const Product = {
                 Cart.showNotification(data.message, 'error');
             }
         } catch (error) {
-            Cart.showNotification('Please login to add to wishlist', 'error');
+            Cart.showNotification('Failed to add to wishlist', 'error');
+        }
+    },
+
+    // Subscribe to a back-in-stock alert for the selected size, or a price-drop alert
+    async notifyMe(type = 'back_in_stock') {
+        const productId = document.getElementById('product-id').value;
+        const size = document.getElementById('selected-size').value;
+        const color = document.getElementById('selected-color').value;
+        const contactInput = document.getElementById('alert-contact');
+
+        if (type === 'back_in_stock' && !size) {
+            Cart.showNotification('Please select a size', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/products/${productId}/alerts`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    type,
+                    size,
+                    color,
+                    contact: contactInput ? contactInput.value : undefined
+                })
+            });
+            const data = await response.json();
+
+            Cart.showNotification(data.message, data.success ? 'success' : 'error');
+        } catch (error) {
+            Cart.showNotification('Failed to subscribe to alert', 'error');
         }
     },
 
@@ -254,19 +343,117 @@ const Product = {
     }
 };
 
+// ==================== Wishlist ====================
+const Wishlist = {
+    // Remove a product and drop its card from the wishlist page
+    async remove(productId) {
+        try {
+            const response = await fetch('/api/wishlist/remove', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ productId })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                const card = document.querySelector(`[data-wishlist-item="${productId}"]`);
+                if (card) card.remove();
+                Cart.showNotification('Removed from wishlist', 'success');
+            }
+            return data;
+        } catch (error) {
+            console.error('Remove from wishlist error:', error);
+        }
+    },
+
+    // Move a product to the cart using the size/color picked on its card
+    async moveToCart(productId) {
+        const card = document.querySelector(`[data-wishlist-item="${productId}"]`);
+        const sizeInput = card && card.querySelector('[name="size"]');
+        const colorInput = card && card.querySelector('[name="color"]');
+        const size = sizeInput ? sizeInput.value : '';
+        const color = colorInput ? colorInput.value : undefined;
+
+        if (!size) {
+            Cart.showNotification('Please select a size', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/wishlist/move-to-cart', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ productId, size, color })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                if (card) card.remove();
+                Cart.updateUI(data.data);
+                Cart.showNotification('Moved to cart!', 'success');
+            } else {
+                Cart.showNotification(data.message, 'error');
+            }
+        } catch (error) {
+            Cart.showNotification('Failed to move item to cart', 'error');
+        }
+    },
+
+    // Create the public link and copy it to the clipboard
+    async share() {
+        try {
+            const response = await fetch('/api/wishlist/share', { method: 'POST' });
+            const data = await response.json();
+
+            if (!data.success) {
+                Cart.showNotification(data.message, 'error');
+                return;
+            }
+
+            const input = document.getElementById('wishlist-share-url');
+            if (input) input.value = data.data.url;
+            if (navigator.clipboard) await navigator.clipboard.writeText(data.data.url);
+            Cart.showNotification('Share link copied!', 'success');
+        } catch (error) {
+            Cart.showNotification('Failed to share wishlist', 'error');
+        }
+    },
+
+    async unshare() {
+        try {
+            const response = await fetch('/api/wishlist/share', { method: 'DELETE' });
+            const data = await response.json();
+
+            if (data.success) {
+                const input = document.getElementById('wishlist-share-url');
+                if (input) input.value = '';
+                Cart.showNotification(data.message, 'success');
+            }
+        } catch (error) {
+            Cart.showNotification('Failed to stop sharing wishlist', 'error');
+        }
+    }
+};
+
 // ==================== Filters ====================
 const Filters = {
     apply() {
         const form = document.getElementById('filter-form');
         if (!form) return;
 
+        // Ticked checkboxes sharing a name become one list: brand=Nike,Adidas
         const formData = new FormData(form);
-        const params = new URLSearchParams();
+        const values = new Map();
 
         for (const [key, value] of formData.entries()) {
-            if (value) params.append(key, value);
+            if (!value) continue;
+            if (!values.has(key)) values.set(key, []);
+            values.get(key).push(value);
         }
 
+        const params = new URLSearchParams();
+        values.forEach((list, key) => params.set(key, list.join(',')));
+
         window.location.href = `/shop?${params.toString()}`;
     },
 
@@ -274,15 +461,20 @@ const Filters = {
         window.location.href = '/shop';
     },
 
+    // Add or remove one value of a multi-select filter
     toggleFilter(type, value) {
         const url = new URL(window.location.href);
-        const current = url.searchParams.get(type);
+        const current = (url.searchParams.get(type) || '').split(',').filter(Boolean);
+        const next = current.includes(String(value))
+            ? current.filter(item => item !== String(value))
+            : [...current, value];
 
-        if (current === value) {
-            url.searchParams.delete(type);
+        if (next.length > 0) {
+            url.searchParams.set(type, next.join(','));
         } else {
-            url.searchParams.set(type, value);
+            url.searchParams.delete(type);
         }
+        url.searchParams.delete('page');
 
         window.location.href = url.toString();
     }
@@ -290,6 +482,40 @@ const Filters = {
 
 // ==================== Checkout ====================
 const Checkout = {
+    // Load shipping options for the entered address into #shipping-methods
+    async loadShippingRates() {
+        const container = document.getElementById('shipping-methods');
+        const zipInput = document.querySelector('[name="zipCode"]');
+        if (!container || !zipInput || !zipInput.value) return;
+
+        const params = new URLSearchParams({ zip: zipInput.value });
+        const stateInput = document.querySelector('[name="state"]');
+        if (stateInput && stateInput.value) params.set('state', stateInput.value);
+
+        try {
+            const response = await fetch(`/api/shipping/rates?${params.toString()}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                container.innerHTML = `<p class="no-results">${result.message}</p>`;
+                return;
+            }
+
+            container.innerHTML = result.data.map((rate, index) => `
+                <label class="shipping-option">
+                    <input type="radio" name="shippingMethod" value="${rate.code}" ${index === 0 ? 'checked' : ''}>
+                    <span class="name">${rate.name}</span>
+                    <span class="eta">${rate.deliveryDays.min === rate.deliveryDays.max
+                        ? `${rate.deliveryDays.min} business day${rate.deliveryDays.min > 1 ? 's' : ''}`
+                        : `${rate.deliveryDays.min}-${rate.deliveryDays.max} business days`}</span>
+                    <span class="price">${rate.cost === 0 ? 'FREE' : `$${rate.cost.toFixed(2)}`}</span>
+                </label>
+            `).join('');
+        } catch (error) {
+            console.error('Shipping rates error:', error);
+        }
+    },
+
     async submit(event) {
         event.preventDefault();
         const form = event.target;
@@ -310,6 +536,7 @@ const Checkout = {
                 phone: formData.get('phone')
             },
             paymentMethod: formData.get('paymentMethod'),
+            paymentToken: formData.get('paymentToken'),
             shippingMethod: formData.get('shippingMethod')
         };
 
@@ -359,15 +586,15 @@ const Search = {
 
     async search(query) {
         try {
-            const response = await fetch(`/api/products?search=${encodeURIComponent(query)}&limit=5`);
+            const response = await fetch(`/api/products/search?q=${encodeURIComponent(query)}&limit=5`);
             const data = await response.json();
-            this.showResults(data.data);
+            this.showResults(data.data, query, data.pagination.total, data.facets);
         } catch (error) {
             console.error('Search error:', error);
         }
     },
 
-    showResults(products) {
+    showResults(products, query, total, facets) {
         let container = document.getElementById('search-results');
         if (!container) {
             container = document.createElement('div');
@@ -381,15 +608,27 @@ const Search = {
             return;
         }
 
+        const searchUrl = (params) => `/shop?${new URLSearchParams({ search: query, ...params })}`;
+        const safeQuery = query.replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+        // Top categories among the matches, e.g. "trainers in Sneakers"
+        const categories = facets ? facets.category.slice(0, 3) : [];
+
         container.innerHTML = products.map(p => `
             <a href="/product/${p.slug}" class="search-result-item">
                 <img src="${p.images[0]?.url || '/images/placeholder.jpg'}" alt="${p.name}">
                 <div>
                     <p class="name">${p.name}</p>
-                    <p class="price">$${p.price.toFixed(2)}</p>
+                    <p class="price">$${p.effectivePrice.toFixed(2)}</p>
                 </div>
             </a>
-        `).join('');
+        `).join('') + categories.map(c => `
+            <a href="${searchUrl({ category: c.value })}" class="search-result-category">
+                ${safeQuery} in <strong>${c.value}</strong> (${c.count})
+            </a>
+        `).join('') + `
+            <a href="${searchUrl({})}" class="search-result-all">See all ${total} results</a>
+        `;
     },
 
     clearResults() {
@@ -398,10 +637,47 @@ const Search = {
     }
 };
 
+// ==================== Admin ====================
+const Admin = {
+    // Assign the role picked in a user row's role select (partials/admin-role-select)
+    async changeRole(select) {
+        const previous = select.dataset.role;
+        select.disabled = true;
+
+        try {
+            const response = await fetch(`/admin/users/${select.dataset.userId}/role`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ role: select.value })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                select.dataset.role = select.value;
+                Cart.showNotification(data.message, 'success');
+            } else {
+                select.value = previous;
+                Cart.showNotification(data.message, 'error');
+            }
+        } catch (error) {
+            console.error('Change role error:', error);
+            select.value = previous;
+            Cart.showNotification('Failed to update role', 'error');
+        } finally {
+            select.disabled = false;
+        }
+    }
+};
+
 // ==================== Initialize ====================
 document.addEventListener('DOMContentLoaded', () => {
     Search.init();
 
+    // Refresh shipping options when the checkout address changes
+    document.querySelectorAll('#checkout-form [name="zipCode"], #checkout-form [name="state"]').forEach(input => {
+        input.addEventListener('change', () => Checkout.loadShippingRates());
+    });
+
     // Mobile menu toggle
     const menuToggle = document.getElementById('menu-toggle');
     const navLinks = document.querySelector('.nav-links');
@@ -23,18 +23,30 @@ const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const cartRoutes = require('./routes/cart');
 const orderRoutes = require('./routes/orders');
+const shippingRoutes = require('./routes/shipping');
+const paymentRoutes = require('./routes/payments');
+const tokenRoutes = require('./routes/tokens');
+const wishlistRoutes = require('./routes/wishlist');
 const adminRoutes = require('./routes/admin');
 const pageRoutes = require('./routes/pages');
+const mail = require('./services/mail');
+const mailHooks = require('./services/mail/hooks');
+const permissions = require('./services/permissions');
+const { Product } = require('./models');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
-const { isAuthenticated } = require('./middleware/auth');
+const { authenticateBearer } = require('./middleware/auth');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/shoestore';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'shoe-store-secret-key';
 
+// Behind a load balancer set TRUST_PROXY_HOPS so req.ip is the client's
+// address (login throttling counts failures per IP)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || '0'));
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -62,8 +74,13 @@ if (process.env.NODE_ENV !== 'test') {
     app.use(morgan('combined'));
 }
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
+// Body parsing (raw body kept for payment webhook signature checks)
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files
@@ -73,19 +90,25 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// MongoDB connection
-mongoose.connect(MONGODB_URI, {
+// MongoDB connection. The server only starts listening once price sorts and
+// cart prices can rely on every product's effectivePrice.
+const databaseReady = mongoose.connect(MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(async () => {
+    console.log('✅ MongoDB connected successfully');
+    // Price sorts read the stored effectivePrice
+    const { modifiedCount } = await Product.backfillEffectivePrices();
+    if (modifiedCount > 0) console.log(`Set effectivePrice on ${modifiedCount} products`);
+})
 .catch(err => {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
 });
 
 // Session configuration
-app.use(session({
+const sessionMiddleware = session({
     secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
@@ -98,11 +121,20 @@ app.use(session({
         httpOnly: true,
         maxAge: 24 * 60 * 60 * 1000 // 1 day
     }
-}));
+});
+
+// Bearer token requests skip the cookie session entirely
+app.use(authenticateBearer);
+app.use((req, res, next) => req.auth ? next() : sessionMiddleware(req, res, next));
 
 // Make user available to all views
 app.use((req, res, next) => {
     res.locals.user = req.session.user || null;
+    // can('products:write') hides admin actions the user isn't allowed
+    res.locals.can = (permission) => permissions.hasPermission(req.session.user, permission);
+    // canAssignRole('admin') hides roles the user can't hand out (partials/admin-role-select)
+    res.locals.canAssignRole = (role) => permissions.canAssignRole(req.session.user, role);
+    res.locals.isStaff = permissions.isStaff(req.session.user);
     res.locals.cart = req.session.cart || { items: [], total: 0 };
     res.locals.success = req.session.success;
     res.locals.error = req.session.error;
@@ -114,9 +146,13 @@ app.use((req, res, next) => {
 // Routes
 app.use('/', pageRoutes);
 app.use('/auth', authRoutes);
+app.use('/api/auth', tokenRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 app.use('/admin', adminRoutes);
 
 // Health check endpoint
@@ -133,6 +169,10 @@ app.get('/health', (req, res) => {
 app.use(notFound);
 app.use(errorHandler);
 
+// Transactional email: order hooks and the outbox worker
+mailHooks.register();
+mail.startWorker();
+
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Shutting down gracefully...');
@@ -141,7 +181,7 @@ process.on('SIGTERM', async () => {
 });
 
 // Start server
-app.listen(PORT, () => {
+databaseReady.then(() => app.listen(PORT, () => {
     console.log(`
     ╔═══════════════════════════════════════════════╗
     ║     👟 SHOE STORE E-COMMERCE PLATFORM 👟      ║
@@ -151,6 +191,6 @@ app.listen(PORT, () => {
     ║  MongoDB: ${MONGODB_URI.substring(0, 30)}...    ║
     ╚═══════════════════════════════════════════════╝
     `);
-});
+}));
 
 module.exports = app;
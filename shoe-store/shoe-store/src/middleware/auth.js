@@ -2,6 +2,83 @@
  * Authentication Middleware
  */
 
+const { User } = require('../models');
+const siteSettings = require('../services/siteSettings');
+const authTokens = require('../services/authTokens');
+const permissions = require('../services/permissions');
+
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// API routes and bearer token clients get JSON instead of redirects
+const wantsJson = (req) => Boolean(req.auth) || req.originalUrl.startsWith('/api/');
+
+// Authenticate `Authorization: Bearer` requests. Runs before the session
+// middleware: token requests are stateless, so req.session is a plain object
+// that is never stored. Access tokens sign the user in straight away; personal
+// API tokens only do so on routes that accept one of their scopes (see
+// requireScope). Elsewhere they count as a guest, so routes that keep guest
+// state in the session (cart, wishlist) must use requireScope.
+const authenticateBearer = async (req, res, next) => {
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+        return next();
+    }
+
+    try {
+        const token = match[1];
+
+        if (authTokens.isApiToken(token)) {
+            const apiToken = await authTokens.authenticateApiToken(token, req.ip);
+            if (!apiToken) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or revoked API token'
+                });
+            }
+            req.auth = { type: 'api', ...apiToken };
+            req.session = {};
+        } else {
+            req.auth = { type: 'access' };
+            req.session = { user: authTokens.verifyAccessToken(token) };
+        }
+
+        // Cart stock holds are keyed by session id; give token clients a stable one
+        req.sessionID = `token:${(req.session.user || req.auth.user).id}`;
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Let personal API tokens with `scope` through, signed in as their user.
+// Sessions and access tokens carry the user's full rights and pass untouched.
+// requireScope() with no scope refuses personal tokens.
+const requireScope = (scope) => (req, res, next) => {
+    if (!req.auth || req.auth.type !== 'api') {
+        return next();
+    }
+
+    if (!scope || !req.auth.scopes.includes(scope)) {
+        return res.status(403).json({
+            success: false,
+            message: scope
+                ? `This API token needs the ${scope} scope`
+                : 'API tokens cannot be used for this request'
+        });
+    }
+
+    req.session.user = req.auth.user;
+    next();
+};
+
+// requireScope for a token area: GET needs <area>:read, anything else
+// <area>:write. Without an area personal tokens are refused.
+const requireAreaScope = (area) => (req, res, next) => {
+    const scope = area && `${area}:${req.method === 'GET' ? 'read' : 'write'}`;
+    requireScope(scope)(req, res, next);
+};
+
 // Check if user is authenticated
 const isAuthenticated = (req, res, next) => {
     if (req.session.user) {
@@ -9,7 +86,7 @@ const isAuthenticated = (req, res, next) => {
     }
 
     // For API routes
-    if (req.path.startsWith('/api/')) {
+    if (wantsJson(req)) {
         return res.status(401).json({
             success: false,
             message: 'Please login to continue'
@@ -22,10 +99,11 @@ const isAuthenticated = (req, res, next) => {
     res.redirect('/auth/login');
 };
 
-// Check if user is admin
-const isAdmin = (req, res, next) => {
+// Check if user is staff (admin or another role with admin permissions).
+// The role is re-read from the database so a changed role applies at once.
+const isAdmin = async (req, res, next) => {
     if (!req.session.user) {
-        if (req.path.startsWith('/api/')) {
+        if (wantsJson(req)) {
             return res.status(401).json({
                 success: false,
                 message: 'Please login to continue'
@@ -35,18 +113,88 @@ const isAdmin = (req, res, next) => {
         return res.redirect('/auth/login');
     }
 
-    if (req.session.user.role !== 'admin') {
-        if (req.path.startsWith('/api/')) {
+    try {
+        const current = await User.findOne({ _id: req.session.user.id, isActive: true }).select('role');
+        req.session.user.role = current ? current.role : 'customer';
+
+        if (!permissions.isStaff(req.session.user)) {
+            if (wantsJson(req)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Admin only.'
+                });
+            }
+            req.session.error = 'Access denied. Admin privileges required.';
+            return res.redirect('/');
+        }
+
+        // Staff without 2FA are sent to set it up when the site requires it
+        if (!req.session.user.twoFactorEnabled) {
+            const settings = await siteSettings.get();
+            if (settings.requireAdminTwoFactor) {
+                const message = 'Two-factor authentication is required for staff accounts. Please set it up to continue.';
+                if (wantsJson(req)) {
+                    return res.status(403).json({
+                        success: false,
+                        message
+                    });
+                }
+                req.session.error = message;
+                return res.redirect('/auth/profile');
+            }
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Require one admin permission. Use after isAdmin.
+const requirePermission = (permission) => (req, res, next) => {
+    if (permissions.hasPermission(req.session.user, permission)) {
+        return next();
+    }
+
+    const message = 'You do not have permission to do that.';
+    // Admin PUT and DELETE requests come from fetch() and expect JSON
+    if (wantsJson(req) || ['PUT', 'DELETE'].includes(req.method)) {
+        return res.status(403).json({
+            success: false,
+            message
+        });
+    }
+    req.session.error = message;
+    res.redirect('/admin');
+};
+
+// Require a verified email address when REQUIRE_EMAIL_VERIFICATION is on.
+// Use after isAuthenticated. Checks the database, so verifying in another
+// browser counts straight away.
+const requireVerifiedEmail = async (req, res, next) => {
+    if (!REQUIRE_EMAIL_VERIFICATION) {
+        return next();
+    }
+
+    try {
+        const user = await User.findById(req.session.user.id).select('isEmailVerified');
+        if (user && user.isEmailVerified) {
+            req.session.user.isEmailVerified = true;
+            return next();
+        }
+
+        const message = 'Please verify your email address to continue. Check your inbox or request a new link from your profile.';
+        if (wantsJson(req)) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Admin only.'
+                message
             });
         }
-        req.session.error = 'Access denied. Admin privileges required.';
-        return res.redirect('/');
+        req.session.error = message;
+        res.redirect('/auth/profile');
+    } catch (error) {
+        next(error);
     }
-
-    next();
 };
 
 // Optional authentication (doesn't require login but loads user if available)
@@ -56,7 +204,12 @@ const optionalAuth = (req, res, next) => {
 };
 
 module.exports = {
+    authenticateBearer,
+    requireScope,
+    requireAreaScope,
     isAuthenticated,
     isAdmin,
+    requirePermission,
+    requireVerifiedEmail,
     optionalAuth
 };
@@ -71,6 +71,13 @@ const errorHandler = (err, req, res, next) => {
         });
     }
 
+    if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({
+            success: false,
+            message: 'Token expired'
+        });
+    }
+
     // Default error
     const statusCode = err.statusCode || 500;
     const message = err.message || 'Internal Server Error';
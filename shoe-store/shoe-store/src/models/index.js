@@ -43,17 +43,44 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['customer', 'admin'],
+        enum: ['customer', 'admin', 'merchandiser', 'warehouse'], // see services/permissions.js
         default: 'customer'
     },
     isActive: {
         type: Boolean,
         default: true
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // One-time tokens are stored as SHA-256 hashes and cleared when used
+    emailVerificationToken: String,
+    emailVerificationExpires: Date,
+    passwordResetToken: String,
+    passwordResetExpires: Date,
+    // TOTP two-factor authentication
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: String,
+        pendingSecret: String, // awaiting a first valid code during enrollment
+        lastUsedStep: Number, // TOTP time step last accepted, so codes can't be replayed
+        backupCodes: [String], // SHA-256 hashes of unused one-time codes
+        enabledAt: Date
+    },
     wishlist: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product'
-    }]
+    }],
+    // Token for the public read-only wishlist link; unset when not shared
+    wishlistShareToken: {
+        type: String,
+        unique: true,
+        sparse: true
+    }
 }, {
     timestamps: true
 });
@@ -121,6 +148,23 @@ const productSchema = new mongoose.Schema({
         type: Number,
         min: 0
     },
+    // Sale price while on sale, otherwise price; set on save so listings can
+    // sort and filter on it with an index
+    effectivePrice: {
+        type: Number,
+        min: 0
+    },
+    // Boxed shipping weight per pair, in lbs
+    weight: {
+        type: Number,
+        default: 2.5,
+        min: 0
+    },
+    // Overrides the category's tax class when set
+    taxClass: {
+        type: String,
+        trim: true
+    },
     sizes: [{
         size: {
             type: Number,
@@ -136,6 +180,37 @@ const productSchema = new mongoose.Schema({
         name: String,
         hexCode: String
     }],
+    // Sellable SKUs - one per size/color pair. When present, variant stock is
+    // the source of truth and `sizes` is rolled up from it on save.
+    variants: [{
+        sku: {
+            type: String,
+            uppercase: true,
+            trim: true
+        },
+        size: {
+            type: Number,
+            required: true
+        },
+        color: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        stock: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        price: {
+            type: Number,
+            min: 0
+        },
+        images: [{
+            url: String,
+            alt: String
+        }]
+    }],
     images: [{
         url: String,
         alt: String,
@@ -147,11 +222,39 @@ const productSchema = new mongoose.Schema({
         average: { type: Number, default: 0, min: 0, max: 5 },
         count: { type: Number, default: 0 }
     },
+    // Fit votes from approved reviews, kept up to date like rating
+    fit: {
+        runsSmall: { type: Number, default: 0 },
+        trueToSize: { type: Number, default: 0 },
+        runsLarge: { type: Number, default: 0 }
+    },
+    // Only approved reviews are shown and counted in rating (see services/reviews.js)
     reviews: [{
         user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
         rating: { type: Number, required: true, min: 1, max: 5 },
         comment: String,
-        createdAt: { type: Date, default: Date.now }
+        photos: [{ url: String, key: String }],
+        fit: { type: String, enum: ['runs_small', 'true_to_size', 'runs_large'] },
+        // New reviews are created pending; ones written before moderation load as approved
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected'],
+            default: 'approved'
+        },
+        verifiedPurchase: { type: Boolean, default: false },
+        votes: [{
+            user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            helpful: Boolean
+        }],
+        helpfulCount: { type: Number, default: 0 },
+        notHelpfulCount: { type: Number, default: 0 },
+        moderation: {
+            by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            at: Date,
+            note: String
+        },
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: Date
     }],
     tags: [String],
     isActive: {
@@ -169,43 +272,244 @@ const productSchema = new mongoose.Schema({
     soldCount: {
         type: Number,
         default: 0
+    },
+    // Archived (soft-deleted) products keep their document so orders that
+    // reference them still resolve; they never show on the storefront
+    deletedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true
 });
 
+// SKU for a variant that wasn't given one, e.g. AIR-MAX-90-10-BLACK
+const variantSku = (slug, variant) => {
+    const colorCode = variant.color.toUpperCase().replace(/[^A-Z0-9]+/g, '');
+    return `${slug}-${variant.size}-${colorCode}`.toUpperCase();
+};
+
 // Generate slug before saving
 productSchema.pre('save', function(next) {
+    // An archived product can't be switched back on without restoring it
+    if (this.deletedAt) this.isActive = false;
+
     if (!this.slug || this.isModified('name')) {
         this.slug = this.name
             .toLowerCase()
             .replace(/[^a-z0-9]+/g, '-')
             .replace(/(^-|-$)/g, '');
     }
+
+    // Only roll up when variants were edited: a save of other fields must not
+    // write back stock that checkouts have $inc'd since the product was loaded
+    if (this.variants.length > 0 && (this.isNew || this.isModified('variants'))) {
+        // Assign SKUs and roll variant stock up into per-size totals
+        const sizeTotals = new Map();
+        this.variants.forEach(v => {
+            if (!v.sku) v.sku = variantSku(this.slug, v);
+            sizeTotals.set(v.size, (sizeTotals.get(v.size) || 0) + v.stock);
+        });
+        this.sizes = [...sizeTotals.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([size, stock]) => ({ size, stock }));
+    }
+
     // Calculate total stock
-    this.totalStock = this.sizes.reduce((sum, s) => sum + s.stock, 0);
+    if (this.isNew || this.isModified('sizes')) {
+        this.totalStock = this.sizes.reduce((sum, s) => sum + s.stock, 0);
+    }
+    this.effectivePrice = this.isOnSale ? this.salePrice : this.price;
     next();
 });
 
+// Stock of the entry in `list` whose `key` equals `value`, inside an update pipeline
+const currentStock = (list, key, value) => ({
+    $first: {
+        $map: {
+            input: { $filter: { input: { $ifNull: [list, []] }, cond: { $eq: [`$$this.${key}`, value] } } },
+            in: '$$this.stock'
+        }
+    }
+});
+
+// Replace the variants and/or sizes with an edited list in one update. Units
+// that already exist (same SKU, or same size for size-only products) keep the
+// stock they have in the database, so checkouts since the product was loaded
+// are never undone; new units start with the stock given. sizes and
+// totalStock are rolled up from the result. Resolves to the updated product.
+productSchema.methods.mergeStockUnits = function({ variants, sizes }) {
+    const units = {};
+
+    if (variants) {
+        units.variants = variants.map(variant => {
+            // Size/color lookups match colors case-insensitively, like findVariant()
+            const match = variant.sku
+                ? { sku: String(variant.sku).toUpperCase() }
+                : this.findVariant(variant.size, variant.color);
+            const existing = match && match.sku && this.variants.find(v => v.sku === match.sku);
+            const sku = existing ? existing.sku : (match && match.sku) || variantSku(this.slug, variant);
+            const price = variant.price === undefined && existing ? existing.price : variant.price;
+            return {
+                _id: existing ? existing._id : new mongoose.Types.ObjectId(),
+                sku,
+                size: variant.size,
+                color: variant.color,
+                stock: variant.stock || 0,
+                ...(price != null ? { price } : {}),
+                images: (variant.images || (existing ? existing.images : []))
+                    .map(({ _id, url, alt }) => ({
+                        _id: mongoose.isValidObjectId(_id) ? new mongoose.Types.ObjectId(String(_id)) : new mongoose.Types.ObjectId(),
+                        url,
+                        alt
+                    }))
+            };
+        });
+    }
+    if (sizes) {
+        units.sizes = sizes.map(entry => ({
+            _id: (this.sizes.find(s => s.size === entry.size) || {})._id || new mongoose.Types.ObjectId(),
+            size: entry.size,
+            stock: entry.stock || 0
+        }));
+    }
+
+    const merge = (path, key) => ({
+        $map: {
+            input: { $literal: units[path] },
+            as: 'unit',
+            in: {
+                $mergeObjects: ['$$unit', {
+                    stock: { $ifNull: [currentStock(`$${path}`, key, `$$unit.${key}`), '$$unit.stock'] }
+                }]
+            }
+        }
+    });
+
+    const pipeline = [];
+    if (units.variants) pipeline.push({ $set: { variants: merge('variants', 'sku') } });
+    if (units.sizes) pipeline.push({ $set: { sizes: merge('sizes', 'size') } });
+    pipeline.push(
+        {
+            // Variant products keep per-size totals of their variants' stock
+            $set: {
+                sizes: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                        {
+                            $map: {
+                                input: { $sortArray: { input: { $setUnion: ['$variants.size'] }, sortBy: 1 } },
+                                as: 'size',
+                                in: {
+                                    size: '$$size',
+                                    stock: {
+                                        $sum: {
+                                            $map: {
+                                                input: { $filter: { input: '$variants', cond: { $eq: ['$$this.size', '$$size'] } } },
+                                                in: '$$this.stock'
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        '$sizes'
+                    ]
+                }
+            }
+        },
+        { $set: { totalStock: { $sum: '$sizes.stock' } } }
+    );
+
+    return this.constructor.findOneAndUpdate({ _id: this._id }, pipeline, { new: true });
+};
+
+// Resolve the sellable unit for a size/color pair. Products without variants
+// fall back to size-level stock with the color checked against `colors`.
+productSchema.methods.findVariant = function(size, color) {
+    size = parseFloat(size);
+    // Products written without save() may not have effectivePrice stored yet
+    const basePrice = this.effectivePrice ?? (this.isOnSale ? this.salePrice : this.price);
+    const colorKey = color ? String(color).toLowerCase() : null;
+
+    if (this.variants.length > 0) {
+        const forSize = this.variants.filter(v => v.size === size);
+        const variant = colorKey
+            ? forSize.find(v => v.color.toLowerCase() === colorKey)
+            : (forSize.length === 1 ? forSize[0] : null);
+        if (!variant) return null;
+
+        return {
+            sku: variant.sku,
+            size: variant.size,
+            color: variant.color,
+            stock: variant.stock,
+            price: variant.price != null ? variant.price : basePrice,
+            image: variant.images[0]?.url || this.primaryImage
+        };
+    }
+
+    const sizeOption = this.sizes.find(s => s.size === size);
+    if (!sizeOption) return null;
+
+    let colorName = 'Default';
+    if (this.colors.length > 0) {
+        const match = colorKey
+            ? this.colors.find(c => c.name && c.name.toLowerCase() === colorKey)
+            : this.colors[0];
+        if (!match) return null;
+        colorName = match.name;
+    }
+
+    return {
+        sku: null,
+        size: sizeOption.size,
+        color: colorName,
+        stock: sizeOption.stock,
+        price: basePrice,
+        image: this.primaryImage
+    };
+};
+
 // Get primary image
 productSchema.virtual('primaryImage').get(function() {
     const primary = this.images.find(img => img.isPrimary);
     return primary ? primary.url : (this.images[0]?.url || '/images/placeholder.jpg');
 });
 
-// Get effective price (sale or regular)
-productSchema.virtual('effectivePrice').get(function() {
-    return this.salePrice && this.salePrice < this.price ? this.salePrice : this.price;
-});
-
 // Check if on sale
 productSchema.virtual('isOnSale').get(function() {
     return this.salePrice && this.salePrice < this.price;
 });
 
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ deletedAt: 1 });
+// Listing sorts; _id breaks ties so cursor pages are stable
+productSchema.index({ isActive: 1, createdAt: -1, _id: 1 });
+productSchema.index({ isActive: 1, soldCount: -1, _id: 1 });
+productSchema.index({ isActive: 1, 'rating.average': -1, _id: 1 });
+productSchema.index({ isActive: 1, effectivePrice: 1, _id: 1 });
+productSchema.index({ 'reviews.status': 1 });
+
 productSchema.set('toJSON', { virtuals: true });
 productSchema.set('toObject', { virtuals: true });
 
+// Fill in effectivePrice for products saved before it was stored, or written
+// without going through save() (e.g. the seed script)
+productSchema.statics.backfillEffectivePrices = function() {
+    return this.updateMany({ effectivePrice: { $exists: false } }, [{
+        $set: {
+            effectivePrice: {
+                $cond: [
+                    { $and: [{ $gt: ['$salePrice', 0] }, { $lt: ['$salePrice', '$price'] }] },
+                    '$salePrice',
+                    '$price'
+                ]
+            }
+        }
+    }]);
+};
+
 const Product = mongoose.model('Product', productSchema);
 
 // ==================== ORDER MODEL ====================
@@ -226,6 +530,7 @@ const orderSchema = new mongoose.Schema({
             required: true
         },
         name: String,
+        sku: String,
         price: Number,
         size: Number,
         color: String,
@@ -263,10 +568,16 @@ const orderSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['pending', 'completed', 'failed', 'refunded'],
+            enum: ['pending', 'authorized', 'completed', 'failed', 'voided', 'partially_refunded', 'refunded'],
             default: 'pending'
         },
-        transactionId: String
+        provider: String,
+        transactionId: String,
+        amountAuthorized: { type: Number, default: 0 },
+        amountCaptured: { type: Number, default: 0 },
+        amountRefunded: { type: Number, default: 0 },
+        // Provider webhook event ids already applied, for idempotency
+        processedEvents: [String]
     },
     subtotal: {
         type: Number,
@@ -274,12 +585,27 @@ const orderSchema = new mongoose.Schema({
     },
     shipping: {
         method: String,
-        cost: { type: Number, default: 0 }
+        carrier: String,
+        cost: { type: Number, default: 0 },
+        estimatedDelivery: {
+            earliest: Date,
+            latest: Date
+        }
     },
     tax: {
         type: Number,
         default: 0
     },
+    taxLines: [{
+        name: String,
+        taxClass: String,
+        rate: Number,
+        amount: Number
+    }],
+    pricesIncludeTax: {
+        type: Boolean,
+        default: false
+    },
     discount: {
         code: String,
         amount: { type: Number, default: 0 }
@@ -299,25 +625,86 @@ const orderSchema = new mongoose.Schema({
         status: String,
         timestamp: { type: Date, default: Date.now },
         note: String
+    }],
+    // Return merchandise authorizations (RMAs) opened after delivery
+    returns: [{
+        rmaNumber: String,
+        items: [{
+            orderItem: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            }, // _id of the line in `items`
+            quantity: {
+                type: Number,
+                required: true,
+                min: 1
+            }
+        }],
+        reason: {
+            type: String,
+            enum: ['wrong_size', 'defective', 'not_as_described', 'damaged_in_transit', 'changed_mind', 'other'],
+            required: true
+        },
+        comment: String,
+        status: {
+            type: String,
+            enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+            default: 'requested'
+        },
+        restocked: {
+            type: Boolean,
+            default: false
+        },
+        refund: {
+            amount: Number,
+            refundId: String,
+            refundedAt: Date
+        },
+        adminNote: String,
+        requestedAt: {
+            type: Date,
+            default: Date.now
+        }
     }]
 }, {
     timestamps: true
 });
 
+orderSchema.index({ 'payment.transactionId': 1 });
+orderSchema.index({ 'returns.status': 1 });
+
+// Next value of the order number sequence. An atomic counter, so orders
+// placed at the same moment never share a number; on first use it carries on
+// from the orders already stored.
+const nextOrderSequence = async () => {
+    const counters = mongoose.connection.collection('counters');
+    if (!(await counters.findOne({ _id: 'orderNumber' }))) {
+        const count = await mongoose.model('Order').countDocuments();
+        await counters.updateOne({ _id: 'orderNumber' }, { $max: { seq: count } }, { upsert: true });
+    }
+
+    const counter = await counters.findOneAndUpdate(
+        { _id: 'orderNumber' },
+        { $inc: { seq: 1 } },
+        { returnDocument: 'after' }
+    );
+    return counter.seq;
+};
+
 // Generate order number
 orderSchema.pre('save', async function(next) {
     if (!this.orderNumber) {
         const date = new Date();
         const prefix = `ORD${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}`;
-        const count = await mongoose.model('Order').countDocuments();
-        this.orderNumber = `${prefix}${String(count + 1).padStart(6, '0')}`;
+        const sequence = await nextOrderSequence();
+        this.orderNumber = `${prefix}${String(sequence).padStart(6, '0')}`;
     }
     next();
 });
 
 const Order = mongoose.model('Order', orderSchema);
 
-// ==================== CART MODEL (Session-based, optional persistence) ====================
+// ==================== CART MODEL (Persisted per user or guest session) ====================
 const cartSchema = new mongoose.Schema({
     user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -330,6 +717,7 @@ const cartSchema = new mongoose.Schema({
             ref: 'Product',
             required: true
         },
+        sku: String,
         size: Number,
         color: String,
         quantity: {
@@ -339,6 +727,7 @@ const cartSchema = new mongoose.Schema({
             default: 1
         }
     }],
+    discountCode: String,
     expiresAt: {
         type: Date,
         default: () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
@@ -348,9 +737,122 @@ const cartSchema = new mongoose.Schema({
 });
 
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cartSchema.index({ user: 1 });
+cartSchema.index({ sessionId: 1 });
 
 const Cart = mongoose.model('Cart', cartSchema);
 
+// ==================== STOCK HOLD MODEL (Temporary cart reservations) ====================
+const stockHoldSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    sku: String,
+    size: Number,
+    color: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+stockHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+stockHoldSchema.index({ product: 1, expiresAt: 1 });
+stockHoldSchema.index({ sessionId: 1, product: 1, sku: 1, size: 1, color: 1 }, { unique: true });
+
+const StockHold = mongoose.model('StockHold', stockHoldSchema);
+
+// ==================== PROMOTION MODEL ====================
+const promotionSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Promotion code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: String,
+    type: {
+        type: String,
+        required: true,
+        enum: ['percentage', 'fixed', 'free_shipping', 'buy_x_get_y']
+    },
+    // Percent off for `percentage`, amount off for `fixed`,
+    // percent off the free units for `buy_x_get_y` (100 = free)
+    value: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    buyQuantity: {
+        type: Number,
+        min: 1
+    },
+    getQuantity: {
+        type: Number,
+        min: 1
+    },
+    // Empty scope lists mean the promotion applies to everything
+    scope: {
+        brands: [String],
+        categories: [String],
+        products: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        }]
+    },
+    minSubtotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    perCustomerLimit: {
+        type: Number,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    startsAt: Date,
+    endsAt: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+promotionSchema.pre('validate', function(next) {
+    if (this.type === 'percentage' && this.value > 100) {
+        this.invalidate('value', 'Percentage cannot exceed 100');
+    }
+    if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+        this.invalidate('buyQuantity', 'Buy X get Y promotions need buy and get quantities');
+    }
+    next();
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
 // ==================== CATEGORY MODEL ====================
 const categorySchema = new mongoose.Schema({
     name: {
@@ -372,6 +874,12 @@ const categorySchema = new mongoose.Schema({
     displayOrder: {
         type: Number,
         default: 0
+    },
+    // Default tax class for products in this category
+    taxClass: {
+        type: String,
+        default: 'standard',
+        trim: true
     }
 }, {
     timestamps: true
@@ -379,10 +887,356 @@ const categorySchema = new mongoose.Schema({
 
 const Category = mongoose.model('Category', categorySchema);
 
+// ==================== TAX RULE MODEL ====================
+// Rules matching a shipping address all apply, so state and local rates stack.
+const taxRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Tax rule name is required'],
+        trim: true
+    },
+    country: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true,
+        default: 'USA'
+    },
+    // Empty state/zipPrefix match the whole country/state
+    state: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    zipPrefix: {
+        type: String,
+        trim: true
+    },
+    taxClass: {
+        type: String,
+        default: 'standard',
+        trim: true
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Tax rate is required'],
+        min: [0, 'Tax rate cannot be negative'],
+        max: [100, 'Tax rate cannot exceed 100%']
+    },
+    appliesToShipping: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+taxRuleSchema.index({ country: 1, state: 1, isActive: 1 });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+// ==================== STOCK ALERT MODEL (Back-in-stock and price-drop subscriptions) ====================
+// Deleted once the alert has been sent.
+const stockAlertSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['back_in_stock', 'price_drop'],
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    size: Number, // back_in_stock only
+    color: String, // back_in_stock only; any color when unset
+    channel: {
+        type: String,
+        enum: ['email', 'sms'],
+        default: 'email'
+    },
+    contact: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // price_drop: the price the shopper saw; the alert fires below it
+    priceAtSubscribe: Number
+}, {
+    timestamps: true
+});
+
+stockAlertSchema.index(
+    { product: 1, type: 1, size: 1, color: 1, channel: 1, contact: 1 },
+    { unique: true }
+);
+
+const StockAlert = mongoose.model('StockAlert', stockAlertSchema);
+
+// ==================== MAIL MESSAGE MODEL (Outbox for transactional email) ====================
+const mailMessageSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    html: String,
+    text: String,
+    template: String,
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    lastError: String,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+mailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const MailMessage = mongoose.model('MailMessage', mailMessageSchema);
+
+// ==================== LOGIN THROTTLE MODEL (Failed login tracking per account and IP) ====================
+const loginThrottleSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        enum: ['account', 'ip'],
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    }, // normalized email or client IP
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: Date,
+    blockedUntil: Date, // backoff delay or lockout end
+    lockedAt: Date, // set when the failure limit was reached
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+loginThrottleSchema.index({ scope: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+// ==================== LOGIN HISTORY MODEL ====================
+const loginHistorySchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: String,
+    ip: String,
+    userAgent: String,
+    success: {
+        type: Boolean,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['invalid_credentials', 'invalid_2fa', 'throttled', 'locked', null],
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+loginHistorySchema.index({ user: 1, createdAt: -1 });
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // keep 90 days
+
+const LoginHistory = mongoose.model('LoginHistory', loginHistorySchema);
+
+// ==================== SITE SETTING MODEL (Single document of store-wide switches) ====================
+const siteSettingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'site',
+        unique: true
+    },
+    requireAdminTwoFactor: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+const SiteSetting = mongoose.model('SiteSetting', siteSettingSchema);
+
+// ==================== REFRESH TOKEN MODEL (API sessions for token clients) ====================
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    }, // SHA-256 of the token handed to the client
+    family: {
+        type: String,
+        required: true
+    }, // shared by every token rotated from the same login
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    replacedAt: Date, // set when rotated; presenting it again revokes the family
+    ip: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+// ==================== API TOKEN MODEL (Scoped personal tokens for integrations) ====================
+const apiTokenSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Token name is required'],
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }, // the token acts as this user, limited to its scopes
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    prefix: String, // first characters, to tell tokens apart in the admin list
+    scopes: [{
+        type: String,
+        enum: ['catalog:read', 'catalog:write', 'orders:read', 'orders:write']
+    }],
+    expiresAt: Date, // none = until revoked
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date
+}, {
+    timestamps: true
+});
+
+apiTokenSchema.index({ user: 1 });
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+// ==================== AUDIT LOG MODEL (Append-only record of admin changes) ====================
+const auditLogSchema = new mongoose.Schema({
+    actor: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: String, // copied so entries survive the user being removed
+        role: String
+    },
+    via: {
+        type: String,
+        enum: ['session', 'access', 'api'],
+        default: 'session'
+    }, // how the actor signed in (browser, access token, personal API token)
+    action: {
+        type: String,
+        required: true
+    }, // e.g. product.update, order.status
+    entity: {
+        type: {
+            type: String,
+            required: true
+        },
+        id: String,
+        label: String // human readable name at the time of the change
+    },
+    changes: [{
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    ip: String,
+    userAgent: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are written once and never changed or removed
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Audit log entries cannot be modified'));
+    }
+    next();
+});
+
+auditLogSchema.pre([
+    'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'
+], function(next) {
+    next(new Error('Audit log entries cannot be modified'));
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
 module.exports = {
     User,
     Product,
     Order,
     Cart,
-    Category
+    StockHold,
+    Promotion,
+    Category,
+    TaxRule,
+    StockAlert,
+    MailMessage,
+    LoginThrottle,
+    LoginHistory,
+    SiteSetting,
+    RefreshToken,
+    ApiToken,
+    AuditLog
 };
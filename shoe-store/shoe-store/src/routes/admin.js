@@ -4,48 +4,79 @@
 
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
-const { Product, Order, User, Category } = require('../models');
-const { isAdmin } = require('../middleware/auth');
-
-// S3 Configuration
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION || 'us-east-1',
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
-
-// Multer configuration for file uploads
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only images are allowed'), false);
-        }
-    }
+const { Product, Order, User, Cart, StockHold, StockAlert, Category, Promotion, TaxRule } = require('../models');
+const taxes = require('../services/taxes');
+const shipping = require('../services/shipping');
+const returns = require('../services/returns');
+const reviews = require('../services/reviews');
+const orderLifecycle = require('../services/orderLifecycle');
+const stockAlerts = require('../services/stockAlerts');
+const loginGuard = require('../services/loginGuard');
+const siteSettings = require('../services/siteSettings');
+const authTokens = require('../services/authTokens');
+const permissions = require('../services/permissions');
+const audit = require('../services/audit');
+const catalogSearch = require('../services/search');
+const { upload, uploadToS3 } = require('../services/uploads');
+const { isAdmin, requirePermission, requireAreaScope } = require('../middleware/auth');
+
+// The parts of an order a status change touches, for the audit log
+const orderState = (order) => ({
+    status: order.status,
+    trackingNumber: order.trackingNumber,
+    paymentStatus: order.payment.status
 });
 
-// Upload to S3
-const uploadToS3 = async (file, folder = 'products') => {
-    const key = `${folder}/${Date.now()}-${file.originalname}`;
-    
-    await s3Client.send(new PutObjectCommand({
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: key,
-        Body: file.buffer,
-        ContentType: file.mimetype,
-        ACL: 'public-read'
-    }));
+// Send back-in-stock and price-drop alerts without holding up the admin response
+const notifyAlerts = (before, product) => {
+    stockAlerts.notifyChanges(before, product)
+        .catch(error => console.error('Stock alert error:', error));
+};
+
+// Stock counts must be whole numbers of zero or more; returns null otherwise
+const parseStock = (value) => {
+    const stock = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(stock) && stock >= 0 ? stock : null;
+};
+
+// Parse the product form's variants or sizes JSON. Stock is only used for
+// units the product doesn't have yet; see Product#mergeStockUnits.
+const parseUnits = (json, { withColor }) => {
+    const units = JSON.parse(json || '[]');
+    if (!Array.isArray(units)) throw new Error('Variants and sizes must be lists');
+    const incomplete = withColor ? 'Every variant needs a size and color' : 'Every size entry needs a size';
+
+    return units.map(unit => {
+        if (!unit || typeof unit !== 'object') throw new Error(incomplete);
+        const size = parseFloat(unit.size);
+        const color = withColor ? String(unit.color || '').trim() : undefined;
+        const stock = unit.stock === undefined || unit.stock === '' ? 0 : parseStock(unit.stock);
+        // Leaving price out keeps the variant's price; an empty one clears it
+        let price = unit.price;
+        if (price === '' || price === null) price = null;
+        else if (price !== undefined) price = parseFloat(price);
 
-    return `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+        if (isNaN(size) || (withColor && !color)) throw new Error(incomplete);
+        if (stock === null) throw new Error(`Stock for size ${size} must be a whole number of 0 or more`);
+        if (Number.isNaN(price) || price < 0) throw new Error(`Invalid price for size ${size}`);
+
+        return withColor
+            ? { sku: unit.sku, size, color, stock, price, images: unit.images }
+            : { size, stock };
+    });
 };
 
+// Admin areas personal API tokens may reach: GET needs <area>:read, anything
+// else <area>:write. Tokens are refused everywhere else in /admin.
+const TOKEN_SCOPE_AREAS = {
+    products: 'catalog',
+    inventory: 'catalog',
+    orders: 'orders',
+    returns: 'orders'
+};
+
+router.use((req, res, next) => requireAreaScope(TOKEN_SCOPE_AREAS[req.path.split('/')[1]])(req, res, next));
+
 // Apply admin middleware to all routes
 router.use(isAdmin);
 
@@ -54,6 +85,9 @@ router.use(isAdmin);
 // GET /admin - Admin dashboard
 router.get('/', async (req, res) => {
     try {
+        // Each panel is only loaded for staff allowed to see it
+        const can = (permission) => permissions.hasPermission(req.session.user, permission);
+
         const [
             totalProducts,
             totalOrders,
@@ -62,25 +96,31 @@ router.get('/', async (req, res) => {
             lowStockProducts,
             salesStats
         ] = await Promise.all([
-            Product.countDocuments(),
-            Order.countDocuments(),
-            User.countDocuments({ role: 'customer' }),
-            Order.find().sort({ createdAt: -1 }).limit(10).populate('user', 'firstName lastName email'),
-            Product.find({ totalStock: { $lt: 10 } }).select('name brand totalStock'),
-            Order.aggregate([
-                { $match: { status: { $ne: 'cancelled' } } },
-                { $group: { _id: null, totalSales: { $sum: '$total' }, orderCount: { $sum: 1 } } }
-            ])
+            can('reports:view') ? Product.countDocuments({ deletedAt: null }) : null,
+            can('reports:view') ? Order.countDocuments() : null,
+            can('reports:view') ? User.countDocuments({ role: 'customer' }) : null,
+            can('orders:manage')
+                ? Order.find().sort({ createdAt: -1 }).limit(10).populate('user', 'firstName lastName email')
+                : [],
+            can('inventory:write') || can('products:write')
+                ? Product.find({ totalStock: { $lt: 10 }, deletedAt: null }).select('name brand totalStock')
+                : [],
+            can('reports:view')
+                ? Order.aggregate([
+                    { $match: { status: { $ne: 'cancelled' } } },
+                    { $group: { _id: null, totalSales: { $sum: '$total' }, orderCount: { $sum: 1 } } }
+                ])
+                : []
         ]);
 
         res.render('admin/dashboard', {
             title: 'Admin Dashboard',
-            stats: {
+            stats: can('reports:view') ? {
                 totalProducts,
                 totalOrders,
                 totalUsers,
                 totalSales: salesStats[0]?.totalSales || 0
-            },
+            } : null,
             recentOrders,
             lowStockProducts
         });
@@ -94,13 +134,15 @@ router.get('/', async (req, res) => {
 // ==================== PRODUCTS ====================
 
 // GET /admin/products - List all products
-router.get('/products', async (req, res) => {
+router.get('/products', requirePermission('products:write'), async (req, res) => {
     try {
         const { page = 1, search, category, brand } = req.query;
+        const archived = req.query.archived === 'true';
         const limit = 20;
         const skip = (page - 1) * limit;
 
-        const query = {};
+        // Archived products only appear in the archive view
+        const query = { deletedAt: archived ? { $ne: null } : null };
         if (search) {
             query.$or = [
                 { name: new RegExp(search, 'i') },
@@ -115,25 +157,35 @@ router.get('/products', async (req, res) => {
             Product.countDocuments(query)
         ]);
 
+        const pagination = {
+            page: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            total
+        };
+
+        if (req.auth) {
+            return res.json({ success: true, data: products, pagination });
+        }
+
         res.render('admin/products/list', {
-            title: 'Manage Products',
+            title: archived ? 'Archived Products' : 'Manage Products',
             products,
-            pagination: {
-                page: parseInt(page),
-                totalPages: Math.ceil(total / limit),
-                total
-            },
-            filters: { search, category, brand }
+            archived,
+            pagination,
+            filters: { search, category, brand, archived }
         });
     } catch (error) {
         console.error('List products error:', error);
+        if (req.auth) {
+            return res.status(500).json({ success: false, message: 'Failed to load products' });
+        }
         req.session.error = 'Failed to load products';
         res.redirect('/admin');
     }
 });
 
 // GET /admin/products/new - New product form
-router.get('/products/new', (req, res) => {
+router.get('/products/new', requirePermission('products:write'), (req, res) => {
     res.render('admin/products/form', {
         title: 'Add New Product',
         product: null,
@@ -142,17 +194,18 @@ router.get('/products/new', (req, res) => {
 });
 
 // POST /admin/products - Create product
-router.post('/products', upload.array('images', 5), async (req, res) => {
+router.post('/products', requirePermission('products:write'), upload.array('images', 5), async (req, res) => {
     try {
         const {
             name, description, shortDescription, brand, category, gender,
-            price, salePrice, sizes, colors, features, materials, tags,
+            price, salePrice, taxClass, weight, sizes, colors, variants, features, materials, tags,
             isActive, isFeatured
         } = req.body;
 
         // Parse JSON fields
         const parsedSizes = JSON.parse(sizes || '[]');
         const parsedColors = JSON.parse(colors || '[]');
+        const parsedVariants = JSON.parse(variants || '[]');
         const parsedFeatures = features ? features.split(',').map(f => f.trim()) : [];
         const parsedMaterials = materials ? materials.split(',').map(m => m.trim()) : [];
         const parsedTags = tags ? tags.split(',').map(t => t.trim()) : [];
@@ -179,8 +232,11 @@ router.post('/products', upload.array('images', 5), async (req, res) => {
             gender,
             price: parseFloat(price),
             salePrice: salePrice ? parseFloat(salePrice) : undefined,
+            taxClass: taxClass || undefined,
+            weight: weight ? parseFloat(weight) : undefined,
             sizes: parsedSizes,
             colors: parsedColors,
+            variants: parsedVariants,
             features: parsedFeatures,
             materials: parsedMaterials,
             tags: parsedTags,
@@ -189,6 +245,14 @@ router.post('/products', upload.array('images', 5), async (req, res) => {
             isFeatured: isFeatured === 'on'
         });
 
+        catalogSearch.invalidate();
+
+        await audit.record(req, {
+            action: 'product.create',
+            entity: { type: 'product', id: product._id, label: product.name },
+            after: audit.snapshot(product)
+        });
+
         req.session.success = 'Product created successfully';
         res.redirect(`/admin/products/${product._id}/edit`);
     } catch (error) {
@@ -199,7 +263,7 @@ router.post('/products', upload.array('images', 5), async (req, res) => {
 });
 
 // GET /admin/products/:id/edit - Edit product form
-router.get('/products/:id/edit', async (req, res) => {
+router.get('/products/:id/edit', requirePermission('products:write'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         if (!product) {
@@ -220,17 +284,19 @@ router.get('/products/:id/edit', async (req, res) => {
 });
 
 // PUT /admin/products/:id - Update product
-router.post('/products/:id', upload.array('images', 5), async (req, res) => {
+router.post('/products/:id', requirePermission('products:write'), upload.array('images', 5), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
         if (!product) {
             req.session.error = 'Product not found';
             return res.redirect('/admin/products');
         }
+        const before = stockAlerts.snapshot(product);
+        const previous = audit.snapshot(product);
 
         const {
             name, description, shortDescription, brand, category, gender,
-            price, salePrice, sizes, colors, features, materials, tags,
+            price, salePrice, taxClass, weight, sizes, colors, variants, features, materials, tags,
             isActive, isFeatured, existingImages
         } = req.body;
 
@@ -243,7 +309,8 @@ router.post('/products/:id', upload.array('images', 5), async (req, res) => {
         product.gender = gender;
         product.price = parseFloat(price);
         product.salePrice = salePrice ? parseFloat(salePrice) : undefined;
-        product.sizes = JSON.parse(sizes || '[]');
+        product.taxClass = taxClass || undefined;
+        if (weight) product.weight = parseFloat(weight);
         product.colors = JSON.parse(colors || '[]');
         product.features = features ? features.split(',').map(f => f.trim()) : [];
         product.materials = materials ? materials.split(',').map(m => m.trim()) : [];
@@ -251,6 +318,13 @@ router.post('/products/:id', upload.array('images', 5), async (req, res) => {
         product.isActive = isActive === 'on';
         product.isFeatured = isFeatured === 'on';
 
+        // Variants and sizes only change when the form sends them, and their
+        // stock only through PUT /admin/inventory/:id
+        const units = {
+            variants: variants !== undefined ? parseUnits(variants, { withColor: true }) : undefined,
+            sizes: sizes !== undefined ? parseUnits(sizes, { withColor: false }) : undefined
+        };
+
         // Handle existing images
         const keptImages = existingImages ? JSON.parse(existingImages) : [];
         product.images = product.images.filter(img => keptImages.includes(img.url));
@@ -268,6 +342,16 @@ router.post('/products/:id', upload.array('images', 5), async (req, res) => {
         }
 
         await product.save();
+        const updated = units.variants || units.sizes ? await product.mergeStockUnits(units) : product;
+        notifyAlerts(before, updated);
+        catalogSearch.invalidate();
+
+        await audit.record(req, {
+            action: 'product.update',
+            entity: { type: 'product', id: product._id, label: product.name },
+            before: previous,
+            after: audit.snapshot(updated)
+        });
 
         req.session.success = 'Product updated successfully';
         res.redirect(`/admin/products/${product._id}/edit`);
@@ -278,12 +362,99 @@ router.post('/products/:id', upload.array('images', 5), async (req, res) => {
     }
 });
 
-// DELETE /admin/products/:id - Delete product
-router.delete('/products/:id', async (req, res) => {
+// DELETE /admin/products/:id - Archive product (soft delete)
+router.delete('/products/:id', requirePermission('products:write'), async (req, res) => {
     try {
-        await Product.findByIdAndDelete(req.params.id);
-        res.json({ success: true, message: 'Product deleted' });
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: null });
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Product not found' });
+        }
+
+        const previous = audit.snapshot(product);
+        product.deletedAt = new Date();
+        await product.save();
+
+        catalogSearch.invalidate();
+
+        await audit.record(req, {
+            action: 'product.archive',
+            entity: { type: 'product', id: product._id, label: product.name },
+            before: previous,
+            after: audit.snapshot(product)
+        });
+
+        res.json({ success: true, message: 'Product archived' });
     } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to archive product' });
+    }
+});
+
+// PUT /admin/products/:id/restore - Bring an archived product back (inactive)
+router.put('/products/:id/restore', requirePermission('products:write'), async (req, res) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Archived product not found' });
+        }
+
+        const previous = audit.snapshot(product);
+        product.deletedAt = null;
+        await product.save();
+
+        catalogSearch.invalidate();
+
+        await audit.record(req, {
+            action: 'product.restore',
+            entity: { type: 'product', id: product._id, label: product.name },
+            before: previous,
+            after: audit.snapshot(product)
+        });
+
+        res.json({ success: true, message: 'Product restored. It stays hidden until you mark it active.' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to restore product' });
+    }
+});
+
+// DELETE /admin/products/:id/purge - Permanently delete an archived product
+// Refused while any order references it, so order history never loses items
+router.delete('/products/:id/purge', requirePermission('products:write'), async (req, res) => {
+    try {
+        const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+        if (!product) {
+            return res.status(404).json({ success: false, message: 'Archive the product before deleting it permanently' });
+        }
+
+        const orderCount = await Order.countDocuments({ 'items.product': product._id });
+        if (orderCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `${orderCount} order(s) include this product, so it can only stay archived`
+            });
+        }
+
+        await Product.deleteOne({ _id: product._id });
+
+        // Drop leftover references to the product
+        await Promise.all([
+            Cart.updateMany({ 'items.product': product._id }, { $pull: { items: { product: product._id } } }),
+            User.updateMany({ wishlist: product._id }, { $pull: { wishlist: product._id } }),
+            Promotion.updateMany({ 'scope.products': product._id }, { $pull: { 'scope.products': product._id } }),
+            StockHold.deleteMany({ product: product._id }),
+            StockAlert.deleteMany({ product: product._id })
+        ]);
+
+        catalogSearch.invalidate();
+
+        await audit.record(req, {
+            action: 'product.purge',
+            entity: { type: 'product', id: product._id, label: product.name },
+            before: audit.snapshot(product)
+        });
+
+        res.json({ success: true, message: 'Product permanently deleted' });
+    } catch (error) {
+        console.error('Purge product error:', error);
         res.status(500).json({ success: false, message: 'Failed to delete product' });
     }
 });
@@ -291,35 +462,101 @@ router.delete('/products/:id', async (req, res) => {
 // ==================== INVENTORY ====================
 
 // GET /admin/inventory - Inventory management
-router.get('/inventory', async (req, res) => {
+router.get('/inventory', requirePermission('inventory:write'), async (req, res) => {
     try {
-        const products = await Product.find()
-            .select('name brand sizes totalStock')
+        const products = await Product.find({ deletedAt: null })
+            .select('name brand sizes variants totalStock')
             .sort({ totalStock: 1 });
 
+        if (req.auth) {
+            return res.json({ success: true, data: products });
+        }
+
         res.render('admin/inventory', {
             title: 'Inventory Management',
             products
         });
     } catch (error) {
         console.error('Inventory error:', error);
+        if (req.auth) {
+            return res.status(500).json({ success: false, message: 'Failed to load inventory' });
+        }
         req.session.error = 'Failed to load inventory';
         res.redirect('/admin');
     }
 });
 
 // PUT /admin/inventory/:id - Update stock
-router.put('/inventory/:id', async (req, res) => {
+// Accepts `variants: [{ sku, stock, price }]` for variant products, or `sizes` for size-only products
+router.put('/inventory/:id', requirePermission('inventory:write'), async (req, res) => {
     try {
-        const { sizes } = req.body;
+        const { sizes, variants } = req.body;
         const product = await Product.findById(req.params.id);
         
         if (!product) {
             return res.status(404).json({ success: false, message: 'Product not found' });
         }
+        const before = stockAlerts.snapshot(product);
+        const previous = audit.snapshot(product);
+
+        if (Array.isArray(variants)) {
+            for (const update of variants) {
+                // Size/color lookups match colors case-insensitively, like findVariant()
+                const match = update.sku
+                    ? { sku: String(update.sku).toUpperCase() }
+                    : product.findVariant(parseFloat(update.size), update.color);
+                const variant = match && product.variants.find(v => v.sku === match.sku);
+
+                if (!variant) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Unknown variant ${update.sku || `${update.size}/${update.color}`}`
+                    });
+                }
+
+                if (update.stock !== undefined) {
+                    const stock = parseStock(update.stock);
+                    if (stock === null) {
+                        return res.status(400).json({
+                            success: false,
+                            message: `Stock for ${variant.sku} must be a whole number of 0 or more`
+                        });
+                    }
+                    variant.stock = stock;
+                }
+                if (update.price !== undefined) {
+                    variant.price = update.price === null || update.price === '' ? undefined : parseFloat(update.price);
+                }
+            }
+        } else if (product.variants.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This product tracks stock per variant; send variants instead of sizes'
+            });
+        } else {
+            if (!Array.isArray(sizes)) {
+                return res.status(400).json({ success: false, message: 'Send sizes as a list of { size, stock }' });
+            }
+            const invalid = sizes.find(entry => parseStock(entry && entry.stock) === null);
+            if (invalid !== undefined) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Stock for size ${invalid ? invalid.size : '?'} must be a whole number of 0 or more`
+                });
+            }
+            product.sizes = sizes.map(entry => ({ ...entry, stock: parseStock(entry.stock) }));
+        }
 
-        product.sizes = sizes;
         await product.save();
+        notifyAlerts(before, product);
+        catalogSearch.invalidate();
+
+        await audit.record(req, {
+            action: 'inventory.update',
+            entity: { type: 'product', id: product._id, label: product.name },
+            before: previous,
+            after: audit.snapshot(product)
+        });
 
         res.json({ success: true, message: 'Stock updated', totalStock: product.totalStock });
     } catch (error) {
@@ -330,7 +567,7 @@ router.put('/inventory/:id', async (req, res) => {
 // ==================== ORDERS ====================
 
 // GET /admin/orders - List all orders
-router.get('/orders', async (req, res) => {
+router.get('/orders', requirePermission('orders:manage'), async (req, res) => {
     try {
         const { page = 1, status } = req.query;
         const limit = 20;
@@ -348,48 +585,68 @@ router.get('/orders', async (req, res) => {
             Order.countDocuments(query)
         ]);
 
+        const pagination = {
+            page: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            total
+        };
+
+        if (req.auth) {
+            return res.json({ success: true, data: orders, pagination });
+        }
+
         res.render('admin/orders/list', {
             title: 'Manage Orders',
             orders,
-            pagination: {
-                page: parseInt(page),
-                totalPages: Math.ceil(total / limit),
-                total
-            },
+            pagination,
             filters: { status }
         });
     } catch (error) {
         console.error('List orders error:', error);
+        if (req.auth) {
+            return res.status(500).json({ success: false, message: 'Failed to load orders' });
+        }
         req.session.error = 'Failed to load orders';
         res.redirect('/admin');
     }
 });
 
 // GET /admin/orders/:id - Order details
-router.get('/orders/:id', async (req, res) => {
+router.get('/orders/:id', requirePermission('orders:manage'), async (req, res) => {
     try {
         const order = await Order.findById(req.params.id)
             .populate('user', 'firstName lastName email phone')
             .populate('items.product', 'name slug images');
 
         if (!order) {
+            if (req.auth) {
+                return res.status(404).json({ success: false, message: 'Order not found' });
+            }
             req.session.error = 'Order not found';
             return res.redirect('/admin/orders');
         }
 
+        if (req.auth) {
+            return res.json({ success: true, data: order });
+        }
+
         res.render('admin/orders/detail', {
             title: `Order ${order.orderNumber}`,
-            order
+            order,
+            shippingMethod: shipping.getMethod(order.shipping.method)
         });
     } catch (error) {
         console.error('Order detail error:', error);
+        if (req.auth) {
+            return res.status(500).json({ success: false, message: 'Failed to load order' });
+        }
         req.session.error = 'Failed to load order';
         res.redirect('/admin/orders');
     }
 });
 
 // PUT /admin/orders/:id/status - Update order status
-router.put('/orders/:id/status', async (req, res) => {
+router.put('/orders/:id/status', requirePermission('orders:manage'), async (req, res) => {
     try {
         const { status, note, trackingNumber } = req.body;
         const order = await Order.findById(req.params.id);
@@ -398,26 +655,721 @@ router.put('/orders/:id/status', async (req, res) => {
             return res.status(404).json({ success: false, message: 'Order not found' });
         }
 
-        order.status = status;
-        if (trackingNumber) order.trackingNumber = trackingNumber;
-        
-        order.statusHistory.push({
-            status,
-            note: note || `Status updated to ${status}`
-        });
+        const previous = orderState(order);
+        await orderLifecycle.transition(order, status, { note, trackingNumber, actor: 'admin' });
 
-        await order.save();
+        await audit.record(req, {
+            action: 'order.status',
+            entity: { type: 'order', id: order._id, label: order.orderNumber },
+            before: previous,
+            after: orderState(order)
+        });
 
         res.json({ success: true, message: 'Order status updated' });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Update order status error:', error);
         res.status(500).json({ success: false, message: 'Failed to update status' });
     }
 });
 
+// ==================== RETURNS ====================
+
+// GET /admin/returns - Return requests across orders
+router.get('/returns', requirePermission('orders:manage'), async (req, res) => {
+    try {
+        const { page = 1, status = 'requested' } = req.query;
+        const limit = 20;
+        const skip = (page - 1) * limit;
+
+        const query = status === 'all'
+            ? { 'returns.0': { $exists: true } }
+            : { 'returns.status': status };
+
+        const [orders, total] = await Promise.all([
+            Order.find(query)
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate('user', 'firstName lastName email'),
+            Order.countDocuments(query)
+        ]);
+
+        // One row per return, with the order lines it covers
+        const rows = orders.flatMap(order => order.returns
+            .filter(rma => status === 'all' || rma.status === status)
+            .map(rma => ({
+                order,
+                rma,
+                items: rma.items.map(item => ({
+                    line: order.items.id(item.orderItem),
+                    quantity: item.quantity
+                })),
+                suggestedRefund: returns.suggestedRefund(order, rma)
+            })))
+            .sort((a, b) => b.rma.requestedAt - a.rma.requestedAt);
+
+        const pagination = {
+            page: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            total
+        };
+
+        if (req.auth) {
+            return res.json({
+                success: true,
+                data: rows.map(({ order, rma, suggestedRefund }) => ({
+                    order: { _id: order._id, orderNumber: order.orderNumber, user: order.user },
+                    return: rma,
+                    suggestedRefund
+                })),
+                pagination
+            });
+        }
+
+        res.render('admin/returns/list', {
+            title: 'Manage Returns',
+            returns: rows,
+            pagination,
+            filters: { status }
+        });
+    } catch (error) {
+        console.error('List returns error:', error);
+        if (req.auth) {
+            return res.status(500).json({ success: false, message: 'Failed to load returns' });
+        }
+        req.session.error = 'Failed to load returns';
+        res.redirect('/admin');
+    }
+});
+
+// PUT /admin/returns/:orderId/:returnId - Approve, reject, receive or refund a return
+router.put('/returns/:orderId/:returnId', requirePermission('orders:manage'), async (req, res) => {
+    try {
+        const { action, note, restock, amount } = req.body;
+        const order = await Order.findById(req.params.orderId);
+
+        if (!order) {
+            return res.status(404).json({ success: false, message: 'Order not found' });
+        }
+
+        const rma = returns.findReturn(order, req.params.returnId);
+        const previous = audit.snapshot(rma);
+
+        switch (action) {
+            case 'approve':
+                returns.approve(order, rma, note);
+                break;
+            case 'reject':
+                returns.reject(order, rma, note);
+                break;
+            case 'receive':
+                await returns.receive(order, rma, { restock: restock === true || restock === 'true' });
+                break;
+            case 'refund':
+                await returns.refund(order, rma, { amount });
+                break;
+            default:
+                return res.status(400).json({ success: false, message: 'Unknown return action' });
+        }
+
+        await order.save();
+
+        await audit.record(req, {
+            action: `return.${action}`,
+            entity: { type: 'order', id: order._id, label: `${order.orderNumber} ${rma.rmaNumber}` },
+            before: previous,
+            after: audit.snapshot(rma)
+        });
+
+        res.json({ success: true, message: `Return ${rma.rmaNumber} ${rma.status}`, data: rma });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Update return error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update return' });
+    }
+});
+
+// ==================== REVIEWS ====================
+
+// GET /admin/reviews - Moderation queue (pending by default)
+router.get('/reviews', requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const { status = 'pending' } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const result = await reviews.queue({ status, page });
+
+        res.render('admin/reviews/list', {
+            title: 'Moderate Reviews',
+            reviews: result.reviews,
+            statuses: reviews.STATUSES,
+            pagination: {
+                page,
+                totalPages: result.totalPages,
+                total: result.total
+            },
+            filters: { status }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            req.session.error = error.message;
+            return res.redirect('/admin/reviews');
+        }
+        console.error('List reviews error:', error);
+        req.session.error = 'Failed to load reviews';
+        res.redirect('/admin');
+    }
+});
+
+// PUT /admin/reviews/:productId/:reviewId - Approve or reject a review
+// Body: { status: 'approved' | 'rejected', note? }
+router.put('/reviews/:productId/:reviewId', requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const { product, review, previousStatus } = await reviews.moderate(
+            req.params.productId,
+            req.params.reviewId,
+            { status, note, moderatorId: req.session.user.id }
+        );
+
+        await audit.record(req, {
+            action: status === 'approved' ? 'review.approve' : 'review.reject',
+            entity: { type: 'review', id: review._id, label: product.name },
+            before: { status: previousStatus },
+            after: { status, note }
+        });
+
+        res.json({
+            success: true,
+            message: `Review ${status}`,
+            data: { status: review.status, rating: product.rating }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Moderate review error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update review' });
+    }
+});
+
+// DELETE /admin/reviews/:productId/:reviewId - Remove a review permanently
+router.delete('/reviews/:productId/:reviewId', requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const { product, review } = await reviews.remove(
+            req.params.productId,
+            req.params.reviewId,
+            req.session.user,
+            { moderator: true }
+        );
+
+        await audit.record(req, {
+            action: 'review.delete',
+            entity: { type: 'review', id: review._id, label: product.name },
+            before: audit.snapshot(review)
+        });
+
+        res.json({ success: true, message: 'Review deleted', data: { rating: product.rating } });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        console.error('Delete review error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete review' });
+    }
+});
+
+// ==================== PROMOTIONS ====================
+
+// Map the promotion form onto model fields
+const parsePromotionForm = (body) => {
+    const splitList = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+    const optionalNumber = (value) => (value === undefined || value === '' ? undefined : parseFloat(value));
+    const optionalDate = (value) => (value ? new Date(value) : undefined);
+
+    return {
+        code: body.code,
+        description: body.description,
+        type: body.type,
+        value: optionalNumber(body.value) || 0,
+        buyQuantity: optionalNumber(body.buyQuantity),
+        getQuantity: optionalNumber(body.getQuantity),
+        scope: {
+            brands: splitList(body.brands),
+            categories: splitList(body.categories),
+            products: splitList(body.products)
+        },
+        minSubtotal: optionalNumber(body.minSubtotal) || 0,
+        usageLimit: optionalNumber(body.usageLimit),
+        perCustomerLimit: optionalNumber(body.perCustomerLimit),
+        startsAt: optionalDate(body.startsAt),
+        endsAt: optionalDate(body.endsAt),
+        isActive: body.isActive === 'on'
+    };
+};
+
+// GET /admin/promotions - List promotions
+router.get('/promotions', requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const { page = 1, status } = req.query;
+        const limit = 20;
+        const skip = (page - 1) * limit;
+
+        const now = new Date();
+        const query = {};
+        if (status === 'active') {
+            query.isActive = true;
+            query.$and = [
+                { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+                { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+            ];
+        } else if (status === 'expired') {
+            query.endsAt = { $lt: now };
+        } else if (status === 'inactive') {
+            query.isActive = false;
+        }
+
+        const [promotions, total] = await Promise.all([
+            Promotion.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Promotion.countDocuments(query)
+        ]);
+
+        res.render('admin/promotions/list', {
+            title: 'Manage Promotions',
+            promotions,
+            pagination: {
+                page: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                total
+            },
+            filters: { status }
+        });
+    } catch (error) {
+        console.error('List promotions error:', error);
+        req.session.error = 'Failed to load promotions';
+        res.redirect('/admin');
+    }
+});
+
+// GET /admin/promotions/new - New promotion form
+router.get('/promotions/new', requirePermission('promotions:manage'), (req, res) => {
+    res.render('admin/promotions/form', {
+        title: 'Add New Promotion',
+        promotion: null,
+        isEdit: false
+    });
+});
+
+// POST /admin/promotions - Create promotion
+router.post('/promotions', requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotion = await Promotion.create(parsePromotionForm(req.body));
+
+        await audit.record(req, {
+            action: 'promotion.create',
+            entity: { type: 'promotion', id: promotion._id, label: promotion.code },
+            after: audit.snapshot(promotion)
+        });
+
+        req.session.success = 'Promotion created successfully';
+        res.redirect(`/admin/promotions/${promotion._id}/edit`);
+    } catch (error) {
+        console.error('Create promotion error:', error);
+        req.session.error = 'Failed to create promotion: ' + error.message;
+        res.redirect('/admin/promotions/new');
+    }
+});
+
+// GET /admin/promotions/:id/edit - Edit promotion form
+router.get('/promotions/:id/edit', requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+        if (!promotion) {
+            req.session.error = 'Promotion not found';
+            return res.redirect('/admin/promotions');
+        }
+
+        res.render('admin/promotions/form', {
+            title: 'Edit Promotion',
+            promotion,
+            isEdit: true
+        });
+    } catch (error) {
+        console.error('Edit promotion error:', error);
+        req.session.error = 'Failed to load promotion';
+        res.redirect('/admin/promotions');
+    }
+});
+
+// PUT /admin/promotions/:id - Update promotion
+router.post('/promotions/:id', requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findById(req.params.id);
+        if (!promotion) {
+            req.session.error = 'Promotion not found';
+            return res.redirect('/admin/promotions');
+        }
+
+        const previous = audit.snapshot(promotion);
+        promotion.set(parsePromotionForm(req.body));
+        await promotion.save();
+
+        await audit.record(req, {
+            action: 'promotion.update',
+            entity: { type: 'promotion', id: promotion._id, label: promotion.code },
+            before: previous,
+            after: audit.snapshot(promotion)
+        });
+
+        req.session.success = 'Promotion updated successfully';
+        res.redirect(`/admin/promotions/${promotion._id}/edit`);
+    } catch (error) {
+        console.error('Update promotion error:', error);
+        req.session.error = 'Failed to update promotion: ' + error.message;
+        res.redirect(`/admin/promotions/${req.params.id}/edit`);
+    }
+});
+
+// DELETE /admin/promotions/:id - Delete promotion
+router.delete('/promotions/:id', requirePermission('promotions:manage'), async (req, res) => {
+    try {
+        const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+        if (promotion) {
+            await audit.record(req, {
+                action: 'promotion.delete',
+                entity: { type: 'promotion', id: promotion._id, label: promotion.code },
+                before: audit.snapshot(promotion)
+            });
+        }
+
+        res.json({ success: true, message: 'Promotion deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to delete promotion' });
+    }
+});
+
+// ==================== TAX RULES ====================
+
+// Map the tax rule form onto model fields
+const parseTaxRuleForm = (body) => ({
+    name: body.name,
+    country: taxes.normalizeCountry(body.country),
+    state: body.state || undefined,
+    zipPrefix: body.zipPrefix || undefined,
+    taxClass: body.taxClass || 'standard',
+    rate: parseFloat(body.rate),
+    appliesToShipping: body.appliesToShipping === 'on',
+    isActive: body.isActive === 'on'
+});
+
+// GET /admin/tax-rules - List tax rules
+router.get('/tax-rules', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const { country, state, taxClass } = req.query;
+
+        const query = {};
+        if (country) query.country = taxes.normalizeCountry(country);
+        if (state) query.state = state.toUpperCase();
+        if (taxClass) query.taxClass = taxClass;
+
+        const [rules, categories] = await Promise.all([
+            TaxRule.find(query).sort({ country: 1, state: 1, zipPrefix: 1, taxClass: 1 }),
+            Category.find().select('name taxClass').sort({ displayOrder: 1 })
+        ]);
+
+        res.render('admin/tax-rules/list', {
+            title: 'Tax Rules',
+            rules,
+            categories,
+            pricesIncludeTax: taxes.PRICES_INCLUDE_TAX,
+            filters: { country, state, taxClass }
+        });
+    } catch (error) {
+        console.error('List tax rules error:', error);
+        req.session.error = 'Failed to load tax rules';
+        res.redirect('/admin');
+    }
+});
+
+// GET /admin/tax-rules/new - New tax rule form
+router.get('/tax-rules/new', requirePermission('settings:manage'), (req, res) => {
+    res.render('admin/tax-rules/form', {
+        title: 'Add Tax Rule',
+        rule: null,
+        isEdit: false
+    });
+});
+
+// POST /admin/tax-rules - Create tax rule
+router.post('/tax-rules', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const rule = await TaxRule.create(parseTaxRuleForm(req.body));
+
+        await audit.record(req, {
+            action: 'taxRule.create',
+            entity: { type: 'taxRule', id: rule._id, label: rule.name },
+            after: audit.snapshot(rule)
+        });
+
+        req.session.success = 'Tax rule created successfully';
+        res.redirect('/admin/tax-rules');
+    } catch (error) {
+        console.error('Create tax rule error:', error);
+        req.session.error = 'Failed to create tax rule: ' + error.message;
+        res.redirect('/admin/tax-rules/new');
+    }
+});
+
+// GET /admin/tax-rules/:id/edit - Edit tax rule form
+router.get('/tax-rules/:id/edit', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const rule = await TaxRule.findById(req.params.id);
+        if (!rule) {
+            req.session.error = 'Tax rule not found';
+            return res.redirect('/admin/tax-rules');
+        }
+
+        res.render('admin/tax-rules/form', {
+            title: 'Edit Tax Rule',
+            rule,
+            isEdit: true
+        });
+    } catch (error) {
+        console.error('Edit tax rule error:', error);
+        req.session.error = 'Failed to load tax rule';
+        res.redirect('/admin/tax-rules');
+    }
+});
+
+// PUT /admin/tax-rules/:id - Update tax rule
+router.post('/tax-rules/:id', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const rule = await TaxRule.findById(req.params.id);
+        if (!rule) {
+            req.session.error = 'Tax rule not found';
+            return res.redirect('/admin/tax-rules');
+        }
+
+        const previous = audit.snapshot(rule);
+        rule.set(parseTaxRuleForm(req.body));
+        await rule.save();
+
+        await audit.record(req, {
+            action: 'taxRule.update',
+            entity: { type: 'taxRule', id: rule._id, label: rule.name },
+            before: previous,
+            after: audit.snapshot(rule)
+        });
+
+        req.session.success = 'Tax rule updated successfully';
+        res.redirect('/admin/tax-rules');
+    } catch (error) {
+        console.error('Update tax rule error:', error);
+        req.session.error = 'Failed to update tax rule: ' + error.message;
+        res.redirect(`/admin/tax-rules/${req.params.id}/edit`);
+    }
+});
+
+// DELETE /admin/tax-rules/:id - Delete tax rule
+router.delete('/tax-rules/:id', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const rule = await TaxRule.findByIdAndDelete(req.params.id);
+
+        if (rule) {
+            await audit.record(req, {
+                action: 'taxRule.delete',
+                entity: { type: 'taxRule', id: rule._id, label: rule.name },
+                before: audit.snapshot(rule)
+            });
+        }
+
+        res.json({ success: true, message: 'Tax rule deleted' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to delete tax rule' });
+    }
+});
+
+// PUT /admin/categories/:id/tax-class - Set a category's default tax class
+router.put('/categories/:id/tax-class', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const { taxClass } = req.body;
+        const category = await Category.findById(req.params.id);
+
+        if (!category) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
+        }
+
+        const previous = category.taxClass;
+        category.taxClass = taxClass || 'standard';
+        await category.save();
+
+        await audit.record(req, {
+            action: 'category.taxClass',
+            entity: { type: 'category', id: category._id, label: category.name },
+            before: { taxClass: previous },
+            after: { taxClass: category.taxClass }
+        });
+
+        res.json({ success: true, message: 'Tax class updated', taxClass: category.taxClass });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to update tax class' });
+    }
+});
+
+// ==================== SHIPPING ====================
+
+// GET /admin/shipping - Shipping methods and rate tables
+router.get('/shipping', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const { zip, state, country } = req.query;
+
+        // Optional sample quote for a single pair to a given address
+        let sampleRates = null;
+        if (zip) {
+            sampleRates = await shipping.getRates({
+                items: [{ quantity: 1 }],
+                subtotal: 0,
+                destination: { zipCode: zip, state, country }
+            });
+        }
+
+        res.render('admin/shipping', {
+            title: 'Shipping',
+            methods: shipping.getMethods(),
+            sampleRates,
+            filters: { zip, state, country }
+        });
+    } catch (error) {
+        console.error('Shipping admin error:', error);
+        req.session.error = 'Failed to load shipping settings';
+        res.redirect('/admin');
+    }
+});
+
+// ==================== SETTINGS ====================
+
+// GET /admin/settings - Site settings
+router.get('/settings', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        res.render('admin/settings', {
+            title: 'Site Settings',
+            settings: await siteSettings.get()
+        });
+    } catch (error) {
+        console.error('Settings error:', error);
+        req.session.error = 'Failed to load settings';
+        res.redirect('/admin');
+    }
+});
+
+// POST /admin/settings - Update site settings
+router.post('/settings', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const requireAdminTwoFactor = req.body.requireAdminTwoFactor === 'on';
+
+        // Don't let an admin lock everyone, themselves included, out of /admin
+        if (requireAdminTwoFactor && !req.session.user.twoFactorEnabled) {
+            req.session.error = 'Turn on two-factor authentication for your own account before requiring it for admins';
+            return res.redirect('/admin/settings');
+        }
+
+        const previous = audit.snapshot(await siteSettings.get());
+        const settings = await siteSettings.update({ requireAdminTwoFactor });
+
+        await audit.record(req, {
+            action: 'settings.update',
+            entity: { type: 'settings', id: 'site', label: 'Site settings' },
+            before: previous,
+            after: audit.snapshot(settings)
+        });
+
+        req.session.success = 'Settings saved';
+        res.redirect('/admin/settings');
+    } catch (error) {
+        console.error('Update settings error:', error);
+        req.session.error = 'Failed to save settings';
+        res.redirect('/admin/settings');
+    }
+});
+
+// ==================== API TOKENS ====================
+
+// GET /admin/api-tokens - Personal API tokens
+router.get('/api-tokens', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        res.render('admin/api-tokens', {
+            title: 'API Tokens',
+            tokens: await authTokens.listApiTokens(),
+            scopes: authTokens.SCOPES
+        });
+    } catch (error) {
+        console.error('API tokens error:', error);
+        req.session.error = 'Failed to load API tokens';
+        res.redirect('/admin');
+    }
+});
+
+// POST /admin/api-tokens - Create a personal API token for the current admin
+router.post('/api-tokens', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const { name, scopes, expiresInDays } = req.body;
+        const { token, apiToken } = await authTokens.createApiToken({
+            userId: req.session.user.id,
+            name,
+            scopes,
+            expiresInDays
+        });
+
+        await audit.record(req, {
+            action: 'apiToken.create',
+            entity: { type: 'apiToken', id: apiToken._id, label: apiToken.name },
+            after: audit.snapshot(apiToken)
+        });
+
+        // The raw token is shown once and never stored
+        res.render('admin/api-token-created', {
+            title: 'API Token Created',
+            token,
+            apiToken
+        });
+    } catch (error) {
+        if (!error.statusCode && error.name !== 'ValidationError') console.error('Create API token error:', error);
+        req.session.error = error.statusCode || error.name === 'ValidationError'
+            ? error.message
+            : 'Failed to create API token';
+        res.redirect('/admin/api-tokens');
+    }
+});
+
+// DELETE /admin/api-tokens/:id - Revoke a personal API token
+router.delete('/api-tokens/:id', requirePermission('settings:manage'), async (req, res) => {
+    try {
+        const apiToken = await authTokens.revokeApiToken(req.params.id);
+        if (!apiToken) {
+            return res.status(404).json({ success: false, message: 'Token not found or already revoked' });
+        }
+
+        await audit.record(req, {
+            action: 'apiToken.revoke',
+            entity: { type: 'apiToken', id: apiToken._id, label: apiToken.name },
+            before: { revokedAt: null },
+            after: { revokedAt: apiToken.revokedAt.toISOString() }
+        });
+        res.json({ success: true, message: 'API token revoked' });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to revoke API token' });
+    }
+});
+
 // ==================== USERS ====================
 
 // GET /admin/users - List users
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
     try {
         const { page = 1, role } = req.query;
         const limit = 20;
@@ -434,6 +1386,7 @@ router.get('/users', async (req, res) => {
         res.render('admin/users/list', {
             title: 'Manage Users',
             users,
+            roles: permissions.ROLES,
             pagination: {
                 page: parseInt(page),
                 totalPages: Math.ceil(total / limit),
@@ -448,4 +1401,146 @@ router.get('/users', async (req, res) => {
     }
 });
 
+// PUT /admin/users/:id/role - Assign a role
+router.put('/users/:id/role', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        if (String(user._id) === String(req.session.user.id)) {
+            return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+        }
+        if (!permissions.ROLES[role]) {
+            return res.status(400).json({ success: false, message: 'Unknown role' });
+        }
+        // No handing out, or taking away, more than you hold yourself
+        if (!permissions.canAssignRole(req.session.user, role) ||
+            !permissions.canAssignRole(req.session.user, user.role)) {
+            return res.status(403).json({ success: false, message: 'You cannot assign that role' });
+        }
+        if (user.role === 'admin' && role !== 'admin' &&
+            await User.countDocuments({ role: 'admin', isActive: true, _id: { $ne: user._id } }) === 0) {
+            return res.status(400).json({ success: false, message: 'The store needs at least one administrator' });
+        }
+
+        const previous = user.role;
+        user.role = role;
+        await user.save();
+
+        await audit.record(req, {
+            action: 'user.role',
+            entity: { type: 'user', id: user._id, label: user.email },
+            before: { role: previous },
+            after: { role }
+        });
+
+        res.json({ success: true, message: `${user.email} is now ${permissions.ROLES[role].label}` });
+    } catch (error) {
+        console.error('Update role error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update role' });
+    }
+});
+
+// GET /admin/users/lockouts - Accounts and IPs locked out by failed logins
+router.get('/users/lockouts', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const lockouts = await loginGuard.listLocked();
+        const emails = lockouts.filter(l => l.scope === 'account').map(l => l.key);
+        const users = await User.find({ email: { $in: emails } }).select('firstName lastName email role');
+        const usersByEmail = new Map(users.map(user => [user.email, user]));
+
+        res.render('admin/users/lockouts', {
+            title: 'Locked Accounts',
+            lockouts: lockouts.map(lockout => ({
+                lockout,
+                user: lockout.scope === 'account' ? usersByEmail.get(lockout.key) : null
+            }))
+        });
+    } catch (error) {
+        console.error('List lockouts error:', error);
+        req.session.error = 'Failed to load locked accounts';
+        res.redirect('/admin/users');
+    }
+});
+
+// DELETE /admin/users/lockouts/:id - Unlock an account or IP
+router.delete('/users/lockouts/:id', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const lockout = await loginGuard.unlock(req.params.id);
+        if (!lockout) {
+            return res.status(404).json({ success: false, message: 'Lockout not found' });
+        }
+
+        await audit.record(req, {
+            action: 'lockout.unlock',
+            entity: { type: lockout.scope === 'account' ? 'account' : 'ip', id: lockout._id, label: lockout.key },
+            before: audit.snapshot(lockout)
+        });
+        res.json({ success: true, message: `Unlocked ${lockout.key}` });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to unlock' });
+    }
+});
+
+// ==================== AUDIT LOG ====================
+
+const auditFilters = (query) => ({
+    actor: query.actor,
+    action: query.action,
+    entityType: query.entityType,
+    entityId: query.entityId,
+    from: query.from,
+    to: query.to
+});
+
+// GET /admin/audit - Browse the audit log
+router.get('/audit', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = 50;
+        const filters = auditFilters(req.query);
+
+        const [{ entries, total }, options] = await Promise.all([
+            audit.list(filters, { page, limit }),
+            audit.filterOptions()
+        ]);
+
+        res.render('admin/audit', {
+            title: 'Audit Log',
+            entries,
+            options,
+            pagination: {
+                page,
+                totalPages: Math.ceil(total / limit),
+                total
+            },
+            filters
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        req.session.error = 'Failed to load audit log';
+        res.redirect('/admin');
+    }
+});
+
+// GET /admin/audit/export.csv - Download the filtered audit log
+router.get('/audit/export.csv', requirePermission('reports:view'), async (req, res) => {
+    try {
+        const stamp = new Date().toISOString().slice(0, 10);
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="audit-log-${stamp}.csv"`
+        });
+        await audit.exportCsv(auditFilters(req.query), res);
+    } catch (error) {
+        console.error('Audit export error:', error);
+        if (res.headersSent) return res.end();
+        req.session.error = 'Failed to export audit log';
+        res.redirect('/admin/audit');
+    }
+});
+
 module.exports = router;
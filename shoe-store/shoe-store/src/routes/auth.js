@@ -6,6 +6,16 @@ const express = require('express');
 const router = express.Router();
 const { User } = require('../models');
 const { body, validationResult } = require('express-validator');
+const cartStore = require('../services/cartStore');
+const wishlist = require('../services/wishlist');
+const mail = require('../services/mail');
+const accountTokens = require('../services/accountTokens');
+const loginGuard = require('../services/loginGuard');
+const twoFactor = require('../services/twoFactor');
+const authTokens = require('../services/authTokens');
+
+const TWO_FACTOR_TIMEOUT = 5 * 60 * 1000; // time allowed for the second login step
+const TWO_FACTOR_MAX_TRIES = 5;
 
 // Validation middleware
 const registerValidation = [
@@ -20,6 +30,79 @@ const loginValidation = [
     body('password').notEmpty().withMessage('Password is required')
 ];
 
+const forgotPasswordValidation = [
+    body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email')
+];
+
+const newPasswordValidation = [
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('confirmPassword').custom((value, { req }) => value === req.body.password)
+        .withMessage('Passwords do not match')
+];
+
+const changePasswordValidation = [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    ...newPasswordValidation
+];
+
+// Email a fresh verification link. `template` is 'welcome' on signup, which
+// carries the link along with the greeting.
+const sendVerificationEmail = async (user, template = 'verify-email') => {
+    const token = await accountTokens.issue(user._id, 'verify');
+    await mail.send(template, user.email, {
+        user,
+        verifyUrl: mail.url(`/auth/verify-email/${token}`)
+    });
+};
+
+// Merge the guest cart and wishlist into the account. A failure here must not
+// block sign-in, so errors are logged and an empty notice is returned.
+const mergeGuestSession = async (req) => {
+    try {
+        await wishlist.mergeGuestWishlist(req);
+    } catch (error) {
+        console.error('Wishlist merge error:', error);
+    }
+
+    try {
+        const adjusted = await cartStore.mergeGuestCart(req);
+        return adjusted.length > 0
+            ? ' Some items in your cart were adjusted to match available stock.'
+            : '';
+    } catch (error) {
+        console.error('Cart merge error:', error);
+        return '';
+    }
+};
+
+// Sign the user in once every login step has passed
+const completeLogin = async (req, res, user, notice = '') => {
+    await loginGuard.recordSuccess(user.email);
+    await loginGuard.recordHistory(req, { user: user._id, email: user.email, success: true });
+
+    // Set session
+    req.session.user = authTokens.sessionUser(user);
+
+    const cartNotice = await mergeGuestSession(req);
+
+    req.session.success = `Welcome back, ${user.firstName}!` + cartNotice + notice;
+
+    // Redirect to intended page or home
+    const redirectTo = req.session.returnTo || '/';
+    delete req.session.returnTo;
+    res.redirect(redirectTo);
+};
+
+// The half-finished login waiting for a 2FA code, if it hasn't timed out
+const pendingTwoFactor = (req) => {
+    const pending = req.session.pendingTwoFactor;
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingTwoFactor;
+        return null;
+    }
+    return pending;
+};
+
 // GET /auth/register - Show registration form
 router.get('/register', (req, res) => {
     if (req.session.user) {
@@ -62,15 +145,14 @@ router.post('/register', registerValidation, async (req, res) => {
         });
 
         // Set session
-        req.session.user = {
-            id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role
-        };
-
-        req.session.success = 'Account created successfully! Welcome to Shoe Store.';
+        req.session.user = authTokens.sessionUser(user);
+
+        const cartNotice = await mergeGuestSession(req);
+
+        sendVerificationEmail(user, 'welcome')
+            .catch(error => console.error('Welcome email error:', error));
+
+        req.session.success = 'Account created successfully! Welcome to Shoe Store.' + cartNotice;
         res.redirect('/');
     } catch (error) {
         console.error('Registration error:', error);
@@ -106,17 +188,34 @@ router.post('/login', loginValidation, async (req, res) => {
 
         // Find user
         const user = await User.findOne({ email, isActive: true });
-        if (!user) {
-            return res.render('user/login', {
+
+        // Refuse without checking the password while backing off or locked
+        const throttle = await loginGuard.check(email, req.ip);
+        if (!throttle.allowed) {
+            await loginGuard.recordHistory(req, {
+                user: user ? user._id : undefined,
+                email,
+                success: false,
+                reason: throttle.locked ? 'locked' : 'throttled'
+            });
+            res.set('Retry-After', String(throttle.retryAfter));
+            return res.status(429).render('user/login', {
                 title: 'Login',
-                errors: [{ msg: 'Invalid email or password' }],
+                errors: [{ msg: loginGuard.blockedMessage(throttle) }],
                 formData: req.body
             });
         }
 
         // Check password
-        const isMatch = await user.comparePassword(password);
+        const isMatch = user ? await user.comparePassword(password) : false;
         if (!isMatch) {
+            await loginGuard.recordFailure(email, req.ip);
+            await loginGuard.recordHistory(req, {
+                user: user ? user._id : undefined,
+                email,
+                success: false,
+                reason: 'invalid_credentials'
+            });
             return res.render('user/login', {
                 title: 'Login',
                 errors: [{ msg: 'Invalid email or password' }],
@@ -124,21 +223,17 @@ router.post('/login', loginValidation, async (req, res) => {
             });
         }
 
-        // Set session
-        req.session.user = {
-            id: user._id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            role: user.role
-        };
-
-        req.session.success = `Welcome back, ${user.firstName}!`;
-        
-        // Redirect to intended page or home
-        const redirectTo = req.session.returnTo || '/';
-        delete req.session.returnTo;
-        res.redirect(redirectTo);
+        // Password is right; accounts with 2FA still need a code
+        if (user.twoFactor && user.twoFactor.enabled) {
+            req.session.pendingTwoFactor = {
+                userId: user._id.toString(),
+                expiresAt: Date.now() + TWO_FACTOR_TIMEOUT,
+                tries: 0
+            };
+            return res.redirect('/auth/login/2fa');
+        }
+
+        await completeLogin(req, res, user);
     } catch (error) {
         console.error('Login error:', error);
         res.render('user/login', {
@@ -149,6 +244,75 @@ router.post('/login', loginValidation, async (req, res) => {
     }
 });
 
+// GET /auth/login/2fa - Show the second login step
+router.get('/login/2fa', (req, res) => {
+    if (!pendingTwoFactor(req)) {
+        return res.redirect('/auth/login');
+    }
+    res.render('user/login-2fa', { title: 'Two-Factor Authentication' });
+});
+
+// POST /auth/login/2fa - Check the authenticator or backup code
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const pending = pendingTwoFactor(req);
+        if (!pending) {
+            req.session.error = 'Your login session expired. Please log in again.';
+            return res.redirect('/auth/login');
+        }
+
+        const user = await User.findOne({ _id: pending.userId, isActive: true });
+        if (!user) {
+            delete req.session.pendingTwoFactor;
+            return res.redirect('/auth/login');
+        }
+
+        const throttle = await loginGuard.check(user.email, req.ip);
+        if (!throttle.allowed) {
+            delete req.session.pendingTwoFactor;
+            req.session.error = loginGuard.blockedMessage(throttle);
+            return res.redirect('/auth/login');
+        }
+
+        const { valid, usedBackupCode } = await twoFactor.verify(user, req.body.code);
+        if (!valid) {
+            pending.tries += 1;
+            await loginGuard.recordFailure(user.email, req.ip);
+            await loginGuard.recordHistory(req, {
+                user: user._id,
+                email: user.email,
+                success: false,
+                reason: 'invalid_2fa'
+            });
+
+            if (pending.tries >= TWO_FACTOR_MAX_TRIES) {
+                delete req.session.pendingTwoFactor;
+                req.session.error = 'Too many invalid codes. Please log in again.';
+                return res.redirect('/auth/login');
+            }
+
+            return res.render('user/login-2fa', {
+                title: 'Two-Factor Authentication',
+                errors: [{ msg: 'Invalid authentication code' }]
+            });
+        }
+
+        delete req.session.pendingTwoFactor;
+
+        let notice = '';
+        if (usedBackupCode) {
+            const remaining = (await User.findById(user._id).select('twoFactor.backupCodes')).twoFactor.backupCodes.length;
+            notice = ` You used a backup code; ${remaining} left.`;
+        }
+
+        await completeLogin(req, res, user, notice);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        req.session.error = 'Login failed. Please try again.';
+        res.redirect('/auth/login');
+    }
+});
+
 // GET /auth/logout - Handle logout
 router.get('/logout', (req, res) => {
     req.session.destroy((err) => {
@@ -159,6 +323,152 @@ router.get('/logout', (req, res) => {
     });
 });
 
+// GET /auth/forgot-password - Show forgot password form
+router.get('/forgot-password', (req, res) => {
+    res.render('user/forgot-password', { title: 'Forgot Password' });
+});
+
+// POST /auth/forgot-password - Email a password reset link
+router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.render('user/forgot-password', {
+                title: 'Forgot Password',
+                errors: errors.array(),
+                formData: req.body
+            });
+        }
+
+        const user = await User.findOne({ email: req.body.email, isActive: true });
+        if (user) {
+            const token = await accountTokens.issue(user._id, 'reset');
+            await mail.send('password-reset', user.email, {
+                user,
+                resetUrl: mail.url(`/auth/reset-password/${token}`)
+            });
+        }
+
+        // Same answer either way, so the form can't be used to probe for accounts
+        req.session.success = 'If an account exists for that email, a password reset link is on its way.';
+        res.redirect('/auth/login');
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.render('user/forgot-password', {
+            title: 'Forgot Password',
+            errors: [{ msg: 'Something went wrong. Please try again.' }],
+            formData: req.body
+        });
+    }
+});
+
+// GET /auth/reset-password/:token - Show reset password form
+router.get('/reset-password/:token', async (req, res) => {
+    try {
+        const user = await accountTokens.peek('reset', req.params.token);
+        if (!user) {
+            req.session.error = 'This password reset link is invalid or has expired.';
+            return res.redirect('/auth/forgot-password');
+        }
+
+        res.render('user/reset-password', {
+            title: 'Reset Password',
+            token: req.params.token
+        });
+    } catch (error) {
+        console.error('Reset password page error:', error);
+        res.redirect('/auth/forgot-password');
+    }
+});
+
+// POST /auth/reset-password/:token - Set a new password
+router.post('/reset-password/:token', newPasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.render('user/reset-password', {
+                title: 'Reset Password',
+                token: req.params.token,
+                errors: errors.array()
+            });
+        }
+
+        const user = await accountTokens.consume('reset', req.params.token);
+        if (!user) {
+            req.session.error = 'This password reset link is invalid or has expired.';
+            return res.redirect('/auth/forgot-password');
+        }
+
+        user.password = req.body.password;
+        // The reset link arrived by email, which proves the address is theirs
+        user.isEmailVerified = true;
+        await user.save();
+
+        // A new password ends any lockout on the account and signs out
+        // token clients that may have used the old one
+        await loginGuard.recordSuccess(user.email);
+        await authTokens.revokeAll(user._id);
+
+        mail.send('password-changed', user.email, { user })
+            .catch(error => console.error('Password changed email error:', error));
+
+        req.session.success = 'Your password has been reset. Please log in.';
+        res.redirect('/auth/login');
+    } catch (error) {
+        console.error('Reset password error:', error);
+        req.session.error = 'Failed to reset password';
+        res.redirect('/auth/forgot-password');
+    }
+});
+
+// GET /auth/verify-email/:token - Confirm an email address
+router.get('/verify-email/:token', async (req, res) => {
+    try {
+        const user = await accountTokens.consume('verify', req.params.token);
+        if (!user) {
+            req.session.error = 'This verification link is invalid or has expired.';
+            return res.redirect(req.session.user ? '/auth/profile' : '/auth/login');
+        }
+
+        user.isEmailVerified = true;
+        await user.save();
+
+        if (req.session.user && req.session.user.id.toString() === user._id.toString()) {
+            req.session.user.isEmailVerified = true;
+        }
+
+        req.session.success = 'Thanks! Your email address is verified.';
+        res.redirect(req.session.user ? '/auth/profile' : '/auth/login');
+    } catch (error) {
+        console.error('Verify email error:', error);
+        req.session.error = 'Failed to verify email';
+        res.redirect('/');
+    }
+});
+
+// POST /auth/resend-verification - Email a new verification link
+router.post('/resend-verification', async (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        const user = await User.findById(req.session.user.id);
+        if (user.isEmailVerified) {
+            req.session.user.isEmailVerified = true;
+            req.session.success = 'Your email address is already verified.';
+        } else {
+            await sendVerificationEmail(user);
+            req.session.success = `We've sent a new verification link to ${user.email}.`;
+        }
+        res.redirect('/auth/profile');
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        req.session.error = 'Failed to send verification email';
+        res.redirect('/auth/profile');
+    }
+});
+
 // GET /auth/profile - User profile
 router.get('/profile', async (req, res) => {
     if (!req.session.user) {
@@ -168,14 +478,19 @@ router.get('/profile', async (req, res) => {
 
     try {
         const user = await User.findById(req.session.user.id);
-        const orders = await require('../models').Order.find({ user: user._id })
-            .sort({ createdAt: -1 })
-            .limit(5);
+        const [orders, loginHistory] = await Promise.all([
+            require('../models').Order.find({ user: user._id })
+                .sort({ createdAt: -1 })
+                .limit(5),
+            loginGuard.recentHistory(user._id)
+        ]);
 
         res.render('user/profile', {
             title: 'My Profile',
             profile: user,
-            orders
+            orders,
+            loginHistory,
+            twoFactorRequired: await twoFactor.isRequiredFor(user)
         });
     } catch (error) {
         console.error('Profile error:', error);
@@ -212,4 +527,143 @@ router.post('/profile', async (req, res) => {
     }
 });
 
+// POST /auth/profile/password - Change password
+router.post('/profile/password', changePasswordValidation, async (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            req.session.error = errors.array().map(e => e.msg).join(', ');
+            return res.redirect('/auth/profile');
+        }
+
+        const user = await User.findById(req.session.user.id);
+        const isMatch = await user.comparePassword(req.body.currentPassword);
+        if (!isMatch) {
+            req.session.error = 'Current password is incorrect';
+            return res.redirect('/auth/profile');
+        }
+
+        user.password = req.body.password;
+        // A pending reset link shouldn't outlive a deliberate change
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+        await authTokens.revokeAll(user._id);
+
+        mail.send('password-changed', user.email, { user })
+            .catch(error => console.error('Password changed email error:', error));
+
+        req.session.success = 'Password changed successfully!';
+        res.redirect('/auth/profile');
+    } catch (error) {
+        console.error('Change password error:', error);
+        req.session.error = 'Failed to change password';
+        res.redirect('/auth/profile');
+    }
+});
+
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+// POST /auth/2fa/setup - Start enrollment and show the QR code
+router.post('/2fa/setup', async (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        const user = await User.findById(req.session.user.id);
+        const { secret, qrCode } = await twoFactor.beginEnrollment(user);
+
+        res.render('user/two-factor-setup', {
+            title: 'Set Up Two-Factor Authentication',
+            secret,
+            qrCode
+        });
+    } catch (error) {
+        if (!error.statusCode) console.error('Two-factor setup error:', error);
+        req.session.error = error.statusCode ? error.message : 'Failed to start two-factor setup';
+        res.redirect('/auth/profile');
+    }
+});
+
+// POST /auth/2fa/enable - Confirm enrollment with a code from the app
+router.post('/2fa/enable', async (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        const user = await User.findById(req.session.user.id);
+        const backupCodes = await twoFactor.confirmEnrollment(user, req.body.code);
+
+        req.session.user.twoFactorEnabled = true;
+
+        res.render('user/two-factor-backup-codes', {
+            title: 'Backup Codes',
+            backupCodes
+        });
+    } catch (error) {
+        if (!error.statusCode) console.error('Two-factor enable error:', error);
+        req.session.error = error.statusCode ? error.message : 'Failed to enable two-factor authentication';
+        res.redirect('/auth/profile');
+    }
+});
+
+// POST /auth/2fa/backup-codes - Replace the backup codes (needs a current code)
+router.post('/2fa/backup-codes', async (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        const user = await User.findById(req.session.user.id);
+        const { valid } = await twoFactor.verify(user, req.body.code);
+        if (!valid) {
+            req.session.error = 'Invalid authentication code';
+            return res.redirect('/auth/profile');
+        }
+
+        res.render('user/two-factor-backup-codes', {
+            title: 'Backup Codes',
+            backupCodes: await twoFactor.issueBackupCodes(user._id)
+        });
+    } catch (error) {
+        console.error('Backup codes error:', error);
+        req.session.error = 'Failed to create backup codes';
+        res.redirect('/auth/profile');
+    }
+});
+
+// POST /auth/2fa/disable - Turn 2FA off (needs the password and a current code)
+router.post('/2fa/disable', async (req, res) => {
+    if (!req.session.user) {
+        return res.redirect('/auth/login');
+    }
+
+    try {
+        const user = await User.findById(req.session.user.id);
+        const isMatch = await user.comparePassword(req.body.password || '');
+        const { valid } = isMatch ? await twoFactor.verify(user, req.body.code) : { valid: false };
+
+        if (!valid) {
+            req.session.error = 'Incorrect password or authentication code';
+            return res.redirect('/auth/profile');
+        }
+
+        await twoFactor.disable(user);
+        req.session.user.twoFactorEnabled = false;
+
+        req.session.success = 'Two-factor authentication turned off';
+        res.redirect('/auth/profile');
+    } catch (error) {
+        if (!error.statusCode) console.error('Two-factor disable error:', error);
+        req.session.error = error.statusCode ? error.message : 'Failed to turn off two-factor authentication';
+        res.redirect('/auth/profile');
+    }
+});
+
 module.exports = router;
@@ -1,104 +1,48 @@
 /**
- * Cart Routes - Session-based cart management
+ * Cart Routes - Cart management backed by the Cart collection
  */
 
 const express = require('express');
 const router = express.Router();
 const { Product } = require('../models');
+const stockHolds = require('../services/stockHolds');
+const cartStore = require('../services/cartStore');
+const { requireAreaScope } = require('../middleware/auth');
 
-// Initialize cart in session
-const initCart = (req) => {
-    if (!req.session.cart) {
-        req.session.cart = {
-            items: [],
-            subtotal: 0,
-            shipping: 0,
-            tax: 0,
-            total: 0
-        };
-    }
-    return req.session.cart;
-};
-
-// Calculate cart totals
-const calculateTotals = (cart) => {
-    cart.subtotal = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-    cart.shipping = cart.subtotal >= 100 ? 0 : 9.99; // Free shipping over $100
-    cart.tax = cart.subtotal * 0.08; // 8% tax
-    cart.total = cart.subtotal + cart.shipping + cart.tax;
-    return cart;
-};
+// API tokens need cart:read / cart:write and use their user's cart, the one
+// POST /api/orders checks out
+router.use(requireAreaScope('cart'));
+
+// Find a cart line by SKU, or by product/size/color for size-only products
+const findLineIndex = (cart, { sku, productId, size, color }) => cart.items.findIndex(item => (
+    sku
+        ? item.sku === sku
+        : item.productId === productId &&
+          item.size === parseFloat(size) &&
+          (!color || item.color === color)
+));
 
 // GET /api/cart - Get cart contents
-router.get('/', (req, res) => {
-    const cart = initCart(req);
-    res.json({
-        success: true,
-        data: cart
-    });
+router.get('/', async (req, res) => {
+    try {
+        const cart = await cartStore.load(req);
+        res.json({
+            success: true,
+            data: cart
+        });
+    } catch (error) {
+        console.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch cart'
+        });
+    }
 });
 
 // POST /api/cart/add - Add item to cart
 router.post('/add', async (req, res) => {
     try {
-        const { productId, size, color, quantity = 1 } = req.body;
-
-        // Validate product
-        const product = await Product.findById(productId);
-        if (!product) {
-            return res.status(404).json({
-                success: false,
-                message: 'Product not found'
-            });
-        }
-
-        // Check size availability
-        const sizeOption = product.sizes.find(s => s.size === parseFloat(size));
-        if (!sizeOption || sizeOption.stock < quantity) {
-            return res.status(400).json({
-                success: false,
-                message: 'Selected size is not available in requested quantity'
-            });
-        }
-
-        const cart = initCart(req);
-
-        // Check if item already in cart
-        const existingIndex = cart.items.findIndex(
-            item => item.productId === productId && 
-                    item.size === parseFloat(size) && 
-                    item.color === color
-        );
-
-        if (existingIndex > -1) {
-            // Update quantity
-            const newQty = cart.items[existingIndex].quantity + parseInt(quantity);
-            if (newQty > sizeOption.stock) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Only ${sizeOption.stock} items available in this size`
-                });
-            }
-            cart.items[existingIndex].quantity = newQty;
-        } else {
-            // Add new item
-            cart.items.push({
-                productId: product._id.toString(),
-                name: product.name,
-                brand: product.brand,
-                price: product.effectivePrice,
-                originalPrice: product.price,
-                size: parseFloat(size),
-                color: color || 'Default',
-                quantity: parseInt(quantity),
-                image: product.primaryImage,
-                slug: product.slug,
-                maxStock: sizeOption.stock
-            });
-        }
-
-        calculateTotals(cart);
-        req.session.cart = cart;
+        const cart = await cartStore.addItem(req, req.body);
 
         res.json({
             success: true,
@@ -106,6 +50,12 @@ router.post('/add', async (req, res) => {
             data: cart
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Add to cart error:', error);
         res.status(500).json({
             success: false,
@@ -114,15 +64,13 @@ router.post('/add', async (req, res) => {
     }
 });
 
-// PUT /api/cart/update - Update item quantity
+// PUT /api/cart/update - Update item quantity (0 removes the line)
 router.put('/update', async (req, res) => {
     try {
-        const { productId, size, quantity } = req.body;
-        const cart = initCart(req);
+        const quantity = cartStore.parseQuantity(req.body.quantity, { min: 0 });
+        const cart = await cartStore.load(req);
 
-        const itemIndex = cart.items.findIndex(
-            item => item.productId === productId && item.size === parseFloat(size)
-        );
+        const itemIndex = findLineIndex(cart, req.body);
 
         if (itemIndex === -1) {
             return res.status(404).json({
@@ -131,26 +79,37 @@ router.put('/update', async (req, res) => {
             });
         }
 
-        if (quantity <= 0) {
+        if (quantity === 0) {
             // Remove item
-            cart.items.splice(itemIndex, 1);
+            const [removed] = cart.items.splice(itemIndex, 1);
+            await stockHolds.releaseHold(req.sessionID, removed);
         } else {
             // Check stock
-            const product = await Product.findById(productId);
-            const sizeOption = product.sizes.find(s => s.size === parseFloat(size));
-            
-            if (quantity > sizeOption.stock) {
+            const line = cart.items[itemIndex];
+            const product = await Product.findById(line.productId);
+            const variant = product && product.findVariant(line.size, line.color);
+
+            if (!variant) {
                 return res.status(400).json({
                     success: false,
-                    message: `Only ${sizeOption.stock} items available`
+                    message: `${line.name} is no longer available in this size and color`
+                });
+            }
+
+            const available = await stockHolds.availableStock(product, variant, req.sessionID);
+            if (quantity > available) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Only ${available} items available`
                 });
             }
             
-            cart.items[itemIndex].quantity = parseInt(quantity);
+            line.quantity = quantity;
+            line.maxStock = available;
+            line.heldUntil = await stockHolds.placeHold(req.sessionID, line);
         }
 
-        calculateTotals(cart);
-        req.session.cart = cart;
+        await cartStore.save(req, cart);
 
         res.json({
             success: true,
@@ -158,6 +117,13 @@ router.put('/update', async (req, res) => {
             data: cart
         });
     } catch (error) {
+        // Another shopper took the units while the hold was being placed
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         console.error('Update cart error:', error);
         res.status(500).json({
             success: false,
@@ -167,14 +133,11 @@ router.put('/update', async (req, res) => {
 });
 
 // DELETE /api/cart/remove - Remove item from cart
-router.delete('/remove', (req, res) => {
+router.delete('/remove', async (req, res) => {
     try {
-        const { productId, size } = req.body;
-        const cart = initCart(req);
+        const cart = await cartStore.load(req);
 
-        const itemIndex = cart.items.findIndex(
-            item => item.productId === productId && item.size === parseFloat(size)
-        );
+        const itemIndex = findLineIndex(cart, req.body);
 
         if (itemIndex === -1) {
             return res.status(404).json({
@@ -183,9 +146,9 @@ router.delete('/remove', (req, res) => {
             });
         }
 
-        cart.items.splice(itemIndex, 1);
-        calculateTotals(cart);
-        req.session.cart = cart;
+        const [removed] = cart.items.splice(itemIndex, 1);
+        await stockHolds.releaseHold(req.sessionID, removed);
+        await cartStore.save(req, cart);
 
         res.json({
             success: true,
@@ -202,31 +165,105 @@ router.delete('/remove', (req, res) => {
 });
 
 // DELETE /api/cart/clear - Clear entire cart
-router.delete('/clear', (req, res) => {
-    req.session.cart = {
-        items: [],
-        subtotal: 0,
-        shipping: 0,
-        tax: 0,
-        total: 0
-    };
-
-    res.json({
-        success: true,
-        message: 'Cart cleared',
-        data: req.session.cart
-    });
+router.delete('/clear', async (req, res) => {
+    try {
+        await stockHolds.releaseAll(req.sessionID);
+        const cart = await cartStore.clear(req);
+
+        res.json({
+            success: true,
+            message: 'Cart cleared',
+            data: cart
+        });
+    } catch (error) {
+        console.error('Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to clear cart'
+        });
+    }
+});
+
+// POST /api/cart/discount - Apply a discount code
+router.post('/discount', async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please enter a discount code'
+            });
+        }
+
+        const cart = await cartStore.load(req);
+        if (cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty'
+            });
+        }
+
+        await cartStore.save(req, cart, { discountCode: code });
+
+        if (!cart.discount) {
+            return res.status(400).json({
+                success: false,
+                message: cart.discountError || 'This discount code is not valid',
+                data: cart
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Discount applied',
+            data: cart
+        });
+    } catch (error) {
+        console.error('Apply discount error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to apply discount'
+        });
+    }
+});
+
+// DELETE /api/cart/discount - Remove the discount code
+router.delete('/discount', async (req, res) => {
+    try {
+        const cart = await cartStore.load(req);
+        await cartStore.save(req, cart, { discountCode: null });
+
+        res.json({
+            success: true,
+            message: 'Discount removed',
+            data: cart
+        });
+    } catch (error) {
+        console.error('Remove discount error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove discount'
+        });
+    }
 });
 
 // GET /api/cart/count - Get cart item count
-router.get('/count', (req, res) => {
-    const cart = initCart(req);
-    const count = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    
-    res.json({
-        success: true,
-        count
-    });
+router.get('/count', async (req, res) => {
+    try {
+        const cart = await cartStore.load(req);
+        const count = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+
+        res.json({
+            success: true,
+            count
+        });
+    } catch (error) {
+        console.error('Cart count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch cart count'
+        });
+    }
 });
 
 module.exports = router;
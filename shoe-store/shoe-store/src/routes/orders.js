@@ -4,11 +4,20 @@
 
 const express = require('express');
 const router = express.Router();
-const { Order, Product, User } = require('../models');
-const { isAuthenticated } = require('../middleware/auth');
+const { Order } = require('../models');
+const { isAuthenticated, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const inventory = require('../services/inventory');
+const stockHolds = require('../services/stockHolds');
+const cartStore = require('../services/cartStore');
+const promotions = require('../services/promotions');
+const taxes = require('../services/taxes');
+const shipping = require('../services/shipping');
+const payments = require('../services/payments');
+const returns = require('../services/returns');
+const orderLifecycle = require('../services/orderLifecycle');
 
 // GET /api/orders - Get user's orders
-router.get('/', isAuthenticated, async (req, res) => {
+router.get('/', requireScope('orders:read'), isAuthenticated, async (req, res) => {
     try {
         const orders = await Order.find({ user: req.session.user.id })
             .sort({ createdAt: -1 })
@@ -28,7 +37,7 @@ router.get('/', isAuthenticated, async (req, res) => {
 });
 
 // GET /api/orders/:id - Get single order
-router.get('/:id', isAuthenticated, async (req, res) => {
+router.get('/:id', requireScope('orders:read'), isAuthenticated, async (req, res) => {
     try {
         const order = await Order.findOne({
             _id: req.params.id,
@@ -56,16 +65,17 @@ router.get('/:id', isAuthenticated, async (req, res) => {
 });
 
 // POST /api/orders - Create new order (checkout)
-router.post('/', isAuthenticated, async (req, res) => {
+router.post('/', requireScope('orders:write'), isAuthenticated, requireVerifiedEmail, async (req, res) => {
     try {
         const {
             shippingAddress,
             billingAddress,
             paymentMethod,
+            paymentToken,
             shippingMethod
         } = req.body;
 
-        const cart = req.session.cart;
+        const cart = await cartStore.load(req);
 
         // Validate cart
         if (!cart || !cart.items || cart.items.length === 0) {
@@ -75,87 +85,149 @@ router.post('/', isAuthenticated, async (req, res) => {
             });
         }
 
-        // Validate and update stock
-        const orderItems = [];
-        for (const item of cart.items) {
-            const product = await Product.findById(item.productId);
-            
-            if (!product) {
-                return res.status(400).json({
+        if (!shippingAddress || !shippingAddress.street || !shippingAddress.zipCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Shipping address is required'
+            });
+        }
+
+        // Quote the chosen shipping method for the address
+        const shippingRate = await shipping.quote(shippingMethod || shipping.DEFAULT_METHOD, {
+            items: cart.items,
+            subtotal: cart.subtotal,
+            destination: shippingAddress,
+            freeShipping: Boolean(cart.discount && cart.discount.freeShipping)
+        });
+        if (!shippingRate) {
+            return res.status(400).json({
+                success: false,
+                message: 'The selected shipping method is not available for this address'
+            });
+        }
+        const shippingCost = shippingRate.cost;
+
+        const discountAmount = cart.discount ? cart.discount.amount : 0;
+
+        // Recalculate tax for the shipping address now that it is known
+        const taxRules = await taxes.findRules(shippingAddress);
+        const taxResult = taxes.computeTax(cart, taxRules, { shipping: shippingCost });
+        const taxDue = taxResult.pricesIncludeTax ? 0 : taxResult.tax;
+
+        // Re-validate the discount code now that the customer is known
+        if (cart.discountError) {
+            return res.status(400).json({
+                success: false,
+                message: cart.discountError
+            });
+        }
+        const promotion = cart.discount ? await promotions.findByCode(cart.discount.code) : null;
+        if (promotion && !(await promotions.redeem(promotion))) {
+            return res.status(400).json({
+                success: false,
+                message: 'This discount code has reached its usage limit'
+            });
+        }
+
+        const orderItems = cart.items.map(item => ({
+            product: item.productId,
+            sku: item.sku || undefined,
+            name: item.name,
+            price: item.price,
+            size: item.size,
+            color: item.color,
+            quantity: item.quantity,
+            image: item.image
+        }));
+
+        // Reserve stock for every line up front; nothing is taken unless all lines fit
+        let reserved;
+        try {
+            reserved = await inventory.reserveStock(orderItems, { sessionId: req.sessionID });
+        } catch (error) {
+            if (promotion) await promotions.release(promotion);
+            if (error.statusCode === 409) {
+                return res.status(409).json({
                     success: false,
-                    message: `Product ${item.name} no longer exists`
+                    message: error.message
                 });
             }
+            throw error;
+        }
 
-            const sizeIndex = product.sizes.findIndex(s => s.size === item.size);
-            if (sizeIndex === -1 || product.sizes[sizeIndex].stock < item.quantity) {
-                return res.status(400).json({
-                    success: false,
-                    message: `${item.name} in size ${item.size} is no longer available in requested quantity`
+        // Create the order as pending and authorize payment, handing the reserved
+        // stock back if the order can't be written or payment isn't authorized
+        let order;
+        let authorization;
+        try {
+            order = await Order.create({
+                user: req.session.user.id,
+                items: orderItems,
+                shippingAddress,
+                billingAddress: billingAddress || shippingAddress,
+                payment: {
+                    method: paymentMethod,
+                    status: 'pending'
+                },
+                subtotal: cart.subtotal,
+                shipping: {
+                    method: shippingRate.code,
+                    carrier: shippingRate.carrier,
+                    cost: shippingCost,
+                    estimatedDelivery: shippingRate.estimatedDelivery
+                },
+                tax: taxResult.tax,
+                taxLines: taxResult.lines,
+                pricesIncludeTax: taxResult.pricesIncludeTax,
+                discount: cart.discount
+                    ? { code: cart.discount.code, amount: discountAmount }
+                    : undefined,
+                total: cart.subtotal - discountAmount + shippingCost + taxDue,
+                status: 'pending',
+                statusHistory: [{
+                    status: 'pending',
+                    note: 'Order created, awaiting payment authorization'
+                }]
+            });
+
+            authorization = await payments.authorizeOrder(order, { paymentToken });
+        } catch (error) {
+            if (order) {
+                // Cancelling puts the reserved stock and the discount code use back
+                await orderLifecycle.transition(order, 'cancelled', {
+                    actor: 'system',
+                    note: 'Payment provider error'
                 });
+            } else {
+                await inventory.releaseStock(reserved);
+                if (promotion) await promotions.release(promotion);
             }
+            throw error;
+        }
 
-            // Reduce stock
-            product.sizes[sizeIndex].stock -= item.quantity;
-            product.soldCount += item.quantity;
-            await product.save();
-
-            orderItems.push({
-                product: product._id,
-                name: product.name,
-                price: item.price,
-                size: item.size,
-                color: item.color,
-                quantity: item.quantity,
-                image: item.image
+        if (!authorization.success) {
+            // Cancelling puts the reserved stock and the discount code use back
+            await orderLifecycle.transition(order, 'cancelled', {
+                actor: 'system',
+                note: `Payment declined: ${authorization.message}`
             });
-        }
 
-        // Calculate shipping cost
-        let shippingCost = 0;
-        switch (shippingMethod) {
-            case 'express':
-                shippingCost = 19.99;
-                break;
-            case 'overnight':
-                shippingCost = 29.99;
-                break;
-            default: // standard
-                shippingCost = cart.subtotal >= 100 ? 0 : 9.99;
+            return res.status(402).json({
+                success: false,
+                message: authorization.message
+            });
         }
 
-        // Create order
-        const order = await Order.create({
-            user: req.session.user.id,
-            items: orderItems,
-            shippingAddress,
-            billingAddress: billingAddress || shippingAddress,
-            payment: {
-                method: paymentMethod,
-                status: 'pending'
-            },
-            subtotal: cart.subtotal,
-            shipping: {
-                method: shippingMethod || 'standard',
-                cost: shippingCost
-            },
-            tax: cart.tax,
-            total: cart.subtotal + shippingCost + cart.tax,
-            status: 'confirmed',
-            statusHistory: [{
-                status: 'confirmed',
-                note: 'Order placed successfully'
-            }]
+        await orderLifecycle.transition(order, 'confirmed', {
+            actor: 'system',
+            note: 'Order placed successfully'
         });
 
+        // Stock is now taken by the order, so the cart holds can go
+        await stockHolds.releaseAll(req.sessionID);
+
         // Clear cart
-        req.session.cart = {
-            items: [],
-            subtotal: 0,
-            shipping: 0,
-            tax: 0,
-            total: 0
-        };
+        await cartStore.clear(req);
 
         res.status(201).json({
             success: true,
@@ -175,7 +247,7 @@ router.post('/', isAuthenticated, async (req, res) => {
 });
 
 // POST /api/orders/:id/cancel - Cancel order
-router.post('/:id/cancel', isAuthenticated, async (req, res) => {
+router.post('/:id/cancel', requireScope('orders:write'), isAuthenticated, async (req, res) => {
     try {
         const order = await Order.findOne({
             _id: req.params.id,
@@ -189,42 +261,66 @@ router.post('/:id/cancel', isAuthenticated, async (req, res) => {
             });
         }
 
-        if (!['pending', 'confirmed'].includes(order.status)) {
-            return res.status(400).json({
+        // Voids or refunds the payment, restocks and releases the discount code
+        await orderLifecycle.transition(order, 'cancelled', {
+            actor: 'customer',
+            note: 'Cancelled by customer'
+        });
+
+        res.json({
+            success: true,
+            message: 'Order cancelled successfully'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
                 success: false,
-                message: 'Order cannot be cancelled at this stage'
+                message: error.message
             });
         }
+        console.error('Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order'
+        });
+    }
+});
 
-        // Restore stock
-        for (const item of order.items) {
-            await Product.findByIdAndUpdate(item.product, {
-                $inc: { 
-                    'sizes.$[elem].stock': item.quantity,
-                    soldCount: -item.quantity 
-                }
-            }, {
-                arrayFilters: [{ 'elem.size': item.size }]
+// POST /api/orders/:id/returns - Request a return for delivered items
+router.post('/:id/returns', requireScope('orders:write'), isAuthenticated, async (req, res) => {
+    try {
+        const { items, reason, comment } = req.body;
+        const order = await Order.findOne({
+            _id: req.params.id,
+            user: req.session.user.id
+        });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
             });
         }
 
-        // Update order status
-        order.status = 'cancelled';
-        order.statusHistory.push({
-            status: 'cancelled',
-            note: 'Cancelled by customer'
-        });
+        const rma = returns.openReturn(order, { items, reason, comment });
         await order.save();
 
-        res.json({
+        res.status(201).json({
             success: true,
-            message: 'Order cancelled successfully'
+            message: `Return ${rma.rmaNumber} requested`,
+            data: rma
         });
     } catch (error) {
-        console.error('Cancel order error:', error);
+        if (error.statusCode || error.name === 'ValidationError') {
+            return res.status(error.statusCode || 400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Request return error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to cancel order'
+            message: 'Failed to request return'
         });
     }
 });
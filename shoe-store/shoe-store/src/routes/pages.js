@@ -4,7 +4,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { Product, Category } = require('../models');
+const { Product } = require('../models');
+const cartStore = require('../services/cartStore');
+const wishlist = require('../services/wishlist');
+const catalogSearch = require('../services/search');
+const catalogQuery = require('../services/catalogQuery');
+const reviews = require('../services/reviews');
+const { requireVerifiedEmail } = require('../middleware/auth');
 
 // GET / - Home page
 router.get('/', async (req, res) => {
@@ -39,77 +45,44 @@ router.get('/', async (req, res) => {
 // GET /shop - Shop page with filters
 router.get('/shop', async (req, res) => {
     try {
-        const {
-            category, brand, gender, minPrice, maxPrice,
-            size, sort, search, page = 1
-        } = req.query;
-
-        const limit = 12;
-        const skip = (parseInt(page) - 1) * limit;
-
-        // Build query
-        const query = { isActive: true };
-        if (category) query.category = category;
-        if (brand) query.brand = brand;
-        if (gender) query.gender = gender;
-        if (size) query['sizes.size'] = parseFloat(size);
-        if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseFloat(minPrice);
-            if (maxPrice) query.price.$lte = parseFloat(maxPrice);
-        }
-        if (search) {
-            query.$or = [
-                { name: new RegExp(search, 'i') },
-                { brand: new RegExp(search, 'i') }
-            ];
-        }
+        const { search } = req.query;
+        const params = catalogQuery.parse(req.query);
 
-        // Sort options
-        let sortOption = { createdAt: -1 };
-        switch (sort) {
-            case 'price_asc': sortOption = { price: 1 }; break;
-            case 'price_desc': sortOption = { price: -1 }; break;
-            case 'rating': sortOption = { 'rating.average': -1 }; break;
-            case 'popular': sortOption = { soldCount: -1 }; break;
-        }
-
-        const [products, total, brands, sizes, categories] = await Promise.all([
-            Product.find(query).sort(sortOption).skip(skip).limit(limit),
-            Product.countDocuments(query),
-            Product.distinct('brand', { isActive: true }),
-            Product.aggregate([
-                { $match: { isActive: true } },
-                { $unwind: '$sizes' },
-                { $group: { _id: '$sizes.size' } },
-                { $sort: { _id: 1 } }
-            ]),
-            Product.distinct('category', { isActive: true })
-        ]);
+        // Results and sidebar facet counts both come from the search service
+        const results = await catalogSearch.search({ q: search, ...params });
 
         res.render('pages/shop', {
-            title: 'Shop All Shoes',
-            products,
+            title: search ? `Search results for "${search}"` : 'Shop All Shoes',
+            products: results.products,
             pagination: {
-                page: parseInt(page),
-                totalPages: Math.ceil(total / limit),
-                total
+                page: results.page,
+                totalPages: results.totalPages,
+                total: results.total
             },
-            filters: { category, brand, gender, minPrice, maxPrice, size, sort, search },
+            // List filters are arrays so the form can keep several boxes ticked
+            filters: { ...params.filters, sort: results.sort, search },
+            facets: results.facets,
             availableFilters: {
-                brands,
-                sizes: sizes.map(s => s._id),
-                categories
+                brands: results.facets.brand.map(f => f.value),
+                sizes: results.facets.size.map(f => f.value),
+                categories: results.facets.category.map(f => f.value),
+                colors: results.facets.color.map(f => f.value)
             }
         });
     } catch (error) {
+        // Bad filter values (e.g. an unknown sort) start over with a message
+        if (error.statusCode) {
+            req.session.error = error.message;
+            return res.redirect('/shop');
+        }
         console.error('Shop page error:', error);
         res.render('pages/shop', {
             title: 'Shop',
             products: [],
             pagination: { page: 1, totalPages: 1, total: 0 },
             filters: {},
-            availableFilters: { brands: [], sizes: [], categories: [] }
+            facets: null,
+            availableFilters: { brands: [], sizes: [], categories: [], colors: [] }
         });
     }
 });
@@ -120,7 +93,7 @@ router.get('/product/:slug', async (req, res) => {
         const product = await Product.findOne({
             $or: [{ slug: req.params.slug }, { _id: req.params.slug }],
             isActive: true
-        }).populate('reviews.user', 'firstName lastName');
+        }).select('-reviews');
 
         if (!product) {
             return res.status(404).render('pages/404', {
@@ -128,15 +101,24 @@ router.get('/product/:slug', async (req, res) => {
             });
         }
 
-        const relatedProducts = await Product.find({
-            category: product.category,
-            _id: { $ne: product._id },
-            isActive: true
-        }).limit(4);
+        const [relatedProducts, productReviews] = await Promise.all([
+            Product.find({
+                category: product.category,
+                _id: { $ne: product._id },
+                isActive: true
+            }).limit(4),
+            // First page of approved reviews (more via /api/products/:id/reviews)
+            reviews.list(product._id, {
+                viewerId: req.session.user ? req.session.user.id : undefined
+            })
+        ]);
 
         res.render('pages/product', {
             title: product.name,
             product,
+            reviews: productReviews,
+            // e.g. "Most customers say it runs half a size small"
+            fitHint: productReviews.fit.hint,
             relatedProducts
         });
     } catch (error) {
@@ -157,26 +139,85 @@ router.get('/brand/:brand', async (req, res) => {
 });
 
 // GET /cart - Cart page
-router.get('/cart', (req, res) => {
-    res.render('pages/cart', {
-        title: 'Shopping Cart'
-    });
+router.get('/cart', async (req, res) => {
+    try {
+        const cart = await cartStore.load(req);
+        res.render('pages/cart', {
+            title: 'Shopping Cart',
+            cart
+        });
+    } catch (error) {
+        console.error('Cart page error:', error);
+        res.render('pages/cart', {
+            title: 'Shopping Cart'
+        });
+    }
+});
+
+// GET /wishlist - Wishlist page
+router.get('/wishlist', async (req, res) => {
+    try {
+        const products = await wishlist.list(req);
+        res.render('pages/wishlist', {
+            title: 'My Wishlist',
+            products,
+            shared: false
+        });
+    } catch (error) {
+        console.error('Wishlist page error:', error);
+        res.render('pages/wishlist', {
+            title: 'My Wishlist',
+            products: [],
+            shared: false
+        });
+    }
+});
+
+// GET /wishlist/shared/:token - Public read-only wishlist
+router.get('/wishlist/shared/:token', async (req, res) => {
+    try {
+        const sharedList = await wishlist.findShared(req.params.token);
+        if (!sharedList) {
+            return res.status(404).render('pages/404', {
+                title: 'Page Not Found',
+                url: req.originalUrl
+            });
+        }
+
+        res.render('pages/wishlist', {
+            title: `${sharedList.ownerName}'s Wishlist`,
+            products: sharedList.products,
+            ownerName: sharedList.ownerName,
+            shared: true
+        });
+    } catch (error) {
+        console.error('Shared wishlist error:', error);
+        res.redirect('/');
+    }
 });
 
 // GET /checkout - Checkout page
-router.get('/checkout', (req, res) => {
+router.get('/checkout', (req, res, next) => {
     if (!req.session.user) {
         req.session.returnTo = '/checkout';
         return res.redirect('/auth/login');
     }
+    next();
+}, requireVerifiedEmail, async (req, res) => {
+    try {
+        const cart = await cartStore.load(req);
+        if (cart.items.length === 0) {
+            return res.redirect('/cart');
+        }
 
-    if (!req.session.cart || req.session.cart.items.length === 0) {
-        return res.redirect('/cart');
+        res.render('pages/checkout', {
+            title: 'Checkout',
+            cart
+        });
+    } catch (error) {
+        console.error('Checkout page error:', error);
+        res.redirect('/cart');
     }
-
-    res.render('pages/checkout', {
-        title: 'Checkout'
-    });
 });
 
 // GET /order-confirmation/:id - Order confirmation
@@ -210,7 +251,7 @@ router.get('/contact', (req, res) => {
 
 // GET /search - Search results
 router.get('/search', (req, res) => {
-    res.redirect(`/shop?search=${req.query.q || ''}`);
+    res.redirect(`/shop?search=${encodeURIComponent(req.query.q || '')}`);
 });
 
 module.exports = router;
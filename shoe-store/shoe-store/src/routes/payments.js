@@ -0,0 +1,76 @@
+/**
+ * Payment Routes - Provider webhooks
+ */
+
+const express = require('express');
+const router = express.Router();
+const { Order } = require('../models');
+const payments = require('../services/payments');
+const orderLifecycle = require('../services/orderLifecycle');
+
+// POST /api/payments/webhook/:provider - Signed payment status events
+router.post('/webhook/:provider', async (req, res) => {
+    try {
+        let provider;
+        try {
+            provider = payments.getProvider(req.params.provider);
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown payment provider'
+            });
+        }
+
+        const event = provider.verifyWebhook({
+            rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+            headers: req.headers
+        });
+
+        if (!event) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        const order = await Order.findOne({
+            'payment.provider': provider.name,
+            'payment.transactionId': event.transactionId
+        });
+
+        // Acknowledge unknown transactions so the provider stops retrying
+        if (!order) {
+            return res.json({ success: true, applied: false });
+        }
+
+        const refundedBefore = order.payment.amountRefunded;
+        const applied = payments.applyWebhookEvent(order, event);
+
+        // Move the order along with its payment
+        const nextStatus = applied ? orderLifecycle.statusForPayment(order) : null;
+        if (nextStatus) {
+            await orderLifecycle.transition(order, nextStatus, {
+                actor: 'system',
+                note: `Payment ${order.payment.status} (${provider.name} webhook)`
+            });
+        } else {
+            await order.save();
+        }
+
+        // Refunds issued from the provider's dashboard reach us this way
+        const refunded = order.payment.amountRefunded - refundedBefore;
+        if (refunded > 0) {
+            orderLifecycle.events.emit('refund', { order, amount: refunded });
+        }
+
+        res.json({ success: true, applied });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process webhook'
+        });
+    }
+});
+
+module.exports = router;
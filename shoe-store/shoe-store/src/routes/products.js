@@ -5,108 +5,94 @@
 const express = require('express');
 const router = express.Router();
 const { Product } = require('../models');
+const stockHolds = require('../services/stockHolds');
+const stockAlerts = require('../services/stockAlerts');
+const catalogSearch = require('../services/search');
+const catalogQuery = require('../services/catalogQuery');
+const reviews = require('../services/reviews');
+const { reviewPhotoUpload } = require('../services/uploads');
+const { isAuthenticated } = require('../middleware/auth');
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 // GET /api/products - Get all products with filtering
+// List filters take several values: ?brand=Nike,Adidas&size=9,9.5
+// Page with ?page=N, or pass the previous response's nextCursor as ?after= to
+// get stable pages while the catalog changes. ?includeTotal=false skips the count.
 router.get('/', async (req, res) => {
     try {
-        const {
-            category,
-            brand,
-            gender,
-            minPrice,
-            maxPrice,
-            size,
-            color,
-            sort,
-            search,
-            page = 1,
-            limit = 12,
-            featured
-        } = req.query;
-
-        // Build query
-        const query = { isActive: true };
-
-        if (category) query.category = category;
-        if (brand) query.brand = brand;
-        if (gender) query.gender = gender;
-        if (featured === 'true') query.isFeatured = true;
-
-        if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = parseFloat(minPrice);
-            if (maxPrice) query.price.$lte = parseFloat(maxPrice);
-        }
-
-        if (size) {
-            query['sizes.size'] = parseFloat(size);
-            query['sizes.stock'] = { $gt: 0 };
-        }
+        const { search } = req.query;
+        const params = catalogQuery.parse(req.query);
 
-        if (color) {
-            query['colors.name'] = new RegExp(color, 'i');
+        if (search && params.after) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search results are paged by page number, not cursor'
+            });
         }
 
-        if (search) {
-            query.$or = [
-                { name: new RegExp(search, 'i') },
-                { brand: new RegExp(search, 'i') },
-                { description: new RegExp(search, 'i') },
-                { tags: new RegExp(search, 'i') }
-            ];
-        }
+        // Text searches are ranked by the search service
+        const results = search
+            ? await catalogSearch.search({ q: search, ...params })
+            : await catalogQuery.find(params);
 
-        // Build sort
-        let sortOption = {};
-        switch (sort) {
-            case 'price_asc':
-                sortOption = { price: 1 };
-                break;
-            case 'price_desc':
-                sortOption = { price: -1 };
-                break;
-            case 'newest':
-                sortOption = { createdAt: -1 };
-                break;
-            case 'rating':
-                sortOption = { 'rating.average': -1 };
-                break;
-            case 'popular':
-                sortOption = { soldCount: -1 };
-                break;
-            default:
-                sortOption = { createdAt: -1 };
+        res.json({
+            success: true,
+            data: await stockHolds.applyHolds(results.products, req.sessionID),
+            facets: results.facets,
+            pagination: {
+                page: results.page,
+                limit: results.limit,
+                total: results.total,
+                totalPages: results.totalPages,
+                hasNext: search ? results.page < results.totalPages : results.hasNext,
+                hasPrev: Boolean(params.after) || results.page > 1,
+                nextCursor: results.nextCursor
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
         }
+        console.error('Get products error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch products'
+        });
+    }
+});
 
-        // Pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        const total = await Product.countDocuments(query);
-        const totalPages = Math.ceil(total / parseInt(limit));
-
-        // Execute query
-        const products = await Product.find(query)
-            .sort(sortOption)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .select('-reviews');
+// GET /api/products/search - Ranked search with facet counts (also used for autocomplete)
+router.get('/search', async (req, res) => {
+    try {
+        const results = await catalogSearch.search({ q: req.query.q, ...catalogQuery.parse(req.query) });
 
         res.json({
             success: true,
-            data: products,
+            data: await stockHolds.applyHolds(results.products, req.sessionID),
+            facets: results.facets,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total,
-                totalPages,
-                hasNext: parseInt(page) < totalPages,
-                hasPrev: parseInt(page) > 1
+                page: results.page,
+                limit: results.limit,
+                total: results.total,
+                totalPages: results.totalPages
             }
         });
     } catch (error) {
-        console.error('Get products error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Search products error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch products'
+            message: 'Search failed'
         });
     }
 });
@@ -147,14 +133,39 @@ router.get('/brands', async (req, res) => {
     }
 });
 
-// GET /api/products/sizes - Get available sizes
+// GET /api/products/sizes - Get available sizes (optionally for one color)
 router.get('/sizes', async (req, res) => {
     try {
+        const { color } = req.query;
+
+        // Variant products report stock per SKU; size-only products per size
+        const productMatch = { isActive: true };
+        const stockMatch = { 'stockUnits.stock': { $gt: 0 } };
+        if (color) {
+            const colorPattern = new RegExp(`^${escapeRegex(color)}$`, 'i');
+            productMatch.$or = [{ 'variants.color': colorPattern }, { 'colors.name': colorPattern }];
+            stockMatch.$or = [
+                { 'stockUnits.color': colorPattern },
+                { 'stockUnits.color': { $exists: false } }
+            ];
+        }
+
         const sizes = await Product.aggregate([
-            { $match: { isActive: true } },
-            { $unwind: '$sizes' },
-            { $match: { 'sizes.stock': { $gt: 0 } } },
-            { $group: { _id: '$sizes.size' } },
+            { $match: productMatch },
+            {
+                $project: {
+                    stockUnits: {
+                        $cond: [
+                            { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                            '$variants',
+                            '$sizes'
+                        ]
+                    }
+                }
+            },
+            { $unwind: '$stockUnits' },
+            { $match: stockMatch },
+            { $group: { _id: '$stockUnits.size' } },
             { $sort: { _id: 1 } }
         ]);
 
@@ -167,16 +178,17 @@ router.get('/sizes', async (req, res) => {
     }
 });
 
-// GET /api/products/:id - Get single product
+// GET /api/products/:id - Get single product with the first page of approved reviews
 router.get('/:id', async (req, res) => {
     try {
+        // Reviews are listed separately so pending ones and votes stay private
         const product = await Product.findOne({
             $or: [
                 { _id: req.params.id },
                 { slug: req.params.id }
             ],
             isActive: true
-        }).populate('reviews.user', 'firstName lastName');
+        }).select('-reviews');
 
         if (!product) {
             return res.status(404).json({
@@ -192,11 +204,19 @@ router.get('/:id', async (req, res) => {
             isActive: true
         })
         .limit(4)
-        .select('name slug price salePrice images brand');
+        .select('name slug price salePrice effectivePrice images brand');
+
+        const [data] = await stockHolds.applyHolds([product], req.sessionID);
+        const productReviews = await reviews.list(product._id, {
+            limit: 5,
+            viewerId: req.session.user ? req.session.user.id : undefined
+        });
 
         res.json({
             success: true,
-            data: product,
+            data,
+            fit: reviews.fitSummary(product),
+            reviews: productReviews,
             related
         });
     } catch (error) {
@@ -208,61 +228,166 @@ router.get('/:id', async (req, res) => {
     }
 });
 
-// POST /api/products/:id/review - Add review
-router.post('/:id/review', async (req, res) => {
-    try {
-        if (!req.session.user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Please login to add a review'
-            });
-        }
+// Reviews service errors carry a statusCode; anything else is a 500
+const sendReviewError = (res, error, fallback) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallback
+    });
+};
+
+// Accept up to MAX_PHOTOS review photos as multipart `photos` fields
+const reviewPhotos = (req, res, next) => {
+    reviewPhotoUpload.array('photos', reviews.MAX_PHOTOS)(req, res, (error) => {
+        if (!error) return next();
+        res.status(400).json({
+            success: false,
+            message: error.code === 'LIMIT_UNEXPECTED_FILE'
+                ? `You can attach up to ${reviews.MAX_PHOTOS} photos`
+                : error.message
+        });
+    });
+};
 
-        const { rating, comment } = req.body;
-        const product = await Product.findById(req.params.id);
+// GET /api/products/:id/reviews - Approved reviews
+// Query: sort (newest, oldest, helpful, rating_desc, rating_asc), page, limit
+router.get('/:id/reviews', async (req, res) => {
+    try {
+        const { sort, page, limit } = req.query;
+        const result = await reviews.list(req.params.id, {
+            sort,
+            page,
+            limit,
+            viewerId: req.session.user ? req.session.user.id : undefined
+        });
 
-        if (!product) {
-            return res.status(404).json({
-                success: false,
-                message: 'Product not found'
-            });
-        }
+        res.json({
+            success: true,
+            data: result.reviews,
+            mine: result.mine,
+            rating: result.rating,
+            pagination: result.pagination
+        });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to fetch reviews');
+    }
+});
 
-        // Check if user already reviewed
-        const existingReview = product.reviews.find(
-            r => r.user.toString() === req.session.user.id
+// POST /api/products/:id/review - Add review (shown once approved)
+// Body (JSON or multipart): rating, comment, fit (runs_small, true_to_size,
+// runs_large); multipart requests may attach up to 3 `photos`
+router.post('/:id/review', isAuthenticated, reviewPhotos, async (req, res) => {
+    try {
+        const { rating, comment, fit } = req.body;
+        const review = await reviews.create(
+            req.params.id,
+            req.session.user,
+            { rating, comment, fit },
+            req.files
         );
 
-        if (existingReview) {
-            return res.status(400).json({
-                success: false,
-                message: 'You have already reviewed this product'
-            });
-        }
+        res.status(201).json({
+            success: true,
+            message: 'Thanks! Your review will appear once it has been approved',
+            data: { id: review._id, status: review.status, verifiedPurchase: review.verifiedPurchase }
+        });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to add review');
+    }
+});
+
+// PUT /api/products/:id/reviews/:reviewId - Edit your review (re-moderated)
+// Same fields as posting, plus removePhotos (photo ids to delete)
+router.put('/:id/reviews/:reviewId', isAuthenticated, reviewPhotos, async (req, res) => {
+    try {
+        const { rating, comment, fit, removePhotos } = req.body;
+        const review = await reviews.update(
+            req.params.id,
+            req.params.reviewId,
+            req.session.user,
+            { rating, comment, fit, removePhotos },
+            req.files
+        );
 
-        // Add review
-        product.reviews.push({
-            user: req.session.user.id,
-            rating: parseInt(rating),
-            comment
+        res.json({
+            success: true,
+            message: 'Review updated - it will appear again once approved',
+            data: { id: review._id, status: review.status, verifiedPurchase: review.verifiedPurchase }
         });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to update review');
+    }
+});
 
-        // Update rating average
-        const totalRating = product.reviews.reduce((sum, r) => sum + r.rating, 0);
-        product.rating.average = totalRating / product.reviews.length;
-        product.rating.count = product.reviews.length;
+// DELETE /api/products/:id/reviews/:reviewId - Delete your review
+router.delete('/:id/reviews/:reviewId', isAuthenticated, async (req, res) => {
+    try {
+        await reviews.remove(req.params.id, req.params.reviewId, req.session.user);
+        res.json({ success: true, message: 'Review deleted' });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to delete review');
+    }
+});
 
-        await product.save();
+// POST /api/products/:id/reviews/:reviewId/vote - Mark a review helpful or not
+// Body: { helpful: true | false }
+router.post('/:id/reviews/:reviewId/vote', isAuthenticated, async (req, res) => {
+    try {
+        const helpful = { true: true, false: false }[String(req.body.helpful)];
+        const review = await reviews.vote(req.params.id, req.params.reviewId, req.session.user, helpful);
 
         res.json({
             success: true,
-            message: 'Review added successfully'
+            data: { helpfulCount: review.helpfulCount, notHelpfulCount: review.notHelpfulCount }
+        });
+    } catch (error) {
+        sendReviewError(res, error, 'Failed to record vote');
+    }
+});
+
+// POST /api/products/:id/alerts - Subscribe to a back-in-stock or price-drop alert
+router.post('/:id/alerts', async (req, res) => {
+    try {
+        const { type, size, color, channel = 'email' } = req.body;
+        const user = req.session.user;
+
+        // Signed-in shoppers get email alerts at their account address by default
+        const contact = req.body.contact || (user && channel === 'email' ? user.email : undefined);
+
+        await stockAlerts.subscribe({
+            type,
+            productId: req.params.id,
+            size,
+            color,
+            channel,
+            contact,
+            userId: user ? user.id : undefined
+        });
+
+        res.status(201).json({
+            success: true,
+            message: type === 'price_drop'
+                ? "We'll let you know when the price drops"
+                : "We'll let you know when this size is back in stock"
         });
     } catch (error) {
-        console.error('Add review error:', error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Subscribe alert error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to add review'
+            message: 'Failed to subscribe to alert'
         });
     }
 });
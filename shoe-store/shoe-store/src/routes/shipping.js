@@ -0,0 +1,50 @@
+/**
+ * Shipping Routes - Rate quotes for the cart and checkout page
+ */
+
+const express = require('express');
+const router = express.Router();
+const shipping = require('../services/shipping');
+const cartStore = require('../services/cartStore');
+
+// GET /api/shipping/rates?zip=...&state=...&country=... - Rates for the current cart
+router.get('/rates', async (req, res) => {
+    try {
+        const { zip, state, country } = req.query;
+
+        if (!zip) {
+            return res.status(400).json({
+                success: false,
+                message: 'Zip code is required'
+            });
+        }
+
+        const cart = await cartStore.load(req);
+        if (cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty'
+            });
+        }
+
+        const rates = await shipping.getRates({
+            items: cart.items,
+            subtotal: cart.subtotal,
+            destination: { zipCode: zip, state, country },
+            freeShipping: Boolean(cart.discount && cart.discount.freeShipping)
+        });
+
+        res.json({
+            success: true,
+            data: rates
+        });
+    } catch (error) {
+        console.error('Shipping rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch shipping rates'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+/**
+ * Token Routes - Bearer token login for the JSON API (mobile app, scripts)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { User } = require('../models');
+const { isAuthenticated } = require('../middleware/auth');
+const authTokens = require('../services/authTokens');
+const loginGuard = require('../services/loginGuard');
+const twoFactor = require('../services/twoFactor');
+
+const sendError = (res, error, fallback) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallback
+    });
+};
+
+// Same checks as the login form: throttling, password, then 2FA code
+const passwordGrant = async (req, res) => {
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const { password, code } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email and password are required'
+        });
+    }
+
+    const user = await User.findOne({ email, isActive: true });
+
+    const throttle = await loginGuard.check(email, req.ip);
+    if (!throttle.allowed) {
+        await loginGuard.recordHistory(req, {
+            user: user ? user._id : undefined,
+            email,
+            success: false,
+            reason: throttle.locked ? 'locked' : 'throttled'
+        });
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({
+            success: false,
+            message: loginGuard.blockedMessage(throttle)
+        });
+    }
+
+    const isMatch = user ? await user.comparePassword(password) : false;
+    if (!isMatch) {
+        await loginGuard.recordFailure(email, req.ip);
+        await loginGuard.recordHistory(req, {
+            user: user ? user._id : undefined,
+            email,
+            success: false,
+            reason: 'invalid_credentials'
+        });
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid email or password'
+        });
+    }
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+        if (!code) {
+            return res.status(401).json({
+                success: false,
+                message: 'Two-factor authentication code required',
+                twoFactorRequired: true
+            });
+        }
+
+        const { valid } = await twoFactor.verify(user, code);
+        if (!valid) {
+            await loginGuard.recordFailure(email, req.ip);
+            await loginGuard.recordHistory(req, {
+                user: user._id,
+                email,
+                success: false,
+                reason: 'invalid_2fa'
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code',
+                twoFactorRequired: true
+            });
+        }
+    }
+
+    await loginGuard.recordSuccess(email);
+    await loginGuard.recordHistory(req, { user: user._id, email, success: true });
+
+    res.json({
+        success: true,
+        data: await authTokens.issueTokens(user, req)
+    });
+};
+
+// POST /api/auth/token - Get tokens with a password or a refresh token
+// Body: { grantType: 'password', email, password, code? }
+//    or { grantType: 'refresh_token', refreshToken }
+router.post('/token', async (req, res) => {
+    try {
+        const grantType = req.body.grantType || 'password';
+
+        if (grantType === 'password') {
+            return await passwordGrant(req, res);
+        }
+
+        if (grantType === 'refresh_token') {
+            if (!req.body.refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token is required'
+                });
+            }
+            return res.json({
+                success: true,
+                data: await authTokens.refresh(req.body.refreshToken, req)
+            });
+        }
+
+        res.status(400).json({
+            success: false,
+            message: `Unsupported grant type: ${grantType}`
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to issue token');
+    }
+});
+
+// POST /api/auth/revoke - Revoke a refresh token (and its rotations)
+router.post('/revoke', async (req, res) => {
+    try {
+        if (!req.body.refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        await authTokens.revoke(req.body.refreshToken);
+        res.json({ success: true, message: 'Token revoked' });
+    } catch (error) {
+        sendError(res, error, 'Failed to revoke token');
+    }
+});
+
+// POST /api/auth/revoke-all - Sign out every token client of the current user
+router.post('/revoke-all', isAuthenticated, async (req, res) => {
+    try {
+        await authTokens.revokeAll(req.session.user.id);
+        res.json({ success: true, message: 'All refresh tokens revoked' });
+    } catch (error) {
+        sendError(res, error, 'Failed to revoke tokens');
+    }
+});
+
+module.exports = router;
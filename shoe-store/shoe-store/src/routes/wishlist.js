@@ -0,0 +1,123 @@
+/**
+ * Wishlist Routes - Saved products for shoppers and guests
+ */
+
+const express = require('express');
+const router = express.Router();
+const { isAuthenticated, requireScope } = require('../middleware/auth');
+const wishlist = require('../services/wishlist');
+const cartStore = require('../services/cartStore');
+
+const sendError = (res, error, fallback) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+    console.error(`${fallback}:`, error);
+    res.status(500).json({
+        success: false,
+        message: fallback
+    });
+};
+
+// Guest wishlists live in the session, which token requests don't keep
+router.use(requireScope());
+
+// GET /api/wishlist - List wishlist products
+router.get('/', async (req, res) => {
+    try {
+        const products = await wishlist.list(req);
+        res.json({
+            success: true,
+            data: products
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to fetch wishlist');
+    }
+});
+
+// POST /api/wishlist/add - Add a product
+router.post('/add', async (req, res) => {
+    try {
+        await wishlist.add(req, req.body.productId);
+        res.json({
+            success: true,
+            message: 'Added to wishlist',
+            data: { count: (await wishlist.productIds(req)).length }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to add to wishlist');
+    }
+});
+
+// DELETE /api/wishlist/remove - Remove a product
+router.delete('/remove', async (req, res) => {
+    try {
+        await wishlist.remove(req, req.body.productId);
+        res.json({
+            success: true,
+            message: 'Removed from wishlist',
+            data: { count: (await wishlist.productIds(req)).length }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove from wishlist');
+    }
+});
+
+// POST /api/wishlist/move-to-cart - Add a product in a chosen size/color to
+// the cart and take it off the wishlist
+router.post('/move-to-cart', async (req, res) => {
+    try {
+        const { productId, size, color, quantity = 1 } = req.body;
+        if (!size) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select a size'
+            });
+        }
+
+        const cart = await cartStore.addItem(req, { productId, size, color, quantity });
+        await wishlist.remove(req, productId);
+
+        res.json({
+            success: true,
+            message: 'Moved to cart',
+            data: cart
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to move item to cart');
+    }
+});
+
+// POST /api/wishlist/share - Get the public link for the account's wishlist
+router.post('/share', isAuthenticated, async (req, res) => {
+    try {
+        const token = await wishlist.shareToken(req.session.user.id);
+        res.json({
+            success: true,
+            data: {
+                token,
+                url: `${req.protocol}://${req.get('host')}/wishlist/shared/${token}`
+            }
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to share wishlist');
+    }
+});
+
+// DELETE /api/wishlist/share - Turn the public link off
+router.delete('/share', isAuthenticated, async (req, res) => {
+    try {
+        await wishlist.revokeShare(req.session.user.id);
+        res.json({
+            success: true,
+            message: 'Wishlist is no longer shared'
+        });
+    } catch (error) {
+        sendError(res, error, 'Failed to stop sharing wishlist');
+    }
+});
+
+module.exports = router;
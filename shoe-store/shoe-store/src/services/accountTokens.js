@@ -0,0 +1,67 @@
+/**
+ * Account Token Service - Single-use email verification and password reset tokens
+ *
+ * The raw token only ever appears in the emailed link; the user document keeps
+ * its SHA-256 hash and an expiry. Consuming a token clears it atomically, so a
+ * link works once.
+ */
+
+const crypto = require('crypto');
+const { User } = require('../models');
+
+const PURPOSES = {
+    verify: {
+        tokenField: 'emailVerificationToken',
+        expiresField: 'emailVerificationExpires',
+        ttl: 48 * 60 * 60 * 1000 // 48 hours
+    },
+    reset: {
+        tokenField: 'passwordResetToken',
+        expiresField: 'passwordResetExpires',
+        ttl: 60 * 60 * 1000 // 1 hour
+    }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token for `purpose`, replacing any earlier one. Returns the raw token.
+const issue = async (userId, purpose) => {
+    const { tokenField, expiresField, ttl } = PURPOSES[purpose];
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            [tokenField]: hashToken(token),
+            [expiresField]: new Date(Date.now() + ttl)
+        }
+    });
+
+    return token;
+};
+
+const validQuery = (purpose, token) => {
+    const { tokenField, expiresField } = PURPOSES[purpose];
+    return {
+        [tokenField]: hashToken(token),
+        [expiresField]: { $gt: new Date() },
+        isActive: true
+    };
+};
+
+// The user a still-valid token belongs to, without using it up
+const peek = (purpose, token) => User.findOne(validQuery(purpose, token));
+
+// Use up a token. Resolves to its user, or null when the token is unknown,
+// expired or already used.
+const consume = (purpose, token) => {
+    const { tokenField, expiresField } = PURPOSES[purpose];
+    return User.findOneAndUpdate(validQuery(purpose, token), {
+        $unset: { [tokenField]: 1, [expiresField]: 1 }
+    }, { new: true });
+};
+
+module.exports = {
+    issue,
+    peek,
+    consume
+};
@@ -0,0 +1,187 @@
+/**
+ * Audit Service - Who changed what in the back office
+ *
+ * Admin routes take a snapshot() of a document before changing it and call
+ * record() afterwards; the entry keeps the actor, the field-level diff, the
+ * client IP and the time. Entries are append-only (see the AuditLog model).
+ * Recording never fails the admin request - the change has already happened,
+ * so errors are logged instead.
+ */
+
+const { AuditLog } = require('../models');
+
+// Fields that are never copied into the log
+const REDACTED = ['password', 'tokenHash', 'twoFactor', 'passwordResetToken', 'emailVerificationToken'];
+const IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const EXPORT_LIMIT = 50000;
+
+// Drop Mongo bookkeeping and secrets from a plain value, recursively
+const clean = (value, topLevel = false) => {
+    if (Array.isArray(value)) return value.map(item => clean(item));
+    if (!value || typeof value !== 'object') return value;
+
+    const result = {};
+    Object.keys(value).forEach(key => {
+        if (REDACTED.includes(key)) return;
+        if (key === '_id' && !topLevel) return; // subdocument ids change on every save
+        if (topLevel && IGNORED.includes(key)) return;
+        result[key] = clean(value[key]);
+    });
+    return result;
+};
+
+// Plain copy of a document (or object) for diffing
+const snapshot = (doc) => {
+    if (!doc) return null;
+    const plain = typeof doc.toObject === 'function'
+        ? doc.toObject({ depopulate: true, versionKey: false })
+        : doc;
+    return clean(JSON.parse(JSON.stringify(plain)), true);
+};
+
+// Flatten nested objects into dotted paths; arrays are compared whole
+const flatten = (value, prefix = '', out = {}) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}.${key}` : key, out));
+    } else if (prefix) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+// Field-level differences between two snapshots
+const diff = (before, after) => {
+    const a = flatten(before || {});
+    const b = flatten(after || {});
+    const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+
+    return paths
+        .filter(path => JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+        .map(path => ({ path, before: a[path], after: b[path] }));
+};
+
+// Record an admin change. `entity` is { type, id, label }; `before` and
+// `after` are snapshots (null for creates and deletes).
+const record = async (req, { action, entity, before = null, after = null }) => {
+    try {
+        const user = req.session.user || {};
+        const changes = diff(before, after);
+
+        // An update that changed nothing isn't worth an entry
+        if (before && after && changes.length === 0) return null;
+
+        return await AuditLog.create({
+            actor: {
+                user: user.id,
+                email: user.email,
+                role: user.role
+            },
+            via: req.auth ? req.auth.type : 'session',
+            action,
+            entity: {
+                type: entity.type,
+                id: entity.id ? String(entity.id) : undefined,
+                label: entity.label
+            },
+            changes,
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+    } catch (error) {
+        console.error(`Audit log error (${action}):`, error);
+        return null;
+    }
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query for the /admin/audit filters
+const buildQuery = ({ actor, action, entityType, entityId, from, to } = {}) => {
+    const query = {};
+    if (actor) query['actor.email'] = new RegExp(escapeRegex(actor), 'i');
+    if (action) query.action = action;
+    if (entityType) query['entity.type'] = entityType;
+    if (entityId) query['entity.id'] = entityId;
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = new Date(from);
+        if (to) {
+            // Date-only "to" includes the whole day
+            const end = new Date(to);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+            query.createdAt.$lt = end;
+        }
+    }
+    return query;
+};
+
+const list = async (filters, { page = 1, limit = 50 } = {}) => {
+    const query = buildQuery(filters);
+    const [entries, total] = await Promise.all([
+        AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+        AuditLog.countDocuments(query)
+    ]);
+    return { entries, total };
+};
+
+// Values used to fill the filter dropdowns
+const filterOptions = async () => {
+    const [actions, entityTypes] = await Promise.all([
+        AuditLog.distinct('action'),
+        AuditLog.distinct('entity.type')
+    ]);
+    return { actions: actions.sort(), entityTypes: entityTypes.sort() };
+};
+
+// ==================== CSV EXPORT ====================
+
+const CSV_COLUMNS = ['timestamp', 'actor', 'role', 'via', 'action', 'entity_type', 'entity_id', 'entity', 'changes', 'ip'];
+
+const formatValue = (value) => (value === undefined ? '(none)' : JSON.stringify(value));
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas get a
+// leading apostrophe
+const csvCell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (entry) => [
+    entry.createdAt.toISOString(),
+    entry.actor.email,
+    entry.actor.role,
+    entry.via,
+    entry.action,
+    entry.entity.type,
+    entry.entity.id,
+    entry.entity.label,
+    entry.changes.map(c => `${c.path}: ${formatValue(c.before)} -> ${formatValue(c.after)}`).join('; '),
+    entry.ip
+].map(csvCell).join(',');
+
+// Stream matching entries to `res` as CSV, newest first
+const exportCsv = async (filters, res) => {
+    res.write(CSV_COLUMNS.join(',') + '\n');
+
+    const cursor = AuditLog.find(buildQuery(filters))
+        .sort({ createdAt: -1 })
+        .limit(EXPORT_LIMIT)
+        .lean()
+        .cursor();
+
+    for await (const entry of cursor) {
+        res.write(csvRow(entry) + '\n');
+    }
+    res.end();
+};
+
+module.exports = {
+    snapshot,
+    diff,
+    record,
+    list,
+    filterOptions,
+    exportCsv
+};
@@ -0,0 +1,217 @@
+/**
+ * Auth Token Service - Bearer tokens for the JSON API
+ *
+ * Token clients (the mobile app, integration scripts) get a short-lived JWT
+ * access token plus an opaque refresh token. Access tokens are stateless and
+ * simply expire; refresh tokens are stored as hashes and rotate on every use,
+ * and replaying a rotated one revokes the whole login (the token family).
+ *
+ * Admins can also create personal API tokens limited to scopes such as
+ * catalog:read. These are opaque, looked up on every request and can be
+ * revoked at any time.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, RefreshToken, ApiToken } = require('../models');
+const env = require('./env');
+
+// Access tokens are trusted without a database lookup, so anyone who knows the
+// secret can sign in as any user. It must be set outside development and test
+// (where a per-process random secret is used) and is never shared with sessions.
+const JWT_SECRET = env.required('JWT_SECRET', crypto.randomBytes(32).toString('hex'));
+if (JWT_SECRET === process.env.SESSION_SECRET) {
+    throw new Error('JWT_SECRET must be different from SESSION_SECRET');
+}
+const ACCESS_TOKEN_TTL = parseInt(process.env.JWT_ACCESS_MINUTES || '15') * 60; // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.JWT_REFRESH_DAYS || '30') * 24 * 60 * 60 * 1000;
+const API_TOKEN_PREFIX = 'sst_';
+
+const SCOPES = ['catalog:read', 'catalog:write', 'orders:read', 'orders:write', 'cart:read', 'cart:write'];
+
+const tokenError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// The user object kept in req.session.user for signed-in requests
+const sessionUser = (user) => ({
+    id: user._id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+});
+
+// ==================== ACCESS AND REFRESH TOKENS ====================
+
+const signAccessToken = (user) => {
+    const { id, ...claims } = sessionUser(user);
+    return jwt.sign({ ...claims, typ: 'access' }, JWT_SECRET, {
+        subject: String(id),
+        expiresIn: ACCESS_TOKEN_TTL
+    });
+};
+
+// Decode an access token into a session user. Throws JsonWebTokenError or
+// TokenExpiredError, which the error handler turns into a 401.
+const verifyAccessToken = (token) => {
+    const payload = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    if (payload.typ !== 'access') {
+        throw new jwt.JsonWebTokenError('invalid token type');
+    }
+
+    return {
+        id: payload.sub,
+        email: payload.email,
+        firstName: payload.firstName,
+        lastName: payload.lastName,
+        role: payload.role,
+        isEmailVerified: payload.isEmailVerified,
+        twoFactorEnabled: payload.twoFactorEnabled
+    };
+};
+
+// Issue an access/refresh pair. Pass `family` when rotating so the new
+// refresh token belongs to the same login.
+const issueTokens = async (user, req, family = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+    });
+
+    return {
+        tokenType: 'Bearer',
+        accessToken: signAccessToken(user),
+        expiresIn: ACCESS_TOKEN_TTL,
+        refreshToken
+    };
+};
+
+const revokeFamily = (family) => RefreshToken.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+);
+
+// Trade a refresh token for a new pair. Each refresh token works once.
+const refresh = async (refreshToken, req) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (!stored || stored.expiresAt < new Date() || stored.revokedAt) {
+        throw tokenError('Invalid refresh token', 401);
+    }
+
+    // Claim the token; losing the claim means it was already used
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: stored._id, replacedAt: { $exists: false } },
+        { $set: { replacedAt: new Date() } }
+    );
+    if (!claimed) {
+        // A rotated token came back - assume it leaked and end that login
+        await revokeFamily(stored.family);
+        throw tokenError('Invalid refresh token', 401);
+    }
+
+    const user = await User.findOne({ _id: stored.user, isActive: true });
+    if (!user) {
+        await revokeFamily(stored.family);
+        throw tokenError('Invalid refresh token', 401);
+    }
+
+    return issueTokens(user, req, stored.family);
+};
+
+// Log a token client out: revoke the login the refresh token belongs to
+const revoke = async (refreshToken) => {
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+    if (stored) await revokeFamily(stored.family);
+};
+
+// Log every token client of a user out
+const revokeAll = (userId) => RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+);
+
+// ==================== PERSONAL API TOKENS ====================
+
+const isApiToken = (token) => String(token).startsWith(API_TOKEN_PREFIX);
+
+// Create a personal token acting as `userId`. Resolves to { token, apiToken };
+// the raw token is only available here.
+const createApiToken = async ({ userId, name, scopes, expiresInDays }) => {
+    const requested = [].concat(scopes || []);
+    if (requested.length === 0) throw tokenError('Choose at least one scope');
+    const unknown = requested.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) throw tokenError(`Unknown scope: ${unknown.join(', ')}`);
+
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const days = parseInt(expiresInDays);
+
+    const apiToken = await ApiToken.create({
+        name,
+        user: userId,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+        scopes: [...new Set(requested)],
+        expiresAt: days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined
+    });
+
+    return { token, apiToken };
+};
+
+const listApiTokens = () => ApiToken.find()
+    .sort({ createdAt: -1 })
+    .populate('user', 'firstName lastName email');
+
+const revokeApiToken = (tokenId) => ApiToken.findOneAndUpdate(
+    { _id: tokenId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+);
+
+// Look up a personal token. Resolves to { user, scopes } with a session user,
+// or null when the token is unknown, revoked, expired or its owner inactive.
+const authenticateApiToken = async (token, ip) => {
+    const apiToken = await ApiToken.findOne({
+        tokenHash: hashToken(token),
+        revokedAt: { $exists: false }
+    }).populate('user');
+
+    if (!apiToken || !apiToken.user || !apiToken.user.isActive) return null;
+    if (apiToken.expiresAt && apiToken.expiresAt < new Date()) return null;
+
+    await ApiToken.updateOne({ _id: apiToken._id }, {
+        $set: { lastUsedAt: new Date(), lastUsedIp: ip }
+    });
+
+    return {
+        user: sessionUser(apiToken.user),
+        scopes: apiToken.scopes
+    };
+};
+
+module.exports = {
+    SCOPES,
+    sessionUser,
+    verifyAccessToken,
+    issueTokens,
+    refresh,
+    revoke,
+    revokeAll,
+    isApiToken,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    authenticateApiToken
+};
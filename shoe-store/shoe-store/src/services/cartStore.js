@@ -0,0 +1,352 @@
+/**
+ * Cart Store - Persists shopping carts to the Cart collection
+ *
+ * Signed-in shoppers own a single cart keyed by user, guests one keyed by
+ * session id. The session keeps a hydrated copy for views and is refreshed
+ * from the database on every cart request, so carts follow users across devices.
+ */
+
+const mongoose = require('mongoose');
+const { Cart, Product, User } = require('../models');
+const stockHolds = require('./stockHolds');
+const promotions = require('./promotions');
+const taxes = require('./taxes');
+const shipping = require('./shipping');
+
+const CART_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days, refreshed on every save
+
+const emptyCart = () => ({
+    items: [],
+    subtotal: 0,
+    shipping: 0,
+    tax: 0,
+    total: 0
+});
+
+const calculateSubtotal = (cart) => {
+    cart.subtotal = cart.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    return cart.subtotal;
+};
+
+// Calculate cart totals, applying the promotion when one is given. Shipping
+// is quoted for the default method; tax is only estimated when a destination
+// is known.
+const calculateTotals = async (cart, { promotion = null, destination = null } = {}) => {
+    calculateSubtotal(cart);
+
+    if (promotion) {
+        cart.discount = promotions.computeDiscount(promotion, cart);
+    } else {
+        delete cart.discount;
+    }
+    const discount = cart.discount ? cart.discount.amount : 0;
+    const freeShipping = cart.discount ? cart.discount.freeShipping : false;
+
+    const rate = cart.items.length
+        ? await shipping.quote(shipping.DEFAULT_METHOD, {
+            items: cart.items,
+            subtotal: cart.subtotal,
+            destination: destination || {},
+            freeShipping
+        })
+        : null;
+    cart.shipping = rate ? rate.cost : 0;
+    cart.shippingMethod = rate ? rate.code : null;
+
+    const taxRules = destination && cart.items.length ? await taxes.findRules(destination) : [];
+    const { tax, lines, pricesIncludeTax } = taxes.computeTax(cart, taxRules, { shipping: cart.shipping });
+    cart.tax = tax;
+    cart.taxLines = lines;
+    cart.pricesIncludeTax = pricesIncludeTax;
+    cart.taxEstimated = Boolean(destination);
+
+    cart.total = cart.subtotal - discount + cart.shipping + (pricesIncludeTax ? 0 : cart.tax);
+    return cart;
+};
+
+// The signed-in shopper's saved address, used to estimate shipping and tax.
+// Guests get a default-zone shipping estimate and see tax at checkout.
+const estimateDestination = async (req) => {
+    if (!req.session.user) return null;
+    const user = await User.findById(req.session.user.id).select('address');
+    return user && user.address && user.address.zipCode ? user.address : null;
+};
+
+// Look up and re-check the cart's discount code. An invalid code is dropped
+// from the cart and the reason left in `discountError` for the shopper.
+const resolvePromotion = async (req, cart, code) => {
+    delete cart.discountError;
+    if (!code) return null;
+
+    // Eligibility rules look at the undiscounted subtotal
+    calculateSubtotal(cart);
+    const promotion = await promotions.findByCode(code);
+    const result = await promotions.validate(promotion, cart, req.session.user && req.session.user.id);
+    if (!result.valid) {
+        cart.discountError = result.message;
+        return null;
+    }
+    return promotion;
+};
+
+// Two lines are the same sellable unit when SKUs match, or product/size/color for size-only products
+const isSameLine = (a, b) => (
+    a.sku || b.sku
+        ? a.sku === b.sku
+        : String(a.productId || a.product) === String(b.productId || b.product) &&
+          a.size === b.size &&
+          a.color === b.color
+);
+
+// Build the session representation of a cart line
+const buildLine = (product, variant, quantity, maxStock) => ({
+    productId: product._id.toString(),
+    sku: variant.sku,
+    name: product.name,
+    brand: product.brand,
+    category: product.category,
+    price: variant.price,
+    originalPrice: product.price,
+    size: variant.size,
+    color: variant.color,
+    quantity,
+    image: variant.image,
+    slug: product.slug,
+    weight: product.weight,
+    maxStock,
+    taxClass: product.taxClass
+});
+
+// Lines without a product-level tax class take their category's default
+const assignTaxClasses = async (items) => {
+    const missing = items.filter(line => !line.taxClass);
+    if (missing.length === 0) return;
+
+    const categoryClasses = await taxes.categoryTaxClasses([...new Set(missing.map(line => line.category))]);
+    missing.forEach(line => {
+        line.taxClass = categoryClasses.get(line.category) || 'standard';
+    });
+};
+
+// Turn stored { product, sku, size, color, quantity } lines into session lines
+// with current prices. Lines whose product or variant is gone are dropped.
+// With `capToStock`, quantities are cut to what the shopper can still buy.
+const hydrate = async (storedItems, { capToStock = false, sessionId } = {}) => {
+    const productIds = [...new Set(storedItems.map(line => String(line.product)))];
+    const products = await Product.find({ _id: { $in: productIds }, isActive: true });
+    const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+    const items = [];
+    const adjusted = [];
+
+    for (const stored of storedItems) {
+        const product = byId.get(String(stored.product));
+        const variant = product && product.findVariant(stored.size, stored.color);
+        if (!variant) {
+            adjusted.push({ ...stored, quantity: 0 });
+            continue;
+        }
+
+        let maxStock = variant.stock;
+        let quantity = stored.quantity;
+        if (capToStock) {
+            maxStock = await stockHolds.availableStock(product, variant, sessionId);
+            if (quantity > maxStock) {
+                quantity = maxStock;
+                adjusted.push({ ...stored, quantity });
+            }
+            if (quantity === 0) continue;
+        }
+
+        items.push(buildLine(product, variant, quantity, maxStock));
+    }
+
+    return { items, adjusted };
+};
+
+// Query for the cart owned by the current request
+const ownerQuery = (req) => (req.session.user
+    ? { user: req.session.user.id }
+    : { sessionId: req.sessionID, user: { $exists: false } });
+
+const toStored = (line) => ({
+    product: line.productId,
+    sku: line.sku || undefined,
+    size: line.size,
+    color: line.color,
+    quantity: line.quantity
+});
+
+// Load the current cart from the database into the session
+const load = async (req) => {
+    const previous = (req.session.cart && req.session.cart.items) || [];
+    const doc = await Cart.findOne(ownerQuery(req));
+    const cart = emptyCart();
+
+    let promotion = null;
+    if (doc) {
+        const { items } = await hydrate(doc.items);
+        cart.items = items.map(line => {
+            const prior = previous.find(p => isSameLine(p, line));
+            return prior && prior.heldUntil ? { ...line, heldUntil: prior.heldUntil } : line;
+        });
+        await assignTaxClasses(cart.items);
+        promotion = await resolvePromotion(req, cart, doc.discountCode);
+    }
+
+    await calculateTotals(cart, { promotion, destination: await estimateDestination(req) });
+    req.session.cart = cart;
+    return cart;
+};
+
+// Write the cart back to the database and the session. Pass `discountCode`
+// to apply a code (or null to remove it); otherwise the current one is kept.
+const save = async (req, cart, { discountCode } = {}) => {
+    const code = discountCode !== undefined
+        ? discountCode
+        : (cart.discount ? cart.discount.code : null);
+    await assignTaxClasses(cart.items);
+    const promotion = await resolvePromotion(req, cart, code);
+
+    await calculateTotals(cart, { promotion, destination: await estimateDestination(req) });
+    req.session.cart = cart;
+
+    await Cart.findOneAndUpdate(ownerQuery(req), {
+        $set: {
+            items: cart.items.map(toStored),
+            discountCode: promotion ? promotion.code : null,
+            expiresAt: new Date(Date.now() + CART_TTL)
+        }
+    }, { upsert: true });
+
+    return cart;
+};
+
+const cartError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Quantities must be whole numbers of at least `min`; anything else (negative,
+// fractional, not a number) is a 400 before stock or holds are looked at
+const parseQuantity = (value, { min = 1 } = {}) => {
+    const quantity = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (!Number.isInteger(quantity) || quantity < min) {
+        throw cartError(`Quantity must be a whole number of ${min} or more`);
+    }
+    return quantity;
+};
+
+// Add `quantity` units of a product's size/color to the current cart, holding
+// the stock and saving the cart. Throws errors with a statusCode when the
+// product or variant can't be sold in that quantity.
+const addItem = async (req, { productId, size, color, quantity = 1 }) => {
+    const units = parseQuantity(quantity);
+    if (!mongoose.isValidObjectId(productId)) throw cartError('Product not found', 404);
+
+    const product = await Product.findOne({ _id: productId, isActive: true });
+    if (!product) throw cartError('Product not found', 404);
+
+    // Check size/color availability
+    const variant = product.findVariant(size, color);
+    if (!variant) throw cartError('Selected size and color combination is not available');
+
+    // Stock held in other shoppers' carts is not available
+    const available = await stockHolds.availableStock(product, variant, req.sessionID);
+    if (available < units) throw cartError('Selected size is not available in requested quantity');
+
+    const cart = await load(req);
+    const incoming = buildLine(product, variant, units, available);
+    let line = cart.items.find(item => isSameLine(item, incoming));
+
+    if (line) {
+        if (line.quantity + units > available) {
+            throw cartError(`Only ${available} items available in this size and color`);
+        }
+        line.quantity += units;
+        line.maxStock = available;
+    } else {
+        cart.items.push(incoming);
+        line = incoming;
+    }
+
+    line.heldUntil = await stockHolds.placeHold(req.sessionID, line);
+    return save(req, cart);
+};
+
+// Empty the current cart
+const clear = async (req) => {
+    await Cart.deleteOne(ownerQuery(req));
+    req.session.cart = emptyCart();
+    return req.session.cart;
+};
+
+// Merge the guest cart into the account cart after login/registration.
+// Rules: a line already in the account cart has the guest quantity added to
+// it; every merged line is then capped at the stock the shopper can buy, and
+// lines that are sold out or discontinued are dropped. Returns the lines that
+// were reduced or dropped so the caller can tell the shopper.
+const mergeGuestCart = async (req) => {
+    const guestDoc = await Cart.findOne({ sessionId: req.sessionID, user: { $exists: false } });
+    const guestItems = guestDoc
+        ? guestDoc.items.map(line => line.toObject())
+        : ((req.session.cart && req.session.cart.items) || []).map(toStored);
+
+    const userDoc = await Cart.findOne({ user: req.session.user.id });
+    const combined = userDoc ? userDoc.items.map(line => line.toObject()) : [];
+
+    if (guestItems.length === 0 && combined.length === 0) {
+        req.session.cart = emptyCart();
+        return [];
+    }
+
+    guestItems.forEach(guestLine => {
+        const existing = combined.find(line => isSameLine(line, guestLine));
+        if (existing) {
+            existing.quantity += guestLine.quantity;
+        } else {
+            combined.push(guestLine);
+        }
+    });
+
+    const { items, adjusted } = await hydrate(combined, {
+        capToStock: true,
+        sessionId: req.sessionID
+    });
+
+    // A code entered as a guest wins over one saved on the account
+    const discountCode = (guestDoc && guestDoc.discountCode) || (userDoc && userDoc.discountCode) || null;
+
+    const cart = emptyCart();
+    cart.items = items;
+    await save(req, cart, { discountCode });
+
+    // A line another shopper has just taken stays in the cart without a hold;
+    // checkout will tell the shopper if it is really gone
+    for (const line of cart.items) {
+        try {
+            line.heldUntil = await stockHolds.placeHold(req.sessionID, line);
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+            line.heldUntil = null;
+        }
+    }
+
+    if (guestDoc) await guestDoc.deleteOne();
+
+    return adjusted;
+};
+
+module.exports = {
+    emptyCart,
+    calculateTotals,
+    isSameLine,
+    buildLine,
+    parseQuantity,
+    load,
+    save,
+    addItem,
+    clear,
+    mergeGuestCart
+};
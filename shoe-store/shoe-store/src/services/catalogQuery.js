@@ -0,0 +1,269 @@
+/**
+ * Catalog Query - One definition of the shop filters and sort keys
+ *
+ * parse() turns request query parameters into validated filters. The same
+ * filters become a MongoDB query for plain listings (find()) and an in-memory
+ * check for the search index (matches()), so the API, the /shop page and
+ * search results always agree on what "size 10" or "under $100" means.
+ *
+ * List filters take comma-separated or repeated values (brand=Nike,Adidas or
+ * brand=Nike&brand=Adidas) and match any of them. Prices are compared against
+ * the effective (sale) price.
+ */
+
+const mongoose = require('mongoose');
+const { Product } = require('../models');
+
+const SORT_KEYS = ['relevance', 'newest', 'price_asc', 'price_desc', 'rating', 'popular'];
+
+// MongoDB sort for each key; each has an { isActive, <field>, _id } index
+const MONGO_SORTS = {
+    newest: { createdAt: -1 },
+    price_asc: { effectivePrice: 1 },
+    price_desc: { effectivePrice: -1 },
+    rating: { 'rating.average': -1 },
+    popular: { soldCount: -1 }
+};
+
+const MAX_LIMIT = 100;
+
+const queryError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ==================== PARSING ====================
+
+const toList = (value) => [].concat(value === undefined || value === null ? [] : value)
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+const toFlag = (value) => [].concat(value).some(item => item === true || item === 'true' || item === '1');
+
+const toNumber = (value, name, { min = 0, max = Infinity } = {}) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    if (isNaN(number) || number < min || number > max) {
+        throw queryError(`Invalid ${name}: ${value}`);
+    }
+    return number;
+};
+
+// Validate filter parameters. Throws a 400 error for bad numbers or sort keys.
+const parseFilters = (params = {}) => {
+    const sizes = toList(params.size).map(size => {
+        const number = parseFloat(size);
+        if (isNaN(number)) throw queryError(`Invalid size: ${size}`);
+        return number;
+    });
+
+    const filters = {
+        brand: toList(params.brand),
+        category: toList(params.category),
+        gender: toList(params.gender),
+        size: [...new Set(sizes)],
+        color: toList(params.color).map(color => color.toLowerCase()),
+        minPrice: toNumber(params.minPrice, 'minPrice'),
+        maxPrice: toNumber(params.maxPrice, 'maxPrice'),
+        minRating: toNumber(params.minRating, 'minRating', { max: 5 }),
+        inStock: toFlag(params.inStock),
+        onSale: toFlag(params.onSale),
+        featured: toFlag(params.featured)
+    };
+
+    if (filters.minPrice !== null && filters.maxPrice !== null && filters.minPrice > filters.maxPrice) {
+        throw queryError('minPrice cannot be greater than maxPrice');
+    }
+
+    return filters;
+};
+
+const parseSort = (sort) => {
+    if (sort === undefined || sort === null || sort === '') return null;
+    if (!SORT_KEYS.includes(sort)) {
+        throw queryError(`Unknown sort: ${sort}. Use one of ${SORT_KEYS.join(', ')}`);
+    }
+    return sort;
+};
+
+// Parse a whole listing request: filters, sort and pagination. `after` and
+// `includeTotal` only apply to find().
+const parse = (params = {}) => ({
+    filters: parseFilters(params),
+    sort: parseSort(params.sort),
+    page: Math.max(parseInt(params.page) || 1, 1),
+    limit: Math.min(Math.max(parseInt(params.limit) || 12, 1), MAX_LIMIT),
+    after: params.after ? String(params.after) : null,
+    includeTotal: params.includeTotal !== 'false'
+});
+
+// ==================== MONGODB ====================
+
+// MongoDB query for active products matching the filters
+const toMongo = (filters) => {
+    const conditions = [{ isActive: true }];
+
+    if (filters.brand.length > 0) conditions.push({ brand: { $in: filters.brand } });
+    if (filters.category.length > 0) conditions.push({ category: { $in: filters.category } });
+    if (filters.gender.length > 0) conditions.push({ gender: { $in: filters.gender } });
+
+    // A size only counts while it is in stock
+    if (filters.size.length > 0) {
+        conditions.push({ sizes: { $elemMatch: { size: { $in: filters.size }, stock: { $gt: 0 } } } });
+    }
+
+    if (filters.color.length > 0) {
+        const patterns = filters.color.map(color => new RegExp(`^${escapeRegex(color)}$`, 'i'));
+        conditions.push({
+            $or: [
+                { 'colors.name': { $in: patterns } },
+                { 'variants.color': { $in: patterns } }
+            ]
+        });
+    }
+
+    const priceBounds = {};
+    if (filters.minPrice !== null) priceBounds.$gte = filters.minPrice;
+    if (filters.maxPrice !== null) priceBounds.$lte = filters.maxPrice;
+    if (Object.keys(priceBounds).length > 0) conditions.push({ effectivePrice: priceBounds });
+
+    if (filters.onSale) {
+        conditions.push({ $expr: { $and: [{ $gt: ['$salePrice', 0] }, { $lt: ['$salePrice', '$price'] }] } });
+    }
+    if (filters.inStock) conditions.push({ totalStock: { $gt: 0 } });
+    if (filters.minRating !== null) conditions.push({ 'rating.average': { $gte: filters.minRating } });
+    if (filters.featured) conditions.push({ isFeatured: true });
+
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+// ==================== CURSORS ====================
+
+// A cursor is the sort key plus the sort value and _id of the last product
+// on the page, base64url-encoded JSON. Clients treat it as opaque.
+const sortField = (sortKey) => Object.keys(MONGO_SORTS[sortKey])[0];
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const encodeCursor = (sortKey, doc) => Buffer.from(JSON.stringify({
+    s: sortKey,
+    v: valueAt(doc, sortField(sortKey)),
+    id: doc._id.toString()
+})).toString('base64url');
+
+const decodeCursor = (cursor, sortKey) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw queryError('Invalid cursor');
+    }
+
+    if (!decoded || !MONGO_SORTS[decoded.s] || !mongoose.isValidObjectId(decoded.id)) {
+        throw queryError('Invalid cursor');
+    }
+    if (decoded.s !== sortKey) {
+        throw queryError('Cursor was issued for a different sort; start again without `after`');
+    }
+
+    const field = sortField(sortKey);
+    return {
+        field,
+        value: field === 'createdAt' && decoded.v != null ? new Date(decoded.v) : decoded.v,
+        id: new mongoose.Types.ObjectId(decoded.id)
+    };
+};
+
+// Match the products that sort after the cursor position
+const afterCursor = ({ field, value, id }, direction) => ({
+    $or: [
+        { [field]: { [direction > 0 ? '$gt' : '$lt']: value } },
+        { [field]: value, _id: { $gt: id } }
+    ]
+});
+
+// ==================== LISTING ====================
+
+// List products from MongoDB, sorted with _id as the tie-break so pages never
+// overlap. Pass `after` (a nextCursor) for cursor paging, otherwise `page` is
+// used. Resolves to { products, page, limit, hasNext, nextCursor, sort } plus
+// `total` and `totalPages` unless includeTotal is false.
+const find = async ({ filters, sort, page, limit, after = null, includeTotal = true }) => {
+    // Relevance needs search text; plain listings fall back to newest
+    const sortKey = MONGO_SORTS[sort] ? sort : 'newest';
+    const field = sortField(sortKey);
+    const query = toMongo(filters);
+
+    const sortStage = { $sort: { ...MONGO_SORTS[sortKey], _id: 1 } };
+
+    const pipeline = [{ $match: query }];
+    if (after) {
+        const cursor = decodeCursor(after, sortKey);
+        pipeline.push({ $match: afterCursor(cursor, MONGO_SORTS[sortKey][field]) }, sortStage);
+    } else {
+        pipeline.push(sortStage, { $skip: (page - 1) * limit });
+    }
+
+    // One extra row tells us whether there is a next page without counting
+    pipeline.push({ $limit: limit + 1 }, { $project: { _id: 1, [field]: 1 } });
+
+    const [ranked, total] = await Promise.all([
+        Product.aggregate(pipeline),
+        includeTotal ? Product.countDocuments(query) : null
+    ]);
+
+    const hasNext = ranked.length > limit;
+    const pageRows = ranked.slice(0, limit);
+    const ids = pageRows.map(row => row._id.toString());
+    const found = await Product.find({ _id: { $in: ids } }).select('-reviews');
+    const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+    const result = {
+        products: ids.map(id => byId.get(id)).filter(Boolean),
+        page: after ? null : page,
+        limit,
+        hasNext,
+        nextCursor: hasNext ? encodeCursor(sortKey, pageRows[pageRows.length - 1]) : null,
+        sort: sortKey
+    };
+    if (includeTotal) {
+        result.total = total;
+        result.totalPages = Math.ceil(total / limit);
+    }
+    return result;
+};
+
+// ==================== IN-MEMORY ====================
+
+// Checks against a search index document (see services/search.js). Facets
+// skip their own check so the sidebar still shows the other options.
+const CHECKS = {
+    brand: (doc, f) => f.brand.length === 0 || f.brand.includes(doc.brand),
+    category: (doc, f) => f.category.length === 0 || f.category.includes(doc.category),
+    gender: (doc, f) => f.gender.length === 0 || f.gender.includes(doc.gender),
+    size: (doc, f) => f.size.length === 0 || f.size.some(size => doc.sizes.includes(size)),
+    color: (doc, f) => f.color.length === 0 || doc.colors.some(color => f.color.includes(color.toLowerCase())),
+    price: (doc, f) => (f.minPrice === null || doc.effectivePrice >= f.minPrice) &&
+        (f.maxPrice === null || doc.effectivePrice <= f.maxPrice),
+    onSale: (doc, f) => !f.onSale || doc.onSale,
+    inStock: (doc, f) => !f.inStock || doc.inStock,
+    rating: (doc, f) => f.minRating === null || doc.rating >= f.minRating,
+    featured: (doc, f) => !f.featured || doc.isFeatured
+};
+
+const matches = (doc, filters, skip) => Object.entries(CHECKS)
+    .every(([name, check]) => name === skip || check(doc, filters));
+
+module.exports = {
+    SORT_KEYS,
+    parse,
+    toMongo,
+    encodeCursor,
+    decodeCursor,
+    find,
+    matches
+};
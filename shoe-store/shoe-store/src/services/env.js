@@ -0,0 +1,40 @@
+/**
+ * Environment - Settings that must be explicit outside development and test
+ *
+ * Defaults such as the fake payment provider or console mail are only safe on
+ * a developer's machine. When NODE_ENV is anything other than development or
+ * test, required() refuses to fall back to them, so a deploy that forgets a
+ * setting fails at start-up instead of quietly running with the default.
+ * An unset NODE_ENV means development, as it does for the rest of the app.
+ */
+
+const LOCAL_ENVS = ['development', 'test'];
+
+const isLocal = () => LOCAL_ENVS.includes(process.env.NODE_ENV || 'development');
+
+// Value of an environment variable. When it is unset, `localDefault` is used
+// in development and test; anywhere else it is a start-up error.
+const required = (name, localDefault) => {
+    const value = process.env[name];
+    if (value) return value;
+
+    if (isLocal() && localDefault !== undefined) return localDefault;
+    throw new Error(`${name} must be set (NODE_ENV is ${process.env.NODE_ENV})`);
+};
+
+// required() for a setting that names one of `options` (an object keyed by
+// name) and returns the chosen option. An unknown name is always an error -
+// a typo must never fall back to something else.
+const oneOf = (name, options, localDefault) => {
+    const value = required(name, localDefault);
+    if (!Object.prototype.hasOwnProperty.call(options, value)) {
+        throw new Error(`Unknown ${name} "${value}" - use one of: ${Object.keys(options).join(', ') || '(none available)'}`);
+    }
+    return options[value];
+};
+
+module.exports = {
+    isLocal,
+    required,
+    oneOf
+};
@@ -0,0 +1,95 @@
+/**
+ * Inventory Service - Variant-aware stock adjustments
+ */
+
+const { Product } = require('../models');
+const stockHolds = require('./stockHolds');
+
+// Build the $inc update that moves stock for one line by `delta` units.
+// Variant lines also keep the per-size rollup in step with the SKU.
+const buildStockUpdate = (line, delta) => {
+    const inc = {
+        'sizes.$[s].stock': delta,
+        totalStock: delta,
+        soldCount: -delta
+    };
+    const arrayFilters = [{ 's.size': line.size }];
+
+    if (line.sku) {
+        inc['variants.$[v].stock'] = delta;
+        arrayFilters.push({ 'v.sku': line.sku });
+    }
+
+    return { update: { $inc: inc }, arrayFilters };
+};
+
+// Adjust stock for an order line. Negative delta sells, positive restocks.
+const adjustStock = async (line, delta) => {
+    const { update, arrayFilters } = buildStockUpdate(line, delta);
+    return Product.updateOne({ _id: line.product }, update, { arrayFilters });
+};
+
+// Return an order line's units to stock
+const restock = (line) => adjustStock(line, line.quantity);
+
+// Filter that only matches while the line's SKU (or size) still has `quantity` units
+const stockCondition = (line, quantity) => (line.sku
+    ? { variants: { $elemMatch: { sku: line.sku, stock: { $gte: quantity } } } }
+    : { sizes: { $elemMatch: { size: line.size, stock: { $gte: quantity } } } });
+
+// Put back stock taken by reserveStock. Keeps going past individual failures
+// so one bad line can't strand the others.
+const releaseStock = async (lines) => {
+    for (const line of lines) {
+        try {
+            await restock(line);
+        } catch (error) {
+            console.error(`Stock release failed for product ${line.product}:`, error);
+        }
+    }
+};
+
+// Atomically take stock for every line or none of them. Each decrement is a
+// conditional update, so concurrent checkouts can never push stock below zero;
+// if any line comes up short, lines already taken are released before throwing.
+// Units held in other shoppers' carts are left alone - pass the checkout's
+// `sessionId` so its own holds don't count against it.
+const reserveStock = async (lines, { sessionId } = {}) => {
+    const reserved = [];
+    const heldByOthers = await stockHolds.heldByOthers(lines, sessionId);
+
+    try {
+        for (const [index, line] of lines.entries()) {
+            const { update, arrayFilters } = buildStockUpdate(line, -line.quantity);
+            const result = await Product.updateOne(
+                { _id: line.product, isActive: true, ...stockCondition(line, line.quantity + heldByOthers[index]) },
+                update,
+                { arrayFilters }
+            );
+
+            if (result.modifiedCount === 0) {
+                const error = new Error(
+                    `${line.name} in size ${line.size} (${line.color}) is no longer available in requested quantity`
+                );
+                error.statusCode = 409;
+                throw error;
+            }
+
+            reserved.push(line);
+        }
+    } catch (error) {
+        await releaseStock(reserved);
+        throw error;
+    }
+
+    return reserved;
+};
+
+module.exports = {
+    buildStockUpdate,
+    stockCondition,
+    adjustStock,
+    restock,
+    reserveStock,
+    releaseStock
+};
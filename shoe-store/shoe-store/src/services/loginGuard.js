@@ -0,0 +1,141 @@
+/**
+ * Login Guard - Brute-force protection and login history
+ *
+ * Failed logins are counted per account (email) and per client IP. After a few
+ * free attempts each further failure doubles the wait before the next try, and
+ * reaching the failure limit locks the account or IP for LOGIN_LOCK_MINUTES.
+ * Counts are forgotten an hour after the last failure, a successful login
+ * clears the account's count, and admins can lift a lock early.
+ */
+
+const { LoginThrottle, LoginHistory } = require('../models');
+
+const POLICIES = {
+    account: {
+        freeAttempts: 3,
+        maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '10')
+    },
+    // Higher limits - many shoppers can share an office or mobile carrier IP
+    ip: {
+        freeAttempts: 20,
+        maxFailures: parseInt(process.env.LOGIN_MAX_IP_FAILURES || '100')
+    }
+};
+
+const LOCK_DURATION = parseInt(process.env.LOGIN_LOCK_MINUTES || '15') * 60 * 1000;
+const FAILURE_WINDOW = 60 * 60 * 1000; // 1 hour
+const MAX_BACKOFF = 5 * 60 * 1000; // 5 minutes
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const throttleKeys = (email, ip) => [
+    { scope: 'account', key: normalizeEmail(email) },
+    { scope: 'ip', key: String(ip || 'unknown') }
+];
+
+// Wait imposed after `failures` consecutive failures under `policy`
+const backoffFor = (policy, failures) => {
+    if (failures <= policy.freeAttempts) return 0;
+    return Math.min(1000 * 2 ** (failures - policy.freeAttempts - 1), MAX_BACKOFF);
+};
+
+// Can this email/IP pair try a password right now? Resolves to
+// { allowed, locked, retryAfter } with retryAfter in seconds.
+const check = async (email, ip) => {
+    const now = new Date();
+    const throttles = await LoginThrottle.find({ $or: throttleKeys(email, ip) });
+
+    let retryAfter = 0;
+    let locked = false;
+
+    throttles.forEach(throttle => {
+        if (throttle.blockedUntil && throttle.blockedUntil > now) {
+            retryAfter = Math.max(retryAfter, Math.ceil((throttle.blockedUntil - now) / 1000));
+            if (throttle.lockedAt) locked = true;
+        }
+    });
+
+    return { allowed: retryAfter === 0, locked, retryAfter };
+};
+
+const blockedMessage = ({ locked, retryAfter }) => {
+    const wait = retryAfter >= 60
+        ? `${Math.ceil(retryAfter / 60)} minute(s)`
+        : `${retryAfter} second(s)`;
+    return locked
+        ? `Too many failed login attempts. This account is temporarily locked - try again in ${wait} or reset your password.`
+        : `Too many failed login attempts. Please wait ${wait} and try again.`;
+};
+
+// Count a failed password for the account and the IP
+const recordFailure = async (email, ip) => {
+    const now = new Date();
+
+    for (const { scope, key } of throttleKeys(email, ip)) {
+        const policy = POLICIES[scope];
+
+        // Failures outside the window start a fresh count
+        const throttle = await LoginThrottle.findOneAndUpdate({ scope, key }, [{
+            $set: {
+                failures: {
+                    $cond: [
+                        { $gt: ['$lastFailureAt', new Date(now - FAILURE_WINDOW)] },
+                        { $add: ['$failures', 1] },
+                        1
+                    ]
+                },
+                lastFailureAt: now,
+                expiresAt: new Date(now.getTime() + FAILURE_WINDOW + LOCK_DURATION)
+            }
+        }], { upsert: true, new: true });
+
+        if (throttle.failures >= policy.maxFailures) {
+            throttle.lockedAt = now;
+            throttle.blockedUntil = new Date(now.getTime() + LOCK_DURATION);
+        } else {
+            throttle.lockedAt = undefined;
+            throttle.blockedUntil = new Date(now.getTime() + backoffFor(policy, throttle.failures));
+        }
+        await throttle.save();
+    }
+};
+
+// A correct password clears the account's failures (not the IP's, or one
+// valid login would reset the count for an attacker's whole IP)
+const recordSuccess = (email) => LoginThrottle.deleteOne({
+    scope: 'account',
+    key: normalizeEmail(email)
+});
+
+// Accounts and IPs currently locked out
+const listLocked = () => LoginThrottle.find({
+    lockedAt: { $exists: true },
+    blockedUntil: { $gt: new Date() }
+}).sort({ lockedAt: -1 });
+
+// Lift a lock early and forget its failures
+const unlock = (throttleId) => LoginThrottle.findByIdAndDelete(throttleId);
+
+const recordHistory = (req, { user, email, success, reason = null }) => LoginHistory.create({
+    user,
+    email: normalizeEmail(email),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    success,
+    reason
+});
+
+const recentHistory = (userId, limit = 10) => LoginHistory.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+module.exports = {
+    check,
+    blockedMessage,
+    recordFailure,
+    recordSuccess,
+    listLocked,
+    unlock,
+    recordHistory,
+    recentHistory
+};
@@ -0,0 +1,45 @@
+/**
+ * Mail Hooks - Order emails driven by order lifecycle events
+ */
+
+const { User } = require('../../models');
+const orderLifecycle = require('../orderLifecycle');
+const mail = require('./index');
+
+// Email template for each status an order moves into
+const TRANSITION_TEMPLATES = {
+    confirmed: 'order-placed',
+    processing: 'order-status',
+    shipped: 'order-shipped',
+    delivered: 'order-status',
+    cancelled: 'order-cancelled'
+    // refunded: covered by the 'refund' event, which knows the amount
+};
+
+const sendToCustomer = async (template, order, data = {}) => {
+    const user = await User.findById(order.user).select('email firstName');
+    if (!user) return;
+    await mail.send(template, user.email, { order, user, ...data });
+};
+
+// Listener errors must never break the request that changed the order
+const safely = (handler) => (payload) => {
+    handler(payload).catch(error => console.error('Order email error:', error));
+};
+
+const register = () => {
+    orderLifecycle.events.on('transition', safely(async ({ order, from, to, note }) => {
+        const template = TRANSITION_TEMPLATES[to];
+        if (!template) return;
+        // Orders that never got past payment were never announced, so their
+        // cancellation isn't either
+        if (to === 'cancelled' && from === 'pending') return;
+        await sendToCustomer(template, order, { note });
+    }));
+
+    orderLifecycle.events.on('refund', safely(async ({ order, amount, rmaNumber }) => {
+        await sendToCustomer('order-refunded', order, { amount, rmaNumber: rmaNumber || null });
+    }));
+};
+
+module.exports = { register };
@@ -0,0 +1,184 @@
+/**
+ * Mail Service - Templated transactional email through a durable outbox
+ *
+ * send() renders an EJS template from src/views/emails and queues the result
+ * in the MailMessage collection; the outbox worker delivers queued messages
+ * through the transport picked by MAIL_TRANSPORT (smtp, file or console) and
+ * retries failures with backoff. MAIL_TRANSPORT must be set outside
+ * development and test. Nothing is lost if the app restarts or the
+ * mail server is down - messages wait in the outbox.
+ */
+
+const path = require('path');
+const ejs = require('ejs');
+const { MailMessage } = require('../../models');
+const notifier = require('../notifier');
+const env = require('../env');
+const consoleTransport = require('./transports/console');
+const fileTransport = require('./transports/file');
+const smtpTransport = require('./transports/smtp');
+
+const TEMPLATE_DIR = path.join(__dirname, '../../views/emails');
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const MAIL_FROM = process.env.MAIL_FROM || 'ShoeStore <no-reply@shoestore.local>';
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS = [1, 5, 15, 60]; // minutes before attempts 2..5
+const LOCK_TIMEOUT = 10 * 60 * 1000; // reclaim messages stuck in 'sending'
+const POLL_INTERVAL = parseInt(process.env.MAIL_POLL_SECONDS || '30') * 1000;
+
+const TRANSPORTS = {
+    console: consoleTransport,
+    file: fileTransport,
+    smtp: smtpTransport
+};
+
+// Console mail prints reset and verification links to the logs, so it is
+// only the default in development and test
+const transport = env.oneOf('MAIL_TRANSPORT', TRANSPORTS, 'console');
+
+// Subject line for each template
+const SUBJECTS = {
+    welcome: () => 'Welcome to ShoeStore',
+    'verify-email': () => 'Confirm your email address',
+    'password-reset': () => 'Reset your ShoeStore password',
+    'password-changed': () => 'Your ShoeStore password was changed',
+    'order-placed': ({ order }) => `Order ${order.orderNumber} confirmed`,
+    'order-shipped': ({ order }) => `Order ${order.orderNumber} has shipped`,
+    'order-status': ({ order }) => `Order ${order.orderNumber} is ${order.status}`,
+    'order-cancelled': ({ order }) => `Order ${order.orderNumber} cancelled`,
+    'order-refunded': ({ order }) => `Refund issued for order ${order.orderNumber}`
+};
+
+const htmlToText = (html) => html
+    .replace(/<style[\s\S]*?<\/style>/gi, '')
+    .replace(/<(br|\/p|\/tr|\/h\d)\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&copy;/g, '(c)')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+
+let processing = false;
+
+// Deliver due messages until the outbox is drained or `limit` is reached.
+// Each message is claimed atomically, so several app instances can share
+// one outbox.
+const processOutbox = async ({ limit = 50 } = {}) => {
+    if (processing) return 0;
+    processing = true;
+    let delivered = 0;
+
+    try {
+        for (let i = 0; i < limit; i++) {
+            const now = new Date();
+            const message = await MailMessage.findOneAndUpdate({
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    { status: 'sending', lockedAt: { $lt: new Date(now - LOCK_TIMEOUT) } }
+                ]
+            }, {
+                $set: { status: 'sending', lockedAt: now },
+                $inc: { attempts: 1 }
+            }, { sort: { nextAttemptAt: 1 }, new: true });
+
+            if (!message) break;
+
+            try {
+                await transport.send({
+                    from: MAIL_FROM,
+                    to: message.to,
+                    subject: message.subject,
+                    html: message.html,
+                    text: message.text
+                });
+                message.status = 'sent';
+                message.sentAt = new Date();
+                delivered++;
+            } catch (error) {
+                message.lastError = error.message;
+                if (message.attempts >= MAX_ATTEMPTS) {
+                    message.status = 'failed';
+                    console.error(`Mail ${message._id} to ${message.to} failed permanently:`, error.message);
+                } else {
+                    const delay = RETRY_DELAYS[message.attempts - 1] * 60 * 1000;
+                    message.status = 'pending';
+                    message.nextAttemptAt = new Date(Date.now() + delay);
+                }
+            }
+
+            message.lockedAt = undefined;
+            await message.save();
+        }
+    } finally {
+        processing = false;
+    }
+
+    return delivered;
+};
+
+// Deliver soon without making the caller wait for the mail server
+const kick = () => {
+    setImmediate(() => {
+        processOutbox().catch(error => console.error('Mail outbox error:', error));
+    });
+};
+
+// Queue a ready-made message
+const enqueue = async ({ to, subject, html, text, template }) => {
+    const message = await MailMessage.create({ to, subject, html, text, template });
+    kick();
+    return message;
+};
+
+const render = (template, data) => {
+    const subject = SUBJECTS[template](data);
+    return ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.ejs`), {
+        ...data,
+        subject,
+        appUrl: APP_URL
+    }).then(html => ({ subject, html }));
+};
+
+// Absolute link into the storefront for use in emails
+const url = (pathname) => `${APP_URL}${pathname}`;
+
+// Render a template and queue it for `to`
+const send = async (template, to, data = {}) => {
+    if (!SUBJECTS[template]) {
+        throw new Error(`Unknown email template: ${template}`);
+    }
+
+    const { subject, html } = await render(template, data);
+    return enqueue({ to, subject, html, text: htmlToText(html), template });
+};
+
+// Poll the outbox for retries and messages queued by other instances
+const startWorker = () => {
+    const timer = setInterval(() => {
+        processOutbox().catch(error => console.error('Mail outbox error:', error));
+    }, POLL_INTERVAL);
+    timer.unref();
+    return timer;
+};
+
+// Notifier email (stock alerts) goes through the outbox as well
+notifier.registerChannel({
+    name: 'email',
+
+    async send({ to, subject, text }) {
+        await enqueue({ to, subject, text, template: 'notification' });
+        return { success: true };
+    }
+});
+
+module.exports = {
+    url,
+    render,
+    send,
+    enqueue,
+    processOutbox,
+    startWorker
+};
@@ -0,0 +1,11 @@
+/**
+ * Console Mail Transport - Prints messages instead of sending them (dev)
+ */
+
+module.exports = {
+    name: 'console',
+
+    async send({ from, to, subject, text }) {
+        console.log(`[mail] ${from} -> ${to}: ${subject}\n${text}`);
+    }
+};
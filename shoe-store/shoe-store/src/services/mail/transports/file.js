@@ -0,0 +1,25 @@
+/**
+ * File Mail Transport - Writes each message to an .html file (dev)
+ *
+ * MAIL_DIR sets the directory, logs/mail by default. Open the files in a
+ * browser to check how templates render.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DIR = process.env.MAIL_DIR || path.join('logs', 'mail');
+
+module.exports = {
+    name: 'file',
+
+    async send({ from, to, subject, html, text }) {
+        await fs.mkdir(DIR, { recursive: true });
+
+        const slug = subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40);
+        const file = path.join(DIR, `${Date.now()}-${slug}.html`);
+        const headers = `<!-- From: ${from}\n     To: ${to}\n     Subject: ${subject} -->\n`;
+
+        await fs.writeFile(file, headers + (html || `<pre>${text}</pre>`));
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * SMTP Mail Transport - Sends through any SMTP server via nodemailer
+ *
+ * Configured by SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASS.
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    return transporter;
+};
+
+module.exports = {
+    name: 'smtp',
+
+    async send({ from, to, subject, html, text }) {
+        await getTransporter().sendMail({ from, to, subject, html, text });
+    }
+};
@@ -0,0 +1,11 @@
+/**
+ * Email Channel - Subject and body, handed to the configured transport
+ */
+
+module.exports = (transport) => ({
+    name: 'email',
+
+    async send({ to, subject, text }) {
+        return transport.deliver({ channel: 'email', to, subject, text });
+    }
+});
@@ -0,0 +1,14 @@
+/**
+ * SMS Channel - Body only, cut to a single 160 character message
+ */
+
+const MAX_LENGTH = 160;
+
+module.exports = (transport) => ({
+    name: 'sms',
+
+    async send({ to, text }) {
+        const body = text.length > MAX_LENGTH ? `${text.slice(0, MAX_LENGTH - 3)}...` : text;
+        return transport.deliver({ channel: 'sms', to, text: body });
+    }
+});
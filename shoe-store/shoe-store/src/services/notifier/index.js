@@ -0,0 +1,54 @@
+/**
+ * Notifier - Pluggable delivery of customer notifications
+ *
+ * Channel adapters are registered by name and implement:
+ *   send({ to, subject, text }) -> { success }
+ *
+ * The built-in email and SMS channels hand messages to the transport picked by
+ * NOTIFIER_TRANSPORT (console or file) so development never reaches a real
+ * provider. A production adapter replaces one by registering under its name;
+ * NOTIFIER_TRANSPORT must still be set explicitly outside development and test.
+ * Outside development and test SMS is only offered once a real adapter
+ * registers it, so alerts are never "sent" to a log nobody reads.
+ */
+
+const consoleTransport = require('./transports/console');
+const fileTransport = require('./transports/file');
+const emailChannel = require('./channels/email');
+const smsChannel = require('./channels/sms');
+const env = require('../env');
+
+const TRANSPORTS = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+const transport = env.oneOf('NOTIFIER_TRANSPORT', TRANSPORTS, 'console');
+
+const channels = new Map();
+
+const registerChannel = (adapter) => {
+    channels.set(adapter.name, adapter);
+};
+
+registerChannel(emailChannel(transport));
+if (env.isLocal()) {
+    registerChannel(smsChannel(transport));
+}
+
+const getChannels = () => [...channels.keys()];
+
+// Send one message on a channel. Resolves to { success, message? }.
+const send = async (channel, message) => {
+    const adapter = channels.get(channel);
+    if (!adapter) {
+        return { success: false, message: `Unknown notification channel: ${channel}` };
+    }
+    return adapter.send(message);
+};
+
+module.exports = {
+    registerChannel,
+    getChannels,
+    send
+};
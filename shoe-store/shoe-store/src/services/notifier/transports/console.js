@@ -0,0 +1,12 @@
+/**
+ * Console Transport - Prints notifications instead of sending them (dev)
+ */
+
+module.exports = {
+    name: 'console',
+
+    async deliver({ channel, to, subject, text }) {
+        console.log(`[${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${text}`);
+        return { success: true };
+    }
+};
@@ -0,0 +1,20 @@
+/**
+ * File Transport - Appends notifications to a JSON-lines file (dev)
+ *
+ * NOTIFIER_FILE sets the file, logs/notifications.log by default.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const FILE = process.env.NOTIFIER_FILE || path.join('logs', 'notifications.log');
+
+module.exports = {
+    name: 'file',
+
+    async deliver(message) {
+        await fs.mkdir(path.dirname(FILE), { recursive: true });
+        await fs.appendFile(FILE, JSON.stringify({ ...message, sentAt: new Date() }) + '\n');
+        return { success: true };
+    }
+};
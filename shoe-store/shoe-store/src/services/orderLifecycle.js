@@ -0,0 +1,162 @@
+/**
+ * Order Lifecycle - Legal status transitions, their guards and side effects
+ *
+ * Every order status change goes through transition(), which checks the move
+ * is allowed for the actor, runs the target status's guard, applies side
+ * effects (payment release, restock), records statusHistory and saves the
+ * order. Rejected moves throw errors with a statusCode.
+ *
+ * Customer notifications listen on `events`:
+ *   'transition' ({ order, from, to, note }) after each saved transition
+ *   'refund'     ({ order, amount, rmaNumber? }) after money is returned
+ */
+
+const EventEmitter = require('events');
+const inventory = require('./inventory');
+const promotions = require('./promotions');
+const payments = require('./payments');
+
+const TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'shipped', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+// Customers can only call off an order before it's being packed
+const CUSTOMER_TRANSITIONS = {
+    pending: ['cancelled'],
+    confirmed: ['cancelled']
+};
+
+const events = new EventEmitter();
+
+const lifecycleError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const allowedTransitions = (status, actor = 'admin') => {
+    const table = actor === 'customer' ? CUSTOMER_TRANSITIONS : TRANSITIONS;
+    return table[status] || [];
+};
+
+const canTransition = (order, to, actor = 'admin') => allowedTransitions(order.status, actor).includes(to);
+
+const hasRefund = (order) => order.payment.amountRefunded > 0 ||
+    (order.returns || []).some(rma => rma.status === 'refunded');
+
+// Guards run before anything changes; they throw to block the move
+const guards = {
+    shipped: (order, { trackingNumber }) => {
+        if (!trackingNumber && !order.trackingNumber) {
+            throw lifecycleError('A tracking number is required to mark an order shipped');
+        }
+    },
+    delivered: (order) => {
+        if (!order.trackingNumber) {
+            throw lifecycleError('A tracking number is required to mark an order delivered');
+        }
+    },
+    refunded: (order) => {
+        if (!hasRefund(order)) {
+            throw lifecycleError('Issue a refund before marking the order refunded');
+        }
+    }
+};
+
+// Side effects that must succeed before the status changes
+const beforeEffects = {
+    shipped: async (order) => {
+        // Take the money when the order ships
+        if (order.payment.status === 'authorized') {
+            const capture = await payments.captureOrder(order);
+            if (!capture.success) {
+                throw lifecycleError(capture.message || 'Payment capture failed', 502);
+            }
+        }
+    },
+    cancelled: async (order) => {
+        // Void an open authorization, refund a capture
+        let result = { success: true };
+        if (order.payment.status === 'authorized') {
+            result = await payments.voidOrder(order);
+        } else if (['completed', 'partially_refunded'].includes(order.payment.status)) {
+            result = await payments.refundOrder(order);
+        }
+        if (!result.success) {
+            throw lifecycleError(result.message || 'Failed to release payment', 502);
+        }
+    }
+};
+
+// Side effects once the new status is saved
+const afterEffects = {
+    cancelled: async (order) => {
+        for (const item of order.items) {
+            await inventory.restock(item);
+        }
+
+        // Give the discount code use back
+        if (order.discount && order.discount.code) {
+            const promotion = await promotions.findByCode(order.discount.code);
+            if (promotion) await promotions.release(promotion);
+        }
+    }
+};
+
+// Move `order` to status `to`. Options: note, trackingNumber, actor
+// ('customer', 'admin' or 'system').
+const transition = async (order, to, { note, trackingNumber, actor = 'admin' } = {}) => {
+    const from = order.status;
+
+    if (!TRANSITIONS[to]) {
+        throw lifecycleError(`Unknown order status: ${to}`);
+    }
+    if (!canTransition(order, to, actor)) {
+        throw lifecycleError(actor === 'customer' && to === 'cancelled'
+            ? 'Order cannot be cancelled at this stage'
+            : `Cannot move order from ${from} to ${to}`);
+    }
+
+    if (guards[to]) guards[to](order, { trackingNumber });
+    if (beforeEffects[to]) await beforeEffects[to](order);
+
+    order.status = to;
+    if (trackingNumber) order.trackingNumber = trackingNumber;
+    order.statusHistory.push({
+        status: to,
+        note: note || `Status updated to ${to}`
+    });
+    await order.save();
+
+    if (afterEffects[to]) await afterEffects[to](order);
+    events.emit('transition', { order, from, to, note });
+
+    return order;
+};
+
+// Order status a payment change calls for, if that move is currently legal
+const statusForPayment = (order) => {
+    const { status } = order.payment;
+    let to = null;
+
+    if (order.status === 'pending' && ['authorized', 'completed'].includes(status)) to = 'confirmed';
+    else if (order.status === 'pending' && status === 'failed') to = 'cancelled';
+    else if (status === 'refunded') to = 'refunded';
+
+    return to && canTransition(order, to, 'system') ? to : null;
+};
+
+module.exports = {
+    TRANSITIONS,
+    events,
+    allowedTransitions,
+    canTransition,
+    transition,
+    statusForPayment
+};
@@ -0,0 +1,200 @@
+/**
+ * Payment Gateway - Provider registry and order payment operations
+ *
+ * Provider adapters are registered under their `name` and implement:
+ *   authorize({ amount, currency, order, paymentToken }) -> { success, transactionId, message }
+ *   capture({ transactionId, amount })                   -> { success, message }
+ *   refund({ transactionId, amount })                    -> { success, refundId, message }
+ *   void({ transactionId })                              -> { success, message }
+ *   verifyWebhook({ rawBody, headers })                  -> { id, type, transactionId, amount } | null
+ *
+ * PAYMENT_PROVIDER picks the provider for card and PayPal payments; cash on
+ * delivery orders skip the gateway. It must name a built-in provider and be
+ * set outside development and test, where the fake provider isn't available. The helpers below update `order.payment`
+ * in memory - callers save the order.
+ */
+
+const env = require('../env');
+
+// Providers that ship with the store. The fake provider only exists in
+// development and test.
+const BUILT_IN_PROVIDERS = env.isLocal()
+    ? { fake: require('./providers/fake') }
+    : {};
+
+// Never fall back to a provider that approves payments without charging, and
+// refuse to start with a provider nothing implements
+const DEFAULT_PROVIDER = env.oneOf('PAYMENT_PROVIDER', BUILT_IN_PROVIDERS, 'fake').name;
+const CURRENCY = process.env.STORE_CURRENCY || 'USD';
+
+const providers = new Map();
+
+const registerProvider = (adapter) => {
+    providers.set(adapter.name, adapter);
+};
+
+Object.values(BUILT_IN_PROVIDERS).forEach(registerProvider);
+
+const getProvider = (name = DEFAULT_PROVIDER) => {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const requiresAuthorization = (method) => method !== 'cod';
+
+// Authorize the order total. Cash on delivery needs no authorization.
+const authorizeOrder = async (order, { paymentToken } = {}) => {
+    if (!requiresAuthorization(order.payment.method)) {
+        return { success: true };
+    }
+
+    const provider = getProvider();
+    order.payment.provider = provider.name;
+
+    const result = await provider.authorize({
+        amount: order.total,
+        currency: CURRENCY,
+        order,
+        paymentToken
+    });
+
+    if (!result.success) {
+        order.payment.status = 'failed';
+        return { success: false, message: result.message || 'Payment authorization failed' };
+    }
+
+    order.payment.status = 'authorized';
+    order.payment.transactionId = result.transactionId;
+    order.payment.amountAuthorized = order.total;
+    return { success: true, transactionId: result.transactionId };
+};
+
+// Capture a previously authorized payment
+const captureOrder = async (order) => {
+    if (order.payment.status !== 'authorized') {
+        return { success: false, message: `Cannot capture a ${order.payment.status} payment` };
+    }
+
+    const result = await getProvider(order.payment.provider).capture({
+        transactionId: order.payment.transactionId,
+        amount: order.payment.amountAuthorized
+    });
+    if (!result.success) return result;
+
+    order.payment.status = 'completed';
+    order.payment.amountCaptured = order.payment.amountAuthorized;
+    return { success: true };
+};
+
+// Release an authorization that will never be captured
+const voidOrder = async (order) => {
+    if (order.payment.status !== 'authorized') {
+        return { success: false, message: `Cannot void a ${order.payment.status} payment` };
+    }
+
+    const result = await getProvider(order.payment.provider).void({
+        transactionId: order.payment.transactionId
+    });
+    if (!result.success) return result;
+
+    order.payment.status = 'voided';
+    return { success: true };
+};
+
+// Refund captured money. Omit `amount` to refund everything not yet refunded.
+const refundOrder = async (order, amount) => {
+    if (!['completed', 'partially_refunded'].includes(order.payment.status)) {
+        return { success: false, message: `Cannot refund a ${order.payment.status} payment` };
+    }
+
+    const refundable = roundMoney(order.payment.amountCaptured - order.payment.amountRefunded);
+    const refundAmount = roundMoney(amount === undefined ? refundable : amount);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+        return { success: false, message: `Refund must be between $0.01 and $${refundable.toFixed(2)}` };
+    }
+
+    const result = await getProvider(order.payment.provider).refund({
+        transactionId: order.payment.transactionId,
+        amount: refundAmount
+    });
+    if (!result.success) return result;
+
+    order.payment.amountRefunded = roundMoney(order.payment.amountRefunded + refundAmount);
+    order.payment.status = order.payment.amountRefunded >= order.payment.amountCaptured
+        ? 'refunded'
+        : 'partially_refunded';
+    return { success: true, refundId: result.refundId, amount: refundAmount };
+};
+
+// Apply a verified provider webhook event to its order's payment. Events only
+// move payment state forward and are ignored if already applied. Returns false
+// for duplicates and events that don't change anything. The order status is
+// left to the order lifecycle (see orderLifecycle.statusForPayment).
+const applyWebhookEvent = (order, event) => {
+    const payment = order.payment;
+    if (event.id && payment.processedEvents.includes(event.id)) return false;
+
+    let note = null;
+
+    switch (event.type) {
+        case 'payment.authorized':
+            if (payment.status === 'pending') {
+                payment.status = 'authorized';
+                payment.amountAuthorized = event.amount || order.total;
+                note = 'Payment authorized';
+            }
+            break;
+        case 'payment.captured':
+            if (['pending', 'authorized'].includes(payment.status)) {
+                payment.status = 'completed';
+                payment.amountCaptured = event.amount || payment.amountAuthorized || order.total;
+                note = 'Payment captured';
+            }
+            break;
+        case 'payment.failed':
+            if (['pending', 'authorized'].includes(payment.status)) {
+                payment.status = 'failed';
+                note = 'Payment failed';
+            }
+            break;
+        case 'payment.voided':
+            if (payment.status === 'authorized') {
+                payment.status = 'voided';
+                note = 'Payment authorization voided';
+            }
+            break;
+        case 'payment.refunded':
+            if (['completed', 'partially_refunded'].includes(payment.status) && event.amount > 0) {
+                payment.amountRefunded = roundMoney(payment.amountRefunded + event.amount);
+                payment.status = payment.amountRefunded >= payment.amountCaptured ? 'refunded' : 'partially_refunded';
+                note = `Refund of $${event.amount.toFixed(2)} processed`;
+            }
+            break;
+    }
+
+    if (event.id) payment.processedEvents.push(event.id);
+    if (!note) return false;
+
+    order.statusHistory.push({
+        status: order.status,
+        note: `${note} (${payment.provider || 'provider'} webhook)`
+    });
+    return true;
+};
+
+module.exports = {
+    CURRENCY,
+    registerProvider,
+    getProvider,
+    requiresAuthorization,
+    authorizeOrder,
+    captureOrder,
+    voidOrder,
+    refundOrder,
+    applyWebhookEvent
+};
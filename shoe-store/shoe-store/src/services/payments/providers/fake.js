@@ -0,0 +1,72 @@
+/**
+ * Fake Payment Provider - Local development and testing
+ *
+ * Approves everything except the test tokens below, never moves money, and
+ * signs/verifies webhooks with PAYMENT_WEBHOOK_SECRET like a real provider:
+ *   tok_decline        -> authorization declined
+ *   tok_error          -> provider error (thrown)
+ */
+
+const crypto = require('crypto');
+const env = require('../../env');
+
+const WEBHOOK_SECRET = env.required('PAYMENT_WEBHOOK_SECRET', 'fake-webhook-secret');
+
+const transactionId = () => `fake_${crypto.randomBytes(12).toString('hex')}`;
+
+const sign = (payload) => crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(payload)
+    .digest('hex');
+
+module.exports = {
+    name: 'fake',
+
+    async authorize({ amount, paymentToken }) {
+        if (paymentToken === 'tok_error') {
+            throw new Error('Fake provider unavailable');
+        }
+        if (paymentToken === 'tok_decline') {
+            return { success: false, message: 'Your card was declined' };
+        }
+        return { success: true, transactionId: transactionId(), amount };
+    },
+
+    async capture({ transactionId: id, amount }) {
+        return { success: true, transactionId: id, amount };
+    },
+
+    async refund({ transactionId: id, amount }) {
+        return { success: true, transactionId: id, refundId: `re_${crypto.randomBytes(8).toString('hex')}`, amount };
+    },
+
+    async void({ transactionId: id }) {
+        return { success: true, transactionId: id };
+    },
+
+    // Sign a payload the way the provider would, for local webhook testing
+    sign,
+
+    // Check the signature header and normalize the event body
+    verifyWebhook({ rawBody, headers }) {
+        const signature = headers['x-payment-signature'] || '';
+        const expected = sign(rawBody || '');
+
+        const valid = signature.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+        if (!valid) return null;
+
+        let event;
+        try {
+            event = JSON.parse(rawBody);
+        } catch (error) {
+            return null;
+        }
+        return {
+            id: event.id,
+            type: event.type,
+            transactionId: event.transactionId,
+            amount: event.amount
+        };
+    }
+};
@@ -0,0 +1,56 @@
+/**
+ * Permissions - Staff roles and what each one may do in /admin
+ *
+ * Every role other than customer is a staff role and can open the admin area;
+ * each admin route then requires one permission. Roles are fixed here so a
+ * permission change is a code review, not a database edit.
+ */
+
+const PERMISSIONS = [
+    'products:write',
+    'inventory:write',
+    'orders:manage',
+    'users:manage',
+    'promotions:manage',
+    'reviews:moderate',
+    'reports:view',
+    'settings:manage' // tax rules, shipping, site settings, API tokens
+];
+
+const ROLES = {
+    customer: {
+        label: 'Customer',
+        permissions: []
+    },
+    admin: {
+        label: 'Administrator',
+        permissions: PERMISSIONS
+    },
+    merchandiser: {
+        label: 'Merchandiser',
+        permissions: ['products:write']
+    },
+    warehouse: {
+        label: 'Warehouse',
+        permissions: ['inventory:write', 'orders:manage']
+    }
+};
+
+const permissionsFor = (role) => (ROLES[role] ? ROLES[role].permissions : []);
+
+const hasPermission = (user, permission) => Boolean(user) && permissionsFor(user.role).includes(permission);
+
+const isStaff = (user) => Boolean(user) && permissionsFor(user.role).length > 0;
+
+// A user may only hand out roles whose permissions they hold themselves
+const canAssignRole = (user, role) => Boolean(ROLES[role]) &&
+    permissionsFor(role).every(permission => hasPermission(user, permission));
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    permissionsFor,
+    hasPermission,
+    isStaff,
+    canAssignRole
+};
@@ -0,0 +1,134 @@
+/**
+ * Promotion Service - Discount code validation and pricing
+ */
+
+const { Promotion, Order } = require('../models');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const findByCode = (code) => Promotion.findOne({ code: String(code || '').trim().toUpperCase() });
+
+// Does a cart line fall inside the promotion's brand/category/product scope?
+const isEligibleLine = (promotion, line) => {
+    const { brands = [], categories = [], products = [] } = promotion.scope || {};
+    if (brands.length && !brands.includes(line.brand)) return false;
+    if (categories.length && !categories.includes(line.category)) return false;
+    if (products.length && !products.some(id => id.toString() === String(line.productId))) return false;
+    return true;
+};
+
+// Work out what the promotion is worth for the cart. Pure - no database access.
+const computeDiscount = (promotion, cart) => {
+    const eligible = cart.items.filter(line => isEligibleLine(promotion, line));
+    const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+
+    let amount = 0;
+    let freeShipping = false;
+
+    switch (promotion.type) {
+        case 'percentage':
+            amount = eligibleSubtotal * (promotion.value / 100);
+            break;
+        case 'fixed':
+            amount = Math.min(promotion.value, eligibleSubtotal);
+            break;
+        case 'free_shipping':
+            freeShipping = eligible.length > 0;
+            break;
+        case 'buy_x_get_y': {
+            // Most expensive units count as the "buy" units; in every group of
+            // buy + get units the cheapest `get` units are discounted
+            const unitPrices = eligible
+                .flatMap(line => Array(line.quantity).fill(line.price))
+                .sort((a, b) => b - a);
+            const groupSize = promotion.buyQuantity + promotion.getQuantity;
+            const percentOff = promotion.value > 0 ? promotion.value : 100;
+
+            for (let start = 0; start + groupSize <= unitPrices.length; start += groupSize) {
+                unitPrices
+                    .slice(start + promotion.buyQuantity, start + groupSize)
+                    .forEach(price => { amount += price * (percentOff / 100); });
+            }
+            break;
+        }
+    }
+
+    return {
+        code: promotion.code,
+        description: promotion.description,
+        type: promotion.type,
+        amount: roundMoney(amount),
+        freeShipping
+    };
+};
+
+// Check whether a promotion can be used on this cart. Per-customer limits are
+// only checked when a user id is known (always true at checkout).
+const validate = async (promotion, cart, userId) => {
+    const now = new Date();
+
+    if (!promotion || !promotion.isActive) {
+        return { valid: false, message: 'This discount code is not valid' };
+    }
+    if (promotion.startsAt && promotion.startsAt > now) {
+        return { valid: false, message: 'This discount code is not active yet' };
+    }
+    if (promotion.endsAt && promotion.endsAt < now) {
+        return { valid: false, message: 'This discount code has expired' };
+    }
+    if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) {
+        return { valid: false, message: 'This discount code has reached its usage limit' };
+    }
+    if (cart.subtotal < promotion.minSubtotal) {
+        return {
+            valid: false,
+            message: `This discount code requires a subtotal of at least $${promotion.minSubtotal.toFixed(2)}`
+        };
+    }
+    if (!cart.items.some(line => isEligibleLine(promotion, line))) {
+        return { valid: false, message: 'This discount code does not apply to any items in your cart' };
+    }
+
+    if (userId && promotion.perCustomerLimit) {
+        const timesUsed = await Order.countDocuments({
+            user: userId,
+            'discount.code': promotion.code,
+            status: { $ne: 'cancelled' }
+        });
+        if (timesUsed >= promotion.perCustomerLimit) {
+            return { valid: false, message: 'You have already used this discount code' };
+        }
+    }
+
+    return { valid: true };
+};
+
+// Count one use of the promotion. The conditional update keeps concurrent
+// checkouts from going past usageLimit; returns false when the limit is hit.
+const redeem = async (promotion) => {
+    const result = await Promotion.updateOne({
+        _id: promotion._id,
+        $or: [
+            { usageLimit: { $exists: false } },
+            { usageLimit: null },
+            { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+        ]
+    }, { $inc: { usedCount: 1 } });
+
+    return result.modifiedCount === 1;
+};
+
+// Give back a use taken by redeem (failed checkout, cancelled order)
+const release = (promotion) => Promotion.updateOne(
+    { _id: promotion._id, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+);
+
+module.exports = {
+    findByCode,
+    isEligibleLine,
+    computeDiscount,
+    validate,
+    redeem,
+    release
+};
@@ -0,0 +1,170 @@
+/**
+ * Returns Service - RMA workflow for delivered orders
+ *
+ * requested -> approved -> received -> refunded, or requested -> rejected.
+ * Each helper updates the order in memory and records the step in
+ * statusHistory - callers save the order (refund() also saves when it moves
+ * the whole order to refunded). Invalid steps throw errors with a
+ * statusCode so routes can pass the message straight back.
+ */
+
+const inventory = require('./inventory');
+const payments = require('./payments');
+const orderLifecycle = require('./orderLifecycle');
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const returnError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const findReturn = (order, returnId) => {
+    const rma = order.returns.id(returnId);
+    if (!rma) throw returnError('Return not found', 404);
+    return rma;
+};
+
+const recordStep = (order, rma, note) => {
+    order.statusHistory.push({
+        status: order.status,
+        note: `Return ${rma.rmaNumber}: ${note}`
+    });
+};
+
+// Units of an order line already covered by returns that weren't rejected
+const returnedQuantity = (order, itemId) => order.returns
+    .filter(rma => rma.status !== 'rejected')
+    .reduce((sum, rma) => sum + rma.items
+        .filter(item => item.orderItem.toString() === itemId.toString())
+        .reduce((units, item) => units + item.quantity, 0), 0);
+
+// Open a return for `items: [{ itemId, quantity }]` on a delivered order
+const openReturn = (order, { items, reason, comment }) => {
+    if (order.status !== 'delivered') {
+        throw returnError('Returns can only be opened on delivered orders');
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        throw returnError('Select at least one item to return');
+    }
+
+    const lines = items.map(({ itemId, quantity }) => {
+        const line = order.items.id(itemId);
+        const units = parseInt(quantity, 10);
+        if (!line) throw returnError('Item not found in this order');
+        if (!units || units < 1) throw returnError(`Invalid quantity for ${line.name}`);
+
+        const remaining = line.quantity - returnedQuantity(order, line._id);
+        if (units > remaining) {
+            throw returnError(`Only ${remaining} of ${line.name} (size ${line.size}) can be returned`);
+        }
+        return { orderItem: line._id, quantity: units };
+    });
+
+    order.returns.push({
+        rmaNumber: `${order.orderNumber}-R${order.returns.length + 1}`,
+        items: lines,
+        reason,
+        comment
+    });
+
+    const rma = order.returns[order.returns.length - 1];
+    const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+    recordStep(order, rma, `requested for ${units} item(s) (${reason.replace(/_/g, ' ')})`);
+    return rma;
+};
+
+const approve = (order, rma, note) => {
+    if (rma.status !== 'requested') throw returnError(`Cannot approve a ${rma.status} return`);
+    rma.status = 'approved';
+    if (note) rma.adminNote = note;
+    recordStep(order, rma, note ? `approved - ${note}` : 'approved');
+};
+
+const reject = (order, rma, note) => {
+    if (rma.status !== 'requested') throw returnError(`Cannot reject a ${rma.status} return`);
+    rma.status = 'rejected';
+    if (note) rma.adminNote = note;
+    recordStep(order, rma, note ? `rejected - ${note}` : 'rejected');
+};
+
+// Mark the parcel as received, optionally putting the units back into stock
+// under the size and SKU they were sold as
+const receive = async (order, rma, { restock = false } = {}) => {
+    if (rma.status !== 'approved') throw returnError(`Cannot receive a ${rma.status} return`);
+
+    if (restock) {
+        for (const item of rma.items) {
+            const line = order.items.id(item.orderItem);
+            await inventory.adjustStock(line, item.quantity);
+        }
+        rma.restocked = true;
+    }
+
+    rma.status = 'received';
+    recordStep(order, rma, restock ? 'items received and restocked' : 'items received (not restocked)');
+};
+
+// What the returned units cost the customer: line prices scaled by the share
+// of the order total that went to merchandise, so discounts and tax come back
+// in proportion. Shipping is not refunded.
+const suggestedRefund = (order, rma) => {
+    const itemsValue = rma.items.reduce((sum, item) => {
+        const line = order.items.id(item.orderItem);
+        return sum + (line ? line.price * item.quantity : 0);
+    }, 0);
+    if (!order.subtotal) return 0;
+
+    const shippingCost = (order.shipping && order.shipping.cost) || 0;
+    const paidForGoods = Math.max(order.total - shippingCost, 0);
+    return roundMoney(itemsValue * (paidForGoods / order.subtotal));
+};
+
+// Refund a received return through the payment layer. Omit `amount` for the
+// suggested full refund; a smaller amount issues a partial refund.
+const refund = async (order, rma, { amount } = {}) => {
+    if (rma.status !== 'received') throw returnError(`Cannot refund a ${rma.status} return`);
+
+    const refundAmount = roundMoney(amount === undefined || amount === '' ? suggestedRefund(order, rma) : parseFloat(amount));
+    if (!(refundAmount > 0)) throw returnError('Refund amount must be greater than zero');
+
+    let refundId;
+    if (payments.requiresAuthorization(order.payment.method)) {
+        const result = await payments.refundOrder(order, refundAmount);
+        if (!result.success) throw returnError(result.message || 'Refund failed', 502);
+        refundId = result.refundId;
+    } else {
+        // Cash on delivery never went through the gateway - refunded offline
+        const refundable = roundMoney(order.total - order.payment.amountRefunded);
+        if (refundAmount > refundable) {
+            throw returnError(`Refund must be between $0.01 and $${refundable.toFixed(2)}`);
+        }
+        order.payment.amountRefunded = roundMoney(order.payment.amountRefunded + refundAmount);
+        order.payment.status = order.payment.amountRefunded >= order.total ? 'refunded' : 'partially_refunded';
+    }
+
+    rma.status = 'refunded';
+    rma.refund = { amount: refundAmount, refundId, refundedAt: new Date() };
+    recordStep(order, rma, `refund of $${refundAmount.toFixed(2)} issued`);
+    orderLifecycle.events.emit('refund', { order, amount: refundAmount, rmaNumber: rma.rmaNumber });
+
+    // Nothing left to refund - the order itself is now refunded
+    if (order.payment.status === 'refunded' && orderLifecycle.canTransition(order, 'refunded', 'system')) {
+        await orderLifecycle.transition(order, 'refunded', {
+            actor: 'system',
+            note: `Fully refunded via return ${rma.rmaNumber}`
+        });
+    }
+};
+
+module.exports = {
+    findReturn,
+    returnedQuantity,
+    openReturn,
+    approve,
+    reject,
+    receive,
+    suggestedRefund,
+    refund
+};
@@ -0,0 +1,505 @@
+/**
+ * Reviews Service - Product reviews, moderation and helpful votes
+ *
+ * Reviews stay embedded in Product.reviews. New and edited reviews wait in
+ * the moderation queue (pending) until staff approve or reject them; only
+ * approved reviews are listed, voted on and counted in rating.average, which
+ * is recalculated whenever a review changes. Every write is a targeted update
+ * of the reviews array (never product.save()), so reviews can't overwrite
+ * stock that checkouts changed in the meantime. A review is marked as a verified
+ * purchase when the reviewer has a delivered order containing the product.
+ * Reviews can carry up to MAX_PHOTOS photos and a fit vote, which is totalled
+ * into Product.fit for the "runs small" hint. Photos are stored privately in
+ * S3 and only made public while their review is approved; they are deleted
+ * with the review, when the author removes them, or when the write fails.
+ * Errors carry a statusCode so routes can pass the message straight back.
+ */
+
+const mongoose = require('mongoose');
+const { Product, Order, User } = require('../models');
+const uploads = require('./uploads');
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const SORTS = {
+    newest: (a, b) => b.createdAt - a.createdAt,
+    oldest: (a, b) => a.createdAt - b.createdAt,
+    helpful: (a, b) => (b.helpfulCount - b.notHelpfulCount) - (a.helpfulCount - a.notHelpfulCount) ||
+        b.createdAt - a.createdAt,
+    rating_desc: (a, b) => b.rating - a.rating || b.createdAt - a.createdAt,
+    rating_asc: (a, b) => a.rating - b.rating || b.createdAt - a.createdAt
+};
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_PHOTOS = 3;
+
+// Review fit values and the Product.fit counter each one adds to
+const FIT_COUNTERS = {
+    runs_small: 'runsSmall',
+    true_to_size: 'trueToSize',
+    runs_large: 'runsLarge'
+};
+
+const FIT_HINTS = {
+    runs_small: 'Most customers say it runs half a size small',
+    true_to_size: 'Most customers say it fits true to size',
+    runs_large: 'Most customers say it runs half a size large'
+};
+
+// Fit votes needed before a hint is shown
+const MIN_FIT_VOTES = 5;
+
+const reviewError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const sameUser = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+const loadProduct = async (productId, { activeOnly = true } = {}) => {
+    if (!mongoose.isValidObjectId(productId)) throw reviewError('Product not found', 404);
+
+    const query = { _id: productId };
+    if (activeOnly) query.isActive = true;
+
+    const product = await Product.findOne(query);
+    if (!product) throw reviewError('Product not found', 404);
+    return product;
+};
+
+const findReview = (product, reviewId) => {
+    const review = product.reviews.id(reviewId);
+    if (!review) throw reviewError('Review not found', 404);
+    return review;
+};
+
+const validateContent = ({ rating, comment, fit }) => {
+    const stars = parseInt(rating, 10);
+    if (!stars || stars < 1 || stars > 5) throw reviewError('Rating must be between 1 and 5');
+
+    const text = String(comment || '').trim();
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw reviewError(`Reviews can be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    if (fit && !FIT_COUNTERS[fit]) {
+        throw reviewError(`Fit must be one of ${Object.keys(FIT_COUNTERS).join(', ')}`);
+    }
+    return { rating: stars, comment: text, fit: fit || undefined };
+};
+
+const checkPhotoCount = (count) => {
+    if (count > MAX_PHOTOS) throw reviewError(`You can attach up to ${MAX_PHOTOS} photos`);
+};
+
+// Photos uploaded before keys were stored only have their URL
+const photoKey = (photo) => photo.key || uploads.keyFromUrl(photo.url);
+
+// Delete stored photos. Keeps going past individual failures so one bad
+// object can't strand the others.
+const deletePhotos = async (photos) => {
+    for (const photo of photos) {
+        try {
+            await uploads.deleteFromS3(photoKey(photo));
+        } catch (error) {
+            console.error(`Review photo delete failed for ${photo.url}:`, error);
+        }
+    }
+};
+
+// Store uploaded photo files privately; resolves to photo subdocuments. If one
+// upload fails the ones already stored are deleted.
+const uploadPhotos = async (files = []) => {
+    const photos = [];
+    try {
+        for (const file of files) {
+            const key = await uploads.storeFile(file, 'reviews', { isPublic: false });
+            photos.push({ key, url: uploads.objectUrl(key) });
+        }
+    } catch (error) {
+        await deletePhotos(photos);
+        throw error;
+    }
+    return photos;
+};
+
+// Photos as links for the storefront or moderators. Photos of reviews that
+// aren't approved are private, so those get temporary signed links.
+const photoLinks = (review) => Promise.all(review.photos.map(async photo => ({
+    id: photo._id,
+    url: review.status === 'approved' ? photo.url : await uploads.signedUrl(photoKey(photo))
+})));
+
+// Has the user received this product in a delivered order?
+const isVerifiedPurchase = async (userId, productId) => Boolean(await Order.exists({
+    user: userId,
+    status: 'delivered',
+    'items.product': productId
+}));
+
+// Count approved reviews with a given fit, inside the recalculate() pipeline
+const countFit = (fit) => ({
+    $size: { $filter: { input: '$approvedReviews', cond: { $eq: ['$$this.fit', fit] } } }
+});
+
+// Recompute rating and fit counts from the approved reviews in one update, so
+// the totals always match the reviews array even when writes overlap.
+// Resolves to the product without its reviews.
+const recalculate = (productId) => Product.findOneAndUpdate({ _id: productId }, [
+    {
+        $set: {
+            approvedReviews: {
+                $filter: { input: { $ifNull: ['$reviews', []] }, cond: { $eq: ['$$this.status', 'approved'] } }
+            }
+        }
+    },
+    {
+        $set: {
+            'rating.average': { $ifNull: [{ $avg: '$approvedReviews.rating' }, 0] },
+            'rating.count': { $size: '$approvedReviews' },
+            ...Object.fromEntries(Object.entries(FIT_COUNTERS).map(([fit, counter]) => [`fit.${counter}`, countFit(fit)]))
+        }
+    },
+    { $unset: 'approvedReviews' }
+], { new: true, projection: { reviews: 0 } });
+
+// Fit distribution for a product, with a hint once one answer has a clear
+// majority of enough votes
+const fitSummary = (product) => {
+    const counts = product.fit || {};
+    const total = Object.values(FIT_COUNTERS).reduce((sum, counter) => sum + (counts[counter] || 0), 0);
+
+    const distribution = Object.entries(FIT_COUNTERS).map(([value, counter]) => ({
+        value,
+        count: counts[counter] || 0,
+        percent: total > 0 ? Math.round(((counts[counter] || 0) / total) * 100) : 0
+    }));
+
+    const majority = total >= MIN_FIT_VOTES
+        ? distribution.find(option => option.count / total > 0.5)
+        : null;
+
+    return {
+        total,
+        distribution,
+        verdict: majority ? majority.value : null,
+        hint: majority ? FIT_HINTS[majority.value] : null
+    };
+};
+
+// ==================== CUSTOMER ACTIONS ====================
+
+// Add the user's review with optional photo files; it waits for moderation
+const create = async (productId, user, content, files = []) => {
+    const product = await loadProduct(productId);
+
+    if (product.reviews.some(review => sameUser(review.user, user.id))) {
+        throw reviewError('You have already reviewed this product');
+    }
+
+    const fields = validateContent(content);
+    checkPhotoCount(files.length);
+
+    const photos = await uploadPhotos(files);
+    try {
+        const review = product.reviews.create({
+            user: user.id,
+            ...fields,
+            photos,
+            status: 'pending',
+            verifiedPurchase: await isVerifiedPurchase(user.id, product._id)
+        });
+
+        // The filter stops a second review from the same user slipping in
+        const result = await Product.updateOne(
+            { _id: product._id, 'reviews.user': { $ne: user.id } },
+            { $push: { reviews: review } }
+        );
+        if (result.matchedCount === 0) throw reviewError('You have already reviewed this product');
+
+        return review;
+    } catch (error) {
+        await deletePhotos(photos);
+        throw error;
+    }
+};
+
+// Write an edited review's fields back to its array element
+const saveEdit = async (product, review) => {
+    const values = review.toObject({ virtuals: false });
+    const changes = { $set: {}, $unset: { 'reviews.$.moderation': '' } };
+    ['rating', 'comment', 'photos', 'status', 'updatedAt', 'verifiedPurchase'].forEach(field => {
+        changes.$set[`reviews.$.${field}`] = values[field];
+    });
+    if (review.fit) {
+        changes.$set['reviews.$.fit'] = review.fit;
+    } else {
+        changes.$unset['reviews.$.fit'] = '';
+    }
+
+    const result = await Product.updateOne(
+        { _id: product._id, reviews: { $elemMatch: { _id: review._id, user: review.user } } },
+        changes
+    );
+    if (result.matchedCount === 0) throw reviewError('Review not found', 404);
+};
+
+// Edit the user's own review. `content.removePhotos` lists photo ids to drop;
+// new files are added. The new version goes back to the moderation queue.
+const update = async (productId, reviewId, user, content, files = []) => {
+    const product = await loadProduct(productId);
+    const review = findReview(product, reviewId);
+
+    if (!sameUser(review.user, user.id)) throw reviewError('You can only edit your own review', 403);
+
+    const fields = validateContent(content);
+    const removed = [].concat(content.removePhotos || []).map(String);
+    const kept = review.photos.filter(photo => !removed.includes(photo._id.toString()));
+    const dropped = review.photos.filter(photo => removed.includes(photo._id.toString()));
+    checkPhotoCount(kept.length + files.length);
+
+    const added = await uploadPhotos(files);
+    try {
+        review.set({
+            ...fields,
+            photos: [...kept.map(photo => photo.toObject({ virtuals: false })), ...added],
+            status: 'pending',
+            updatedAt: new Date(),
+            verifiedPurchase: await isVerifiedPurchase(user.id, product._id),
+            moderation: undefined
+        });
+        await saveEdit(product, review);
+    } catch (error) {
+        await deletePhotos(added);
+        throw error;
+    }
+
+    await deletePhotos(dropped);
+    // Kept photos go private again until the new version is approved
+    await Promise.all(kept.map(photo => uploads.setPublic(photoKey(photo), false)));
+
+    // An approved review no longer counts while it waits for moderation again
+    await recalculate(product._id);
+    return review;
+};
+
+// Delete a review - the author's own, or any review for moderators.
+// Resolves to { product, review } with the product's updated rating.
+const remove = async (productId, reviewId, user, { moderator = false } = {}) => {
+    const product = await loadProduct(productId, { activeOnly: !moderator });
+    const review = findReview(product, reviewId);
+
+    if (!moderator && !sameUser(review.user, user.id)) {
+        throw reviewError('You can only delete your own review', 403);
+    }
+
+    await Product.updateOne({ _id: product._id }, { $pull: { reviews: { _id: review._id } } });
+    await deletePhotos(review.photos);
+    return { product: await recalculate(product._id), review };
+};
+
+// Vote an approved review helpful (true) or not helpful (false); voting
+// again replaces the earlier vote
+const vote = async (productId, reviewId, user, helpful) => {
+    if (typeof helpful !== 'boolean') throw reviewError('Vote must be helpful or not helpful');
+
+    const product = await loadProduct(productId);
+    const review = findReview(product, reviewId);
+
+    if (review.status !== 'approved') throw reviewError('Review not found', 404);
+    if (sameUser(review.user, user.id)) throw reviewError('You cannot vote on your own review');
+
+    const counter = helpful ? 'helpfulCount' : 'notHelpfulCount';
+    const otherCounter = helpful ? 'notHelpfulCount' : 'helpfulCount';
+
+    // First vote: add it and bump its counter together
+    const added = await Product.updateOne(
+        { _id: product._id, reviews: { $elemMatch: { _id: review._id, status: 'approved', 'votes.user': { $ne: user.id } } } },
+        { $push: { 'reviews.$.votes': { user: user.id, helpful } }, $inc: { [`reviews.$.${counter}`]: 1 } }
+    );
+
+    // Changed vote: only matches while the earlier vote is the other way, so
+    // the counters move once however many requests race
+    if (added.modifiedCount === 0) {
+        await Product.updateOne(
+            {
+                _id: product._id,
+                reviews: {
+                    $elemMatch: {
+                        _id: review._id,
+                        status: 'approved',
+                        votes: { $elemMatch: { user: user.id, helpful: !helpful } }
+                    }
+                }
+            },
+            {
+                $set: { 'reviews.$[r].votes.$[v].helpful': helpful },
+                $inc: { [`reviews.$[r].${counter}`]: 1, [`reviews.$[r].${otherCounter}`]: -1 }
+            },
+            { arrayFilters: [{ 'r._id': review._id }, { 'v.user': user.id }] }
+        );
+    }
+
+    const current = await Product.findOne(
+        { _id: product._id, reviews: { $elemMatch: { _id: review._id, status: 'approved' } } },
+        { 'reviews.$': 1 }
+    );
+    if (!current) throw reviewError('Review not found', 404);
+    return current.reviews[0];
+};
+
+// ==================== LISTING ====================
+
+// Shape a review for the storefront: reviewer first name and initial only
+const present = (review, viewerId) => {
+    const reviewer = review.user && review.user.firstName ? review.user : null;
+    const vote = viewerId && review.votes.find(v => sameUser(v.user, viewerId));
+
+    return {
+        id: review._id,
+        author: reviewer
+            ? `${reviewer.firstName} ${reviewer.lastName ? reviewer.lastName.charAt(0) + '.' : ''}`.trim()
+            : 'Customer',
+        rating: review.rating,
+        comment: review.comment,
+        fit: review.fit || null,
+        photos: review.photos.map(photo => ({ id: photo._id, url: photo.url })),
+        status: review.status,
+        verifiedPurchase: review.verifiedPurchase,
+        helpfulCount: review.helpfulCount,
+        notHelpfulCount: review.notHelpfulCount,
+        viewerVote: vote ? (vote.helpful ? 'helpful' : 'not_helpful') : null,
+        createdAt: review.createdAt,
+        updatedAt: review.updatedAt
+    };
+};
+
+// Approved reviews of a product, sorted and paged. `mine` is the viewer's own
+// review in any status so they can see it is awaiting approval.
+const list = async (productId, { sort = 'newest', page = 1, limit = 10, viewerId } = {}) => {
+    if (sort && !SORTS[sort]) {
+        throw reviewError(`Unknown sort: ${sort}. Use one of ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    const product = await loadProduct(productId);
+    await product.populate('reviews.user', 'firstName lastName');
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const perPage = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    const approved = product.reviews
+        .filter(review => review.status === 'approved')
+        .sort(SORTS[sort || 'newest']);
+    const own = viewerId && product.reviews.find(review => sameUser(review.user && review.user._id, viewerId));
+
+    return {
+        reviews: approved
+            .slice((pageNumber - 1) * perPage, pageNumber * perPage)
+            .map(review => present(review, viewerId)),
+        // The author's own review may not be approved yet, so its photos are private
+        mine: own ? { ...present(own, viewerId), photos: await photoLinks(own) } : null,
+        rating: product.rating,
+        fit: fitSummary(product),
+        pagination: {
+            page: pageNumber,
+            limit: perPage,
+            total: approved.length,
+            totalPages: Math.ceil(approved.length / perPage)
+        }
+    };
+};
+
+// ==================== MODERATION ====================
+
+// Reviews in one status across all products, oldest first
+const queue = async ({ status = 'pending', page = 1, limit = 20 } = {}) => {
+    if (!STATUSES.includes(status)) throw reviewError('Unknown review status');
+
+    const skip = (page - 1) * limit;
+    const [rows, counts] = await Promise.all([
+        Product.aggregate([
+            { $match: { 'reviews.status': status, deletedAt: null } },
+            { $unwind: '$reviews' },
+            { $match: { 'reviews.status': status } },
+            { $sort: { 'reviews.createdAt': 1, 'reviews._id': 1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { name: 1, slug: 1, brand: 1, review: '$reviews' } }
+        ]),
+        Product.aggregate([
+            { $match: { 'reviews.status': status, deletedAt: null } },
+            { $unwind: '$reviews' },
+            { $match: { 'reviews.status': status } },
+            { $count: 'total' }
+        ])
+    ]);
+
+    const users = await User.find({ _id: { $in: rows.map(row => row.review.user) } })
+        .select('firstName lastName email');
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const total = counts.length > 0 ? counts[0].total : 0;
+    return {
+        reviews: await Promise.all(rows.map(async row => ({
+            product: { _id: row._id, name: row.name, slug: row.slug, brand: row.brand },
+            review: { ...row.review, photos: await photoLinks(row.review) },
+            user: row.review.user ? usersById.get(row.review.user.toString()) : null
+        }))),
+        total,
+        totalPages: Math.ceil(total / limit)
+    };
+};
+
+// Approve or reject a review. Resolves to { product, review, previousStatus }
+// with the product's updated rating.
+const moderate = async (productId, reviewId, { status, note, moderatorId }) => {
+    if (!['approved', 'rejected'].includes(status)) {
+        throw reviewError('Status must be approved or rejected');
+    }
+
+    const product = await loadProduct(productId, { activeOnly: false });
+    const review = findReview(product, reviewId);
+    const previousStatus = review.status;
+
+    review.set({
+        status,
+        moderation: { by: moderatorId, at: new Date(), note },
+        // The order may have been delivered since the review was written
+        verifiedPurchase: review.user ? await isVerifiedPurchase(review.user, product._id) : review.verifiedPurchase
+    });
+
+    // Only decide on the version that was read; an edit in between re-queues it
+    const result = await Product.updateOne(
+        { _id: product._id, reviews: { $elemMatch: { _id: review._id, updatedAt: review.updatedAt || null } } },
+        {
+            $set: {
+                'reviews.$.status': review.status,
+                'reviews.$.moderation': review.toObject({ virtuals: false }).moderation,
+                'reviews.$.verifiedPurchase': review.verifiedPurchase
+            }
+        }
+    );
+    if (result.matchedCount === 0) {
+        throw reviewError('This review was changed or deleted while you were moderating it; reload and try again', 409);
+    }
+
+    // Photos are only public while the review is approved. Moderating again
+    // after a failure here retries the change.
+    await Promise.all(review.photos.map(photo => uploads.setPublic(photoKey(photo), status === 'approved')));
+
+    return { product: await recalculate(product._id), review, previousStatus };
+};
+
+module.exports = {
+    STATUSES,
+    MAX_PHOTOS,
+    fitSummary,
+    create,
+    update,
+    remove,
+    vote,
+    list,
+    queue,
+    moderate
+};
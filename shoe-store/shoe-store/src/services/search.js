@@ -0,0 +1,408 @@
+/**
+ * Search Service - Catalog search with relevance ranking, typo tolerance and facets
+ *
+ * Active products are loaded into an in-process inverted index, rebuilt every
+ * SEARCH_INDEX_SECONDS (and at once in this process when admin catalog changes
+ * call invalidate()). Query words are stemmed, expanded with synonyms and matched
+ * exactly, by prefix (so autocomplete works while typing) or within a small
+ * edit distance, then ranked by field weight and rarity. Facet counts for the
+ * sidebar are computed over the same matches, each facet ignoring its own
+ * filter so shoppers can see the other options.
+ */
+
+const { Product } = require('../models');
+const catalogQuery = require('./catalogQuery');
+
+const INDEX_TTL = parseInt(process.env.SEARCH_INDEX_SECONDS || '60') * 1000;
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+    name: 10,
+    brand: 8,
+    category: 5,
+    tags: 5,
+    colors: 3,
+    gender: 3,
+    materials: 2,
+    features: 1,
+    shortDescription: 1,
+    description: 1
+};
+
+// Words that mean the same thing to shoppers (stemmed forms)
+const SYNONYM_GROUPS = [
+    ['sneaker', 'trainer', 'kick', 'tennis'],
+    ['running', 'runner', 'jogging'],
+    ['athletic', 'sport', 'training', 'gym'],
+    ['boot', 'bootie'],
+    ['sandal', 'slide', 'flipflop'],
+    ['formal', 'dress', 'oxford'],
+    ['basketball', 'hoop'],
+    ['casual', 'everyday'],
+    ['men', 'man', 'male'],
+    ['women', 'woman', 'lady', 'female'],
+    ['kid', 'child', 'children', 'youth', 'boy', 'girl']
+];
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to']);
+
+const PRICE_BUCKETS = [
+    { key: '0-50', label: 'Under $50', min: 0, max: 50 },
+    { key: '50-100', label: '$50 - $100', min: 50, max: 100 },
+    { key: '100-150', label: '$100 - $150', min: 100, max: 150 },
+    { key: '150-200', label: '$150 - $200', min: 150, max: 200 },
+    { key: '200+', label: '$200 and up', min: 200, max: null }
+];
+
+const SORTS = {
+    price_asc: (a, b) => a.effectivePrice - b.effectivePrice,
+    price_desc: (a, b) => b.effectivePrice - a.effectivePrice,
+    newest: (a, b) => b.createdAt - a.createdAt,
+    rating: (a, b) => b.rating - a.rating,
+    popular: (a, b) => b.soldCount - a.soldCount
+};
+
+const MATCH_QUALITY = {
+    exact: 1,
+    synonym: 0.9,
+    prefix: 0.7,
+    typo: 0.6
+};
+
+// ==================== TEXT PROCESSING ====================
+
+const normalize = (text) => String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, ''); // strip accents
+
+// Light English stemming - enough to match plurals both ways
+const stem = (token) => {
+    if (token.length > 4 && token.endsWith('ies')) return token.slice(0, -3) + 'y';
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+};
+
+const tokenize = (text) => normalize(text)
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(stem);
+
+const SYNONYMS = new Map();
+SYNONYM_GROUPS.forEach(group => group.forEach(word => {
+    SYNONYMS.set(word, group.filter(other => other !== word));
+}));
+
+// Edit distance (with transpositions), giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+};
+
+const allowedTypos = (term) => {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+};
+
+// ==================== INDEX ====================
+
+let index = null;
+let building = null;
+let generation = 0; // bumped by invalidate()
+
+const effectivePrice = (product) => (product.salePrice && product.salePrice < product.price
+    ? product.salePrice
+    : product.price);
+
+const fieldText = (product, field) => {
+    switch (field) {
+        case 'colors':
+            return [
+                ...(product.colors || []).map(c => c.name),
+                ...(product.variants || []).map(v => v.color)
+            ].join(' ');
+        case 'tags':
+        case 'materials':
+        case 'features':
+            return (product[field] || []).join(' ');
+        default:
+            return product[field];
+    }
+};
+
+const buildIndex = async () => {
+    const products = await Product.find({ isActive: true })
+        .select('name brand category gender tags materials features shortDescription description ' +
+            'colors variants.color variants.size variants.stock sizes totalStock price salePrice rating soldCount ' +
+            'isFeatured createdAt')
+        .lean();
+
+    const docs = new Map();
+    const postings = new Map(); // term -> Map(docId -> weight)
+
+    products.forEach(product => {
+        const id = product._id.toString();
+        const colorNames = new Map();
+        [...(product.colors || []).map(c => c.name), ...(product.variants || []).map(v => v.color)]
+            .filter(Boolean)
+            .forEach(name => {
+                if (!colorNames.has(name.toLowerCase())) colorNames.set(name.toLowerCase(), name);
+            });
+
+        docs.set(id, {
+            id,
+            name: product.name,
+            normalizedName: normalize(product.name),
+            brand: product.brand,
+            category: product.category,
+            gender: product.gender,
+            colors: [...colorNames.values()],
+            sizes: [...new Set((product.sizes || []).filter(s => s.stock > 0).map(s => s.size))],
+            price: product.price,
+            effectivePrice: effectivePrice(product),
+            onSale: effectivePrice(product) < product.price,
+            inStock: product.totalStock > 0,
+            rating: (product.rating && product.rating.average) || 0,
+            soldCount: product.soldCount || 0,
+            isFeatured: Boolean(product.isFeatured),
+            createdAt: new Date(product.createdAt).getTime()
+        });
+
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(fieldText(product, field)).forEach(term => {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const docWeights = postings.get(term);
+                // The best field counts most; repeats add a little
+                docWeights.set(id, Math.max(docWeights.get(id) || 0, weight) + (docWeights.has(id) ? 0.1 : 0));
+            });
+        });
+    });
+
+    return {
+        builtAt: Date.now(),
+        docs,
+        postings,
+        vocabulary: [...postings.keys()]
+    };
+};
+
+// The current index. An expired one keeps serving while a new one builds;
+// after invalidate() callers wait for the rebuild.
+const getIndex = async () => {
+    const current = index && index.generation === generation;
+    if (current && Date.now() - index.builtAt < INDEX_TTL) return index;
+
+    if (!building || building.generation !== generation) {
+        const buildGeneration = generation;
+        const promise = buildIndex()
+            .then(built => {
+                built.generation = buildGeneration;
+                if (buildGeneration === generation) index = built;
+                return built;
+            })
+            .finally(() => {
+                if (building === promise) building = null;
+            });
+        promise.generation = buildGeneration;
+        building = promise;
+    }
+
+    return current ? index : building;
+};
+
+// Rebuild before the next search (call after catalog changes)
+const invalidate = () => {
+    generation += 1;
+};
+
+// ==================== MATCHING ====================
+
+// Vocabulary terms a query word can stand for, with the best match quality
+const expandTerm = (idx, term, allowPrefix) => {
+    const matches = new Map();
+    const consider = (vocabTerm, quality) => {
+        if ((matches.get(vocabTerm) || 0) < quality) matches.set(vocabTerm, quality);
+    };
+
+    const variants = [[term, MATCH_QUALITY.exact]];
+    (SYNONYMS.get(term) || []).forEach(synonym => variants.push([synonym, MATCH_QUALITY.synonym]));
+
+    variants.forEach(([word, baseQuality]) => {
+        if (idx.postings.has(word)) consider(word, baseQuality);
+
+        const maxTypos = allowedTypos(word);
+        idx.vocabulary.forEach(vocabTerm => {
+            if (allowPrefix && word.length >= 2 && vocabTerm.startsWith(word) && vocabTerm !== word) {
+                consider(vocabTerm, baseQuality * MATCH_QUALITY.prefix);
+            } else if (maxTypos > 0 && vocabTerm !== word) {
+                const distance = editDistance(word, vocabTerm, maxTypos);
+                if (distance <= maxTypos) {
+                    consider(vocabTerm, baseQuality * MATCH_QUALITY.typo / distance);
+                }
+            }
+        });
+    });
+
+    return matches;
+};
+
+// Score every document against the query. Documents must match each query
+// word that matches anything at all; when nothing matches every word, the
+// best partial matches are returned instead.
+const scoreDocuments = (idx, query) => {
+    const terms = tokenize(query);
+    const totalDocs = idx.docs.size || 1;
+
+    const perTerm = terms
+        .map((term, i) => {
+            const scores = new Map();
+            expandTerm(idx, term, i === terms.length - 1).forEach((quality, vocabTerm) => {
+                const docWeights = idx.postings.get(vocabTerm);
+                const idf = Math.log(1 + totalDocs / docWeights.size);
+                docWeights.forEach((weight, docId) => {
+                    const score = quality * idf * weight;
+                    if ((scores.get(docId) || 0) < score) scores.set(docId, score);
+                });
+            });
+            return scores;
+        })
+        .filter(scores => scores.size > 0);
+
+    const combine = (requireAll) => {
+        const totals = new Map();
+        perTerm.forEach(scores => scores.forEach((score, docId) => {
+            totals.set(docId, (totals.get(docId) || 0) + score);
+        }));
+        if (requireAll) {
+            totals.forEach((score, docId) => {
+                if (!perTerm.every(scores => scores.has(docId))) totals.delete(docId);
+            });
+        }
+        return totals;
+    };
+
+    let scores = combine(true);
+    if (scores.size === 0) scores = combine(false);
+
+    // Whole phrase in the name ranks first
+    const phrase = normalize(query).trim();
+    scores.forEach((score, docId) => {
+        if (phrase && idx.docs.get(docId).normalizedName.includes(phrase)) scores.set(docId, score * 1.5);
+    });
+
+    return scores;
+};
+
+// ==================== FILTERS AND FACETS ====================
+
+const countValues = (docs, valuesOf) => {
+    const counts = new Map();
+    docs.forEach(doc => {
+        new Set(valuesOf(doc)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    return [...counts.entries()].map(([value, count]) => ({ value, count }));
+};
+
+const buildFacets = (candidates, filters) => {
+    const facetDocs = (name) => candidates.filter(doc => catalogQuery.matches(doc, filters, name));
+    const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+    // Colors are counted case-insensitively under the first spelling seen
+    const colorCounts = new Map();
+    facetDocs('color').forEach(doc => {
+        new Set(doc.colors.map(color => color.toLowerCase())).forEach(key => {
+            const label = doc.colors.find(color => color.toLowerCase() === key);
+            const entry = colorCounts.get(key) || { value: label, count: 0 };
+            entry.count += 1;
+            colorCounts.set(key, entry);
+        });
+    });
+
+    const priceDocs = facetDocs('price');
+
+    return {
+        brand: countValues(facetDocs('brand'), doc => [doc.brand]).sort(byCount),
+        category: countValues(facetDocs('category'), doc => [doc.category]).sort(byCount),
+        gender: countValues(facetDocs('gender'), doc => [doc.gender]).sort(byCount),
+        size: countValues(facetDocs('size'), doc => doc.sizes).sort((a, b) => a.value - b.value),
+        color: [...colorCounts.values()].sort(byCount),
+        price: PRICE_BUCKETS.map(bucket => ({
+            ...bucket,
+            count: priceDocs.filter(doc => doc.effectivePrice >= bucket.min &&
+                (bucket.max === null || doc.effectivePrice < bucket.max)).length
+        }))
+    };
+};
+
+// ==================== SEARCH ====================
+
+// Search the catalog. `filters`, `sort`, `page` and `limit` come from
+// catalogQuery.parse(). Resolves to { products, total, page, limit, totalPages,
+// sort, facets }; `products` are Product documents (without reviews) in rank order.
+const search = async ({ q, filters, sort, page = 1, limit = 12 }) => {
+    const idx = await getIndex();
+    const query = String(q || '').trim();
+
+    let candidates;
+    let scores = null;
+    if (query) {
+        scores = scoreDocuments(idx, query);
+        candidates = [...scores.keys()].map(id => idx.docs.get(id));
+    } else {
+        candidates = [...idx.docs.values()];
+    }
+
+    const matches = candidates.filter(doc => catalogQuery.matches(doc, filters));
+
+    // Relevance only means something when there is search text
+    const usable = SORTS[sort] || (sort === 'relevance' && scores);
+    const sortKey = usable ? sort : (scores ? 'relevance' : 'newest');
+    matches.sort(sortKey === 'relevance'
+        ? (a, b) => scores.get(b.id) - scores.get(a.id)
+        : SORTS[sortKey]);
+
+    const pageIds = matches
+        .slice((page - 1) * limit, page * limit)
+        .map(doc => doc.id);
+
+    const found = await Product.find({ _id: { $in: pageIds }, isActive: true }).select('-reviews');
+    const byId = new Map(found.map(product => [product._id.toString(), product]));
+
+    return {
+        products: pageIds.map(id => byId.get(id)).filter(Boolean),
+        total: matches.length,
+        page,
+        limit,
+        totalPages: Math.ceil(matches.length / limit),
+        sort: sortKey,
+        facets: buildFacets(candidates, filters)
+    };
+};
+
+module.exports = {
+    PRICE_BUCKETS,
+    search,
+    invalidate
+};
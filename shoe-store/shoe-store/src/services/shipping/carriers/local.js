@@ -0,0 +1,28 @@
+/**
+ * Local Carrier - Table-based rates with no external calls
+ *
+ * Stands in for any carrier that has no registered adapter, so development
+ * and tests never reach a real carrier API. Every adapter exposes the same
+ * shape: { name, quote({ method, zone, weight, subtotal, destination }) }
+ * resolving to { cost, deliveryDays } or null when the method is unavailable.
+ */
+
+const matchesRow = (row, { zone, weight, subtotal }) => (
+    row.zones.includes(zone) &&
+    (row.maxWeight === undefined || weight <= row.maxWeight) &&
+    (row.minSubtotal === undefined || subtotal >= row.minSubtotal)
+);
+
+module.exports = {
+    name: 'local',
+
+    async quote({ method, zone, weight, subtotal }) {
+        const row = method.rates.find(r => matchesRow(r, { zone, weight, subtotal }));
+        if (!row) return null;
+
+        return {
+            cost: row.cost,
+            deliveryDays: row.deliveryDays || method.deliveryDays
+        };
+    }
+};
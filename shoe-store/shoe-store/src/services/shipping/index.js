@@ -0,0 +1,113 @@
+/**
+ * Shipping Service - Method registry, zones and carrier-agnostic rate quotes
+ *
+ * Methods (./methods) name the carrier that prices them. Carrier adapters are
+ * registered by name; a method whose carrier has no adapter is quoted by the
+ * local table-based carrier instead.
+ */
+
+const METHODS = require('./methods');
+const localCarrier = require('./carriers/local');
+
+const DEFAULT_METHOD = 'standard';
+const DEFAULT_ITEM_WEIGHT = 2.5; // lbs, one boxed pair
+const ORIGIN_ZIP = process.env.SHIPPING_ORIGIN_ZIP || '90001';
+const REMOTE_STATES = ['AK', 'HI', 'PR', 'GU', 'VI', 'AS', 'MP'];
+
+const carriers = new Map();
+
+// Register a carrier adapter: { name, quote(params) }
+const registerCarrier = (adapter) => {
+    carriers.set(adapter.name, adapter);
+};
+
+registerCarrier(localCarrier);
+
+const getCarrier = (name) => carriers.get(name) || carriers.get('local');
+
+const getMethods = () => METHODS;
+
+const getMethod = (code) => METHODS.find(m => m.code === code);
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Zone for a destination: international, remote US, or distance from the
+// warehouse by the first digit of the zip code
+const zoneFor = (destination = {}) => {
+    const country = String(destination.country || 'USA').trim().toUpperCase();
+    if (!['USA', 'US', 'UNITED STATES'].includes(country)) return 'international';
+
+    const state = String(destination.state || '').trim().toUpperCase();
+    if (REMOTE_STATES.includes(state)) return 'remote';
+
+    const zip = String(destination.zipCode || destination.zip || '').trim();
+    if (!/^\d/.test(zip)) return 'national';
+
+    const distance = Math.abs(parseInt(zip[0], 10) - parseInt(ORIGIN_ZIP[0], 10));
+    if (distance === 0) return 'local';
+    return distance <= 3 ? 'regional' : 'national';
+};
+
+const parcelWeight = (items) => items.reduce(
+    (sum, item) => sum + (item.weight || DEFAULT_ITEM_WEIGHT) * item.quantity,
+    0
+);
+
+const addBusinessDays = (date, days) => {
+    const result = new Date(date);
+    let remaining = days;
+    while (remaining > 0) {
+        result.setDate(result.getDate() + 1);
+        const day = result.getDay();
+        if (day !== 0 && day !== 6) remaining--;
+    }
+    return result;
+};
+
+// Quote one method for a cart-shaped { items, subtotal } going to `destination`.
+// Resolves to null when the method doesn't serve the destination.
+const quote = async (code, { items, subtotal, destination, freeShipping = false }) => {
+    const method = getMethod(code);
+    if (!method) return null;
+
+    const zone = zoneFor(destination);
+    const weight = parcelWeight(items);
+    const carrier = getCarrier(method.carrier);
+
+    const result = await carrier.quote({ method, zone, weight, subtotal, destination });
+    if (!result) return null;
+
+    const isFree = (method.freeShippingThreshold !== undefined && subtotal >= method.freeShippingThreshold) ||
+        (freeShipping && method.promoFreeShipping);
+    const now = new Date();
+
+    return {
+        code: method.code,
+        name: method.name,
+        carrier: carrier.name,
+        zone,
+        cost: isFree ? 0 : roundMoney(result.cost),
+        deliveryDays: result.deliveryDays,
+        estimatedDelivery: {
+            earliest: addBusinessDays(now, result.deliveryDays.min),
+            latest: addBusinessDays(now, result.deliveryDays.max)
+        }
+    };
+};
+
+// Quote every method available for the destination
+const getRates = async (params) => {
+    const rates = await Promise.all(METHODS.map(method => quote(method.code, params)));
+    return rates.filter(Boolean);
+};
+
+module.exports = {
+    DEFAULT_METHOD,
+    registerCarrier,
+    getMethods,
+    getMethod,
+    zoneFor,
+    parcelWeight,
+    quote,
+    getRates
+};
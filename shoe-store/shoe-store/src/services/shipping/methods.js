@@ -0,0 +1,49 @@
+/**
+ * Shipping Methods - Rate tables, free-shipping thresholds and delivery times
+ *
+ * Rate rows are checked in order and the first row matching the destination
+ * zone, parcel weight (lbs) and order subtotal wins. A method with no matching
+ * row is not offered for that destination.
+ */
+
+const DOMESTIC = ['local', 'regional', 'national'];
+
+module.exports = [
+    {
+        code: 'standard',
+        name: 'Standard Shipping',
+        carrier: 'local',
+        freeShippingThreshold: 100,
+        promoFreeShipping: true, // free_shipping promotions apply to this method
+        deliveryDays: { min: 5, max: 7 },
+        rates: [
+            { zones: DOMESTIC, maxWeight: 10, cost: 9.99 },
+            { zones: DOMESTIC, cost: 14.99 },
+            { zones: ['remote'], cost: 19.99 },
+            { zones: ['international'], maxWeight: 10, cost: 29.99 },
+            { zones: ['international'], cost: 44.99 }
+        ]
+    },
+    {
+        code: 'express',
+        name: 'Express Shipping',
+        carrier: 'local',
+        deliveryDays: { min: 2, max: 3 },
+        rates: [
+            { zones: DOMESTIC, maxWeight: 10, cost: 19.99 },
+            { zones: DOMESTIC, cost: 27.99 },
+            { zones: ['remote'], cost: 34.99 },
+            { zones: ['international'], maxWeight: 10, cost: 59.99 }
+        ]
+    },
+    {
+        code: 'overnight',
+        name: 'Overnight Shipping',
+        carrier: 'local',
+        deliveryDays: { min: 1, max: 1 },
+        rates: [
+            { zones: DOMESTIC, maxWeight: 10, cost: 29.99 },
+            { zones: DOMESTIC, cost: 39.99 }
+        ]
+    }
+];
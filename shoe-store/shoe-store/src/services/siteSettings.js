@@ -0,0 +1,37 @@
+/**
+ * Site Settings Service - Cached access to the store-wide settings document
+ */
+
+const { SiteSetting } = require('../models');
+
+const CACHE_TTL = 30 * 1000; // settings changed on another instance apply within 30s
+
+let cached = null;
+let cachedAt = 0;
+
+const get = async () => {
+    if (cached && Date.now() - cachedAt < CACHE_TTL) return cached;
+
+    cached = await SiteSetting.findOneAndUpdate(
+        { key: 'site' },
+        { $setOnInsert: { key: 'site' } },
+        { upsert: true, new: true }
+    ).lean();
+    cachedAt = Date.now();
+    return cached;
+};
+
+const update = async (changes) => {
+    cached = await SiteSetting.findOneAndUpdate(
+        { key: 'site' },
+        { $set: changes },
+        { upsert: true, new: true, runValidators: true }
+    ).lean();
+    cachedAt = Date.now();
+    return cached;
+};
+
+module.exports = {
+    get,
+    update
+};
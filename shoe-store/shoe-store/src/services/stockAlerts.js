@@ -0,0 +1,167 @@
+/**
+ * Stock Alert Service - Back-in-stock and price-drop subscriptions
+ *
+ * Admin product and inventory updates take a snapshot() before changing the
+ * product and pass it to notifyChanges() after saving. Matching subscriptions
+ * are sent through the notifier and deleted, so each alert fires once.
+ */
+
+const { StockAlert, Product } = require('../models');
+const notifier = require('./notifier');
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const TYPES = ['back_in_stock', 'price_drop'];
+
+const alertError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Units on hand for a size, or a size/color pair on variant products.
+// Works on product documents and on snapshot() copies. Colors compare
+// case-insensitively, like Product#findVariant.
+const stockFor = (product, size, color) => {
+    if (color && product.variants && product.variants.length > 0) {
+        const colorKey = color.toLowerCase();
+        const variant = product.variants.find(v => v.size === size && v.color.toLowerCase() === colorKey);
+        return variant ? variant.stock : 0;
+    }
+    const entry = (product.sizes || []).find(s => s.size === size);
+    return entry ? entry.stock : 0;
+};
+
+// Copy of the fields alerts watch, taken before an update
+const snapshot = (product) => ({
+    sizes: product.sizes.map(({ size, stock }) => ({ size, stock })),
+    variants: product.variants.map(({ size, color, stock }) => ({ size, color, stock })),
+    effectivePrice: product.effectivePrice
+});
+
+const normalizeContact = (channel, contact) => {
+    const value = String(contact || '').trim();
+    if (channel === 'email') {
+        if (!/^\S+@\S+\.\S+$/.test(value)) throw alertError('Please enter a valid email');
+        return value.toLowerCase();
+    }
+
+    const digits = value.replace(/[^\d+]/g, '');
+    if (digits.replace('+', '').length < 10) throw alertError('Please enter a valid phone number');
+    return digits;
+};
+
+// Subscribe to an alert. Subscribing twice to the same alert keeps the
+// original subscription.
+const subscribe = async ({ type, productId, size, color, channel = 'email', contact, userId }) => {
+    if (!TYPES.includes(type)) throw alertError('Unknown alert type');
+    if (!notifier.getChannels().includes(channel)) throw alertError('Unknown notification channel');
+
+    const product = await Product.findOne({ _id: productId, isActive: true });
+    if (!product) throw alertError('Product not found', 404);
+
+    const key = {
+        product: product._id,
+        type,
+        size: null,
+        color: null,
+        channel,
+        contact: normalizeContact(channel, contact)
+    };
+
+    if (type === 'back_in_stock') {
+        key.size = parseFloat(size);
+
+        if (!product.sizes.some(s => s.size === key.size)) {
+            throw alertError('Selected size is not offered for this product');
+        }
+        if (color) {
+            // Store the product's own spelling of the color
+            const variant = product.findVariant(key.size, color);
+            if (!variant) throw alertError('Selected size and color combination is not offered for this product');
+            key.color = variant.color;
+        }
+        if (stockFor(product, key.size, key.color) > 0) {
+            throw alertError('Selected size is in stock');
+        }
+    }
+
+    try {
+        return await StockAlert.findOneAndUpdate(key, {
+            $setOnInsert: {
+                user: userId,
+                priceAtSubscribe: type === 'price_drop' ? product.effectivePrice : undefined
+            }
+        }, { upsert: true, new: true });
+    } catch (error) {
+        // A concurrent identical subscription won the upsert
+        if (error.code === 11000) return StockAlert.findOne(key);
+        throw error;
+    }
+};
+
+const productUrl = (product) => `${APP_URL}/product/${product.slug}`;
+
+const buildMessage = (alert, product, before) => {
+    if (alert.type === 'back_in_stock') {
+        const variant = alert.color ? ` (${alert.color})` : '';
+        return {
+            subject: `${product.name} is back in stock`,
+            text: `Good news! ${product.name} in size ${alert.size}${variant} is back in stock. ` +
+                `Shop now: ${productUrl(product)}`
+        };
+    }
+
+    const was = alert.priceAtSubscribe || before.effectivePrice;
+    return {
+        subject: `Price drop: ${product.name}`,
+        text: `${product.name} is now $${product.effectivePrice.toFixed(2)} (was $${was.toFixed(2)}). ` +
+            `Shop now: ${productUrl(product)}`
+    };
+};
+
+const shouldFire = (alert, product, before) => {
+    if (alert.type === 'back_in_stock') {
+        const now = stockFor(product, alert.size, alert.color);
+        return now > 0 && now > stockFor(before, alert.size, alert.color);
+    }
+
+    const threshold = alert.priceAtSubscribe || before.effectivePrice;
+    return product.effectivePrice < before.effectivePrice && product.effectivePrice < threshold;
+};
+
+// Send every alert the change from `before` to `product` triggers. Alerts that
+// fail to send stay subscribed for the next change. Returns the number sent.
+const notifyChanges = async (before, product) => {
+    if (!product.isActive) return 0;
+
+    const alerts = await StockAlert.find({ product: product._id });
+    let sent = 0;
+
+    for (const alert of alerts) {
+        if (!shouldFire(alert, product, before)) continue;
+
+        try {
+            const result = await notifier.send(alert.channel, {
+                to: alert.contact,
+                ...buildMessage(alert, product, before)
+            });
+            if (!result.success) {
+                console.error(`Stock alert ${alert._id} not sent: ${result.message}`);
+                continue;
+            }
+            await StockAlert.deleteOne({ _id: alert._id });
+            sent++;
+        } catch (error) {
+            console.error(`Stock alert ${alert._id} failed:`, error);
+        }
+    }
+
+    return sent;
+};
+
+module.exports = {
+    TYPES,
+    snapshot,
+    subscribe,
+    notifyChanges
+};
@@ -0,0 +1,182 @@
+/**
+ * Stock Hold Service - Time-limited cart reservations
+ *
+ * Enabled by setting CART_HOLD_MINUTES. While a hold is active its quantity
+ * is subtracted from the stock other shoppers see and can add to their carts,
+ * and from the stock they can take at checkout. placeHold() refuses a hold
+ * that would put more units on hold than are in stock. Holds expire through
+ * the TTL index on StockHold.expiresAt.
+ */
+
+const { Product, StockHold } = require('../models');
+
+const HOLD_MINUTES = parseInt(process.env.CART_HOLD_MINUTES || '0', 10);
+
+const isEnabled = () => HOLD_MINUTES > 0;
+
+// Identify the unit a hold applies to: the SKU, or the size for size-only products
+const unitKey = (productId, line) => `${productId}:${line.sku || `size-${line.size}`}`;
+
+const lineFilter = (sessionId, line) => ({
+    sessionId,
+    product: line.productId,
+    sku: line.sku || null,
+    size: line.size,
+    color: line.color
+});
+
+const holdError = (message, statusCode = 409) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Current stock of the unit a cart line holds, read fresh from the product
+const unitStock = async (line) => {
+    const product = await Product.findById(line.productId).select('variants sizes');
+    if (!product) return 0;
+
+    const unit = line.sku
+        ? product.variants.find(v => v.sku === line.sku)
+        : product.sizes.find(s => s.size === line.size);
+    return unit ? unit.stock : 0;
+};
+
+// Units of one SKU (or size) held by every active cart
+const unitHeld = async (line) => {
+    const holds = await StockHold.find({
+        product: line.productId,
+        ...(line.sku ? { sku: line.sku } : { sku: null, size: line.size }),
+        expiresAt: { $gt: new Date() }
+    }).select('quantity');
+    return holds.reduce((sum, hold) => sum + hold.quantity, 0);
+};
+
+// Place or refresh the hold for a cart line at its current quantity. The hold
+// is written first and then checked against stock: if the unit is now held
+// beyond what is in stock, the previous hold is put back and a 409 error is
+// thrown. Two shoppers racing for the last unit therefore can't both hold it
+// (at worst both are refused and retry).
+const placeHold = async (sessionId, line) => {
+    if (!isEnabled()) return null;
+
+    const filter = lineFilter(sessionId, line);
+    const expiresAt = new Date(Date.now() + HOLD_MINUTES * 60 * 1000);
+    const previous = await StockHold.findOneAndUpdate(
+        filter,
+        { $set: { quantity: line.quantity, expiresAt } },
+        { upsert: true, new: false }
+    );
+
+    // Holding fewer units than before can't oversell
+    const wasActive = previous && previous.expiresAt > new Date();
+    if (wasActive && line.quantity <= previous.quantity) return expiresAt;
+
+    const [stock, held] = await Promise.all([unitStock(line), unitHeld(line)]);
+    if (held > stock) {
+        if (previous) {
+            await StockHold.updateOne(filter, {
+                $set: { quantity: previous.quantity, expiresAt: previous.expiresAt }
+            });
+        } else {
+            await StockHold.deleteOne(filter);
+        }
+
+        const available = Math.max(0, stock - (held - line.quantity));
+        throw holdError(`Only ${available} items available in this size and color`);
+    }
+
+    return expiresAt;
+};
+
+// Release the hold for one cart line
+const releaseHold = async (sessionId, line) => {
+    if (!isEnabled()) return;
+    await StockHold.deleteOne(lineFilter(sessionId, line));
+};
+
+// Release every hold owned by a session (cart cleared or order placed)
+const releaseAll = async (sessionId) => {
+    if (!isEnabled()) return;
+    await StockHold.deleteMany({ sessionId });
+};
+
+// Active held quantities for the given products, keyed by unitKey. Holds owned
+// by `excludeSessionId` are left out so shoppers aren't blocked by their own cart.
+const heldQuantities = async (productIds, excludeSessionId) => {
+    const held = new Map();
+    if (!isEnabled() || productIds.length === 0) return held;
+
+    const holds = await StockHold.find({
+        product: { $in: productIds },
+        expiresAt: { $gt: new Date() },
+        ...(excludeSessionId && { sessionId: { $ne: excludeSessionId } })
+    }).select('product sku size quantity');
+
+    holds.forEach(hold => {
+        const key = unitKey(hold.product.toString(), hold);
+        held.set(key, (held.get(key) || 0) + hold.quantity);
+    });
+    return held;
+};
+
+// Units of each order line held in other shoppers' carts (checkout leaves them alone)
+const heldByOthers = async (lines, sessionId) => {
+    const productIds = [...new Set(lines.map(line => String(line.product)))];
+    const held = await heldQuantities(productIds, sessionId);
+    return lines.map(line => held.get(unitKey(String(line.product), line)) || 0);
+};
+
+// Stock a shopper can still take for one resolved variant
+const availableStock = async (product, variant, sessionId) => {
+    const held = await heldQuantities([product._id], sessionId);
+    const onHold = held.get(unitKey(product._id.toString(), variant)) || 0;
+    return Math.max(0, variant.stock - onHold);
+};
+
+// Subtract other shoppers' holds from product JSON before it is returned
+const applyHolds = async (products, sessionId) => {
+    const data = products.map(p => (typeof p.toJSON === 'function' ? p.toJSON() : p));
+    if (!isEnabled()) return data;
+
+    const held = await heldQuantities(data.map(p => p._id), sessionId);
+    if (held.size === 0) return data;
+
+    data.forEach(product => {
+        const productId = product._id.toString();
+        let totalHeld = 0;
+
+        (product.variants || []).forEach(variant => {
+            const onHold = held.get(unitKey(productId, variant)) || 0;
+            if (!onHold) return;
+            variant.stock = Math.max(0, variant.stock - onHold);
+            const sizeEntry = (product.sizes || []).find(s => s.size === variant.size);
+            if (sizeEntry) sizeEntry.stock = Math.max(0, sizeEntry.stock - onHold);
+            totalHeld += onHold;
+        });
+
+        (product.sizes || []).forEach(sizeEntry => {
+            const onHold = held.get(unitKey(productId, { size: sizeEntry.size })) || 0;
+            if (!onHold) return;
+            sizeEntry.stock = Math.max(0, sizeEntry.stock - onHold);
+            totalHeld += onHold;
+        });
+
+        if (totalHeld && product.totalStock !== undefined) {
+            product.totalStock = Math.max(0, product.totalStock - totalHeld);
+        }
+    });
+
+    return data;
+};
+
+module.exports = {
+    HOLD_MINUTES,
+    isEnabled,
+    placeHold,
+    releaseHold,
+    releaseAll,
+    availableStock,
+    heldByOthers,
+    applyHolds
+};
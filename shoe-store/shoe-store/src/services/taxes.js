@@ -0,0 +1,96 @@
+/**
+ * Tax Service - Address-based tax calculation from admin-managed TaxRules
+ *
+ * Every active rule matching the address applies to lines of its tax class,
+ * so state and local rates stack. Set PRICES_INCLUDE_TAX=true for stores whose
+ * catalog prices already include tax; tax is then extracted rather than added.
+ */
+
+const { TaxRule, Category } = require('../models');
+
+const PRICES_INCLUDE_TAX = process.env.PRICES_INCLUDE_TAX === 'true';
+
+const COUNTRY_ALIASES = {
+    US: 'USA',
+    'UNITED STATES': 'USA',
+    'UNITED STATES OF AMERICA': 'USA'
+};
+
+const normalizeCountry = (country) => {
+    const value = String(country || 'USA').trim().toUpperCase();
+    return COUNTRY_ALIASES[value] || value;
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Active rules that apply to a shipping address
+const findRules = async (address) => {
+    if (!address || (!address.state && !address.zipCode && !address.country)) return [];
+
+    const state = String(address.state || '').trim().toUpperCase();
+    const zip = String(address.zipCode || '').trim();
+
+    const rules = await TaxRule.find({
+        isActive: true,
+        country: normalizeCountry(address.country),
+        $or: [{ state: null }, { state: '' }, { state }]
+    });
+
+    return rules.filter(rule => !rule.zipPrefix || zip.startsWith(rule.zipPrefix));
+};
+
+// Default tax class for each category name, from the Category collection
+const categoryTaxClasses = async (categoryNames) => {
+    const categories = await Category.find({ name: { $in: categoryNames } }).select('name taxClass');
+    return new Map(categories.map(c => [c.name, c.taxClass]));
+};
+
+// Work out tax for a cart-shaped object ({ items, subtotal, discount }).
+// Discounts are spread over lines in proportion to their value before taxing.
+// Pure - the rules are looked up beforehand with findRules.
+const computeTax = (cart, rules, { shipping = 0 } = {}) => {
+    const discount = cart.discount ? cart.discount.amount : 0;
+    const discountRatio = cart.subtotal > 0 ? Math.max(0, 1 - discount / cart.subtotal) : 0;
+
+    const classBase = new Map();
+    cart.items.forEach(item => {
+        const taxClass = item.taxClass || 'standard';
+        classBase.set(taxClass, (classBase.get(taxClass) || 0) + item.price * item.quantity * discountRatio);
+    });
+
+    // Inclusive prices are split using the combined rate for the class
+    const combinedRate = new Map();
+    rules.forEach(rule => {
+        combinedRate.set(rule.taxClass, (combinedRate.get(rule.taxClass) || 0) + rule.rate);
+    });
+
+    const lines = rules.map(rule => {
+        let base = classBase.get(rule.taxClass) || 0;
+        if (rule.appliesToShipping) base += shipping;
+
+        const amount = PRICES_INCLUDE_TAX
+            ? base * rule.rate / (100 + combinedRate.get(rule.taxClass))
+            : base * rule.rate / 100;
+
+        return {
+            name: rule.name,
+            taxClass: rule.taxClass,
+            rate: rule.rate,
+            amount: roundMoney(amount)
+        };
+    }).filter(line => line.amount > 0);
+
+    return {
+        tax: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+        lines,
+        pricesIncludeTax: PRICES_INCLUDE_TAX
+    };
+};
+
+module.exports = {
+    PRICES_INCLUDE_TAX,
+    normalizeCountry,
+    findRules,
+    categoryTaxClasses,
+    computeTax
+};
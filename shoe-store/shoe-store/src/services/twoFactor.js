@@ -0,0 +1,153 @@
+/**
+ * Two-Factor Service - TOTP enrollment, verification and backup codes
+ *
+ * Secrets follow RFC 6238 (30 second steps, 6 digits) so any authenticator app
+ * works. Each accepted TOTP step and each backup code is claimed with a
+ * conditional update, so a code can't be used twice even by parallel requests.
+ */
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { User } = require('../models');
+const siteSettings = require('./siteSettings');
+const permissions = require('./permissions');
+
+const ISSUER = process.env.TOTP_ISSUER || 'ShoeStore';
+const BACKUP_CODE_COUNT = 10;
+const STEP_SECONDS = 30;
+
+// Accept the previous and next code too, for clock drift
+authenticator.options = { window: 1, step: STEP_SECONDS };
+
+const twoFactorError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+// Is 2FA mandatory for this user under the current site settings?
+const isRequiredFor = async (user) => {
+    if (!permissions.isStaff(user)) return false;
+    const settings = await siteSettings.get();
+    return settings.requireAdminTwoFactor;
+};
+
+// Start enrollment: a new secret waits in pendingSecret until confirmed.
+// Resolves to the secret (for manual entry) and a QR code data URL.
+const beginEnrollment = async (user) => {
+    if (user.twoFactor && user.twoFactor.enabled) {
+        throw twoFactorError('Two-factor authentication is already enabled');
+    }
+
+    const secret = authenticator.generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+    return {
+        secret,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+};
+
+// Fresh set of backup codes; only their hashes are stored
+const issueBackupCodes = async (userId) => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await User.updateOne({ _id: userId }, {
+        $set: { 'twoFactor.backupCodes': codes.map(code => hashCode(normalizeCode(code))) }
+    });
+    return codes;
+};
+
+// Accept a TOTP code for `secret` at most once per time step
+const claimTotp = async (userId, secret, code) => {
+    const delta = authenticator.checkDelta(code, secret);
+    if (delta === null) return false;
+
+    const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+    const result = await User.updateOne({
+        _id: userId,
+        $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+    }, { $set: { 'twoFactor.lastUsedStep': step } });
+
+    return result.modifiedCount === 1;
+};
+
+// Finish enrollment with a code from the app. Resolves to the backup codes,
+// which are shown to the user once.
+const confirmEnrollment = async (user, code) => {
+    const secret = user.twoFactor && user.twoFactor.pendingSecret;
+    if (!secret) throw twoFactorError('Start two-factor setup first');
+
+    if (!(await claimTotp(user._id, secret, normalizeCode(code)))) {
+        throw twoFactorError('That code is not valid. Check the time on your device and try again.');
+    }
+
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': secret,
+            'twoFactor.enabledAt': new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    return issueBackupCodes(user._id);
+};
+
+// Check a login code: a 6-digit TOTP code or an unused backup code.
+// Resolves to { valid, usedBackupCode }.
+const verify = async (user, code) => {
+    const value = normalizeCode(code);
+    if (!user.twoFactor || !user.twoFactor.enabled || !value) {
+        return { valid: false, usedBackupCode: false };
+    }
+
+    if (/^\d{6}$/.test(value)) {
+        return { valid: await claimTotp(user._id, user.twoFactor.secret, value), usedBackupCode: false };
+    }
+
+    const hash = hashCode(value);
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.backupCodes': hash },
+        { $pull: { 'twoFactor.backupCodes': hash } }
+    );
+    return { valid: result.modifiedCount === 1, usedBackupCode: true };
+};
+
+const disable = async (user) => {
+    if (await isRequiredFor(user)) {
+        throw twoFactorError('Two-factor authentication is required for staff accounts', 403);
+    }
+
+    await User.updateOne({ _id: user._id }, {
+        $set: { 'twoFactor.enabled': false },
+        $unset: {
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.lastUsedStep': 1,
+            'twoFactor.backupCodes': 1,
+            'twoFactor.enabledAt': 1
+        }
+    });
+};
+
+module.exports = {
+    isRequiredFor,
+    beginEnrollment,
+    confirmEnrollment,
+    issueBackupCodes,
+    verify,
+    disable
+};
@@ -0,0 +1,113 @@
+/**
+ * Uploads - Image uploads to S3
+ *
+ * Multer keeps files in memory and storeFile() puts them in the assets bucket.
+ * `upload` is for staff product images, which uploadToS3() stores publicly;
+ * `reviewPhotoUpload` takes customer photos and only accepts common photo
+ * formats. Review photos are stored privately and made public once the review
+ * is approved (see services/reviews.js); until then signedUrl() links to them.
+ */
+
+const crypto = require('crypto');
+const multer = require('multer');
+const {
+    S3Client,
+    PutObjectCommand,
+    PutObjectAclCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const SIGNED_URL_SECONDS = 60 * 60;
+
+// S3 Configuration
+const s3Client = new S3Client({
+    region: process.env.AWS_REGION || 'us-east-1',
+    credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    }
+});
+
+// Multer configuration for file uploads
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only images are allowed'), false);
+        }
+    }
+});
+
+const reviewPhotoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE },
+    fileFilter: (req, file, cb) => {
+        if (PHOTO_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Photos must be JPEG, PNG or WebP images'), false);
+        }
+    }
+});
+
+// Public URL of an object (only readable once the object is public)
+const objectUrl = (key) => `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+
+// Object key behind a URL from objectUrl()
+const keyFromUrl = (url) => decodeURIComponent(new URL(url).pathname.slice(1));
+
+// Store a file under `folder`; resolves to its object key
+const storeFile = async (file, folder, { isPublic = true } = {}) => {
+    const name = file.originalname.replace(/[^\w.-]+/g, '-');
+    const key = `${folder}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${name}`;
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: process.env.S3_BUCKET_NAME,
+        Key: key,
+        Body: file.buffer,
+        ContentType: file.mimetype,
+        ACL: isPublic ? 'public-read' : 'private'
+    }));
+
+    return key;
+};
+
+// Upload to S3 publicly; resolves to the public URL
+const uploadToS3 = async (file, folder = 'products') => objectUrl(await storeFile(file, folder));
+
+// Make an object public, or private again
+const setPublic = (key, isPublic) => s3Client.send(new PutObjectAclCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key,
+    ACL: isPublic ? 'public-read' : 'private'
+}));
+
+// Temporary link to a private object
+const signedUrl = (key, expiresIn = SIGNED_URL_SECONDS) => getSignedUrl(s3Client, new GetObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key
+}), { expiresIn });
+
+const deleteFromS3 = (key) => s3Client.send(new DeleteObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: key
+}));
+
+module.exports = {
+    upload,
+    reviewPhotoUpload,
+    objectUrl,
+    keyFromUrl,
+    storeFile,
+    uploadToS3,
+    setPublic,
+    signedUrl,
+    deleteFromS3
+};
@@ -0,0 +1,114 @@
+/**
+ * Wishlist Service - Account and guest wishlists
+ *
+ * Signed-in shoppers keep their wishlist on the user document; guests keep a
+ * list of product ids in the session, merged into the account on login.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User, Product } = require('../models');
+
+const wishlistError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Product ids on the current shopper's wishlist
+const productIds = async (req) => {
+    if (!req.session.user) return req.session.wishlist || [];
+
+    const user = await User.findById(req.session.user.id).select('wishlist');
+    return user ? user.wishlist.map(id => id.toString()) : [];
+};
+
+// Active products for a list of ids, in wishlist order
+const loadProducts = async (ids) => {
+    const products = await Product.find({ _id: { $in: ids }, isActive: true });
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+const list = async (req) => loadProducts(await productIds(req));
+
+const add = async (req, productId) => {
+    if (!mongoose.isValidObjectId(productId)) throw wishlistError('Product not found', 404);
+
+    const product = await Product.findOne({ _id: productId, isActive: true }).select('_id');
+    if (!product) throw wishlistError('Product not found', 404);
+
+    if (req.session.user) {
+        await User.updateOne({ _id: req.session.user.id }, { $addToSet: { wishlist: product._id } });
+    } else {
+        const ids = req.session.wishlist || [];
+        if (!ids.includes(product._id.toString())) ids.push(product._id.toString());
+        req.session.wishlist = ids;
+    }
+};
+
+const remove = async (req, productId) => {
+    if (!mongoose.isValidObjectId(productId)) throw wishlistError('Product not found', 404);
+
+    if (req.session.user) {
+        await User.updateOne({ _id: req.session.user.id }, { $pull: { wishlist: productId } });
+    } else {
+        req.session.wishlist = (req.session.wishlist || []).filter(id => id !== String(productId));
+    }
+};
+
+// Fold the guest wishlist into the account after login/registration
+const mergeGuestWishlist = async (req) => {
+    const guestIds = req.session.wishlist || [];
+    if (guestIds.length > 0) {
+        await User.updateOne(
+            { _id: req.session.user.id },
+            { $addToSet: { wishlist: { $each: guestIds } } }
+        );
+    }
+    delete req.session.wishlist;
+    return guestIds.length;
+};
+
+// Token for the account's public wishlist link, created on first share
+const shareToken = async (userId) => {
+    const user = await User.findById(userId).select('wishlistShareToken');
+    if (!user) throw wishlistError('User not found', 404);
+
+    if (!user.wishlistShareToken) {
+        user.wishlistShareToken = crypto.randomBytes(16).toString('hex');
+        await user.save();
+    }
+    return user.wishlistShareToken;
+};
+
+// Stop sharing; the old link stops working
+const revokeShare = (userId) => User.updateOne(
+    { _id: userId },
+    { $unset: { wishlistShareToken: 1 } }
+);
+
+// Owner name and products behind a public wishlist link, or null
+const findShared = async (token) => {
+    if (!token) return null;
+
+    const user = await User.findOne({ wishlistShareToken: token, isActive: true })
+        .select('firstName wishlist');
+    if (!user) return null;
+
+    return {
+        ownerName: user.firstName,
+        products: await loadProducts(user.wishlist)
+    };
+};
+
+module.exports = {
+    productIds,
+    list,
+    add,
+    remove,
+    mergeGuestWishlist,
+    shareToken,
+    revokeShare,
+    findShared
+};
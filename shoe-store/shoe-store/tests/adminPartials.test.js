@@ -0,0 +1,72 @@
+/**
+ * Admin partials - Actions are hidden from roles that can't use them
+ */
+
+const path = require('path');
+const ejs = require('ejs');
+const permissions = require('../src/services/permissions');
+
+const PARTIALS = path.join(__dirname, '../src/views/partials');
+
+// The view helpers app.js puts in res.locals for a signed-in user
+const render = (partial, user, locals = {}) => ejs.renderFile(path.join(PARTIALS, partial), {
+    user,
+    can: (permission) => permissions.hasPermission(user, permission),
+    canAssignRole: (role) => permissions.canAssignRole(user, role),
+    ...locals
+});
+
+const staff = (role) => ({ id: `${role}-id`, role });
+
+describe('admin nav', () => {
+    it('shows administrators every section', async () => {
+        const html = await render('admin-nav.ejs', staff('admin'));
+        ['/admin/products', '/admin/orders', '/admin/users', '/admin/settings', '/admin/audit']
+            .forEach(link => expect(html).toContain(`href="${link}"`));
+    });
+
+    it('only shows a merchandiser products', async () => {
+        const html = await render('admin-nav.ejs', staff('merchandiser'));
+        const links = [...html.matchAll(/href="([^"]+)"/g)].map(match => match[1]);
+
+        expect(links).toEqual(['/admin', '/admin/products']);
+    });
+});
+
+describe('admin role select', () => {
+    const roles = permissions.ROLES;
+    const member = (role) => ({ _id: `${role}-member`, role });
+    const options = (html) => [...html.matchAll(/<option value="(\w+)"[^>]*?( disabled)?>/g)]
+        .map(([, value, disabled]) => `${value}${disabled ? ' (disabled)' : ''}`);
+
+    it('lets administrators assign any role', async () => {
+        const html = await render('admin-role-select.ejs', staff('admin'), { member: member('customer'), roles });
+
+        expect(options(html)).toEqual(['customer', 'admin', 'merchandiser', 'warehouse']);
+        expect(html).not.toMatch(/<select[^>]*disabled/);
+    });
+
+    it('disables roles the user cannot hand out', async () => {
+        // No built-in role manages users without being an administrator, so stub the check
+        const html = await render('admin-role-select.ejs', staff('admin'), {
+            member: member('customer'),
+            roles,
+            canAssignRole: (role) => ['customer', 'warehouse'].includes(role)
+        });
+
+        expect(options(html)).toEqual(['customer', 'admin (disabled)', 'merchandiser (disabled)', 'warehouse']);
+    });
+
+    it('locks your own row', async () => {
+        const user = staff('admin');
+        const html = await render('admin-role-select.ejs', user, { member: { _id: user.id, role: 'admin' }, roles });
+        expect(html).toMatch(/<select[^>]*disabled/);
+    });
+
+    it('shows only the role name without users:manage', async () => {
+        const html = await render('admin-role-select.ejs', staff('warehouse'), { member: member('merchandiser'), roles });
+
+        expect(html).not.toContain('<select');
+        expect(html).toContain('Merchandiser');
+    });
+});
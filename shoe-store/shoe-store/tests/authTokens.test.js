@@ -0,0 +1,168 @@
+/**
+ * Auth tokens - Signing secret, access tokens and refresh token rotation
+ */
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { RefreshToken } = require('../src/models');
+const authTokens = require('../src/services/authTokens');
+const { loadWithEnv } = require('./helpers/env');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+const { createProduct, createUser } = require('./helpers/factories');
+const { buildApp } = require('./helpers/app');
+
+const req = { ip: '127.0.0.1', get: () => 'jest' };
+
+describe('JWT secret', () => {
+    it('must be set outside development and test', () => {
+        expect(() => loadWithEnv('../src/services/authTokens', {
+            NODE_ENV: 'production',
+            JWT_SECRET: undefined,
+            SESSION_SECRET: 'session-secret'
+        })).toThrow('JWT_SECRET must be set');
+    });
+
+    it('is never the session secret', () => {
+        expect(() => loadWithEnv('../src/services/authTokens', {
+            NODE_ENV: 'production',
+            JWT_SECRET: 'shared-secret',
+            SESSION_SECRET: 'shared-secret'
+        })).toThrow('JWT_SECRET must be different from SESSION_SECRET');
+    });
+
+    it('does not accept tokens signed with the old public default', () => {
+        const forged = jwt.sign({ typ: 'access', role: 'admin' }, 'shoe-store-secret-key', { subject: 'someone' });
+        expect(() => authTokens.verifyAccessToken(forged)).toThrow(jwt.JsonWebTokenError);
+    });
+});
+
+describe('authTokens.verifyAccessToken', () => {
+    const SECRET = 'test-jwt-secret';
+    const tokens = loadWithEnv('../src/services/authTokens', { JWT_SECRET: SECRET });
+    const sign = (claims, options = {}) => jwt.sign(claims, SECRET, { subject: 'user-1', ...options });
+
+    it('returns the session user from an access token', () => {
+        const token = sign({ typ: 'access', email: 'shopper@example.com', role: 'customer', twoFactorEnabled: true });
+
+        expect(tokens.verifyAccessToken(token)).toMatchObject({
+            id: 'user-1',
+            email: 'shopper@example.com',
+            role: 'customer',
+            twoFactorEnabled: true
+        });
+    });
+
+    it('rejects other token types, other secrets and expired tokens', () => {
+        expect(() => tokens.verifyAccessToken(sign({ typ: 'refresh' }))).toThrow('invalid token type');
+        // The module was loaded in its own registry, so match messages rather than error classes
+        expect(() => tokens.verifyAccessToken(jwt.sign({ typ: 'access' }, 'other-secret'))).toThrow('invalid signature');
+        expect(() => tokens.verifyAccessToken(sign({ typ: 'access' }, { expiresIn: -10 }))).toThrow('jwt expired');
+    });
+
+    it('rejects unsigned tokens', () => {
+        const unsigned = jwt.sign({ typ: 'access' }, null, { algorithm: 'none', subject: 'user-1' });
+        expect(() => tokens.verifyAccessToken(unsigned)).toThrow(/signature is required/);
+    });
+});
+
+describeWithDb('refresh token rotation', () => {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+
+    it('issues an access token for the user and a single-use refresh token', async () => {
+        const user = await createUser();
+        const issued = await authTokens.issueTokens(user, req);
+
+        expect(authTokens.verifyAccessToken(issued.accessToken).id).toBe(user._id.toString());
+
+        const rotated = await authTokens.refresh(issued.refreshToken, req);
+        expect(rotated.refreshToken).not.toBe(issued.refreshToken);
+        await expect(authTokens.refresh(rotated.refreshToken, req)).resolves.toHaveProperty('accessToken');
+    });
+
+    it('revokes the whole login when a rotated token is replayed', async () => {
+        const user = await createUser();
+        const issued = await authTokens.issueTokens(user, req);
+        const rotated = await authTokens.refresh(issued.refreshToken, req);
+
+        await expect(authTokens.refresh(issued.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+        await expect(authTokens.refresh(rotated.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+        expect(await RefreshToken.countDocuments({ revokedAt: { $exists: false } })).toBe(0);
+    });
+
+    it('lets only one of two concurrent refreshes win', async () => {
+        const user = await createUser();
+        const issued = await authTokens.issueTokens(user, req);
+
+        const results = await Promise.allSettled([
+            authTokens.refresh(issued.refreshToken, req),
+            authTokens.refresh(issued.refreshToken, req)
+        ]);
+
+        expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    });
+
+    it('stops refreshing for deactivated users', async () => {
+        const user = await createUser();
+        const issued = await authTokens.issueTokens(user, req);
+        user.isActive = false;
+        await user.save();
+
+        await expect(authTokens.refresh(issued.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+    });
+
+    it('logs every client out with revokeAll', async () => {
+        const user = await createUser();
+        const first = await authTokens.issueTokens(user, req);
+        await authTokens.issueTokens(user, req);
+
+        await authTokens.revokeAll(user._id);
+
+        await expect(authTokens.refresh(first.refreshToken, req)).rejects.toMatchObject({ statusCode: 401 });
+        expect(await RefreshToken.countDocuments({ user: user._id, revokedAt: { $exists: true } })).toBe(2);
+    });
+});
+
+describeWithDb('personal API tokens', () => {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+
+    const app = buildApp();
+    const tokenFor = async (user, scopes) => (await authTokens.createApiToken({
+        userId: user._id,
+        name: 'script',
+        scopes
+    })).token;
+    const addToCart = (token, product) => request(app).post('/api/cart/add')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ productId: product._id.toString(), size: 10, color: 'Black', quantity: 1 });
+
+    it('checks out the cart it built', async () => {
+        const user = await createUser({ isEmailVerified: true });
+        const product = await createProduct();
+        const token = await tokenFor(user, ['cart:write', 'orders:write']);
+
+        expect((await addToCart(token, product)).status).toBe(200);
+
+        const order = await request(app).post('/api/orders')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                shippingAddress: { street: '1 Main St', city: 'Los Angeles', state: 'CA', zipCode: '90012', country: 'USA' },
+                paymentMethod: 'card',
+                paymentToken: 'tok_visa'
+            });
+        expect(order.status).toBe(201);
+    });
+
+    it('needs the cart scope for the cart and is refused on the wishlist', async () => {
+        const user = await createUser();
+        const product = await createProduct();
+        const token = await tokenFor(user, ['orders:read']);
+
+        expect((await addToCart(token, product)).status).toBe(403);
+        const wishlist = await request(app).get('/api/wishlist').set('Authorization', `Bearer ${token}`);
+        expect(wishlist.status).toBe(403);
+    });
+});
@@ -0,0 +1,40 @@
+/**
+ * Cart store - Quantity parsing and line prices
+ */
+
+const { Product } = require('../src/models');
+const cartStore = require('../src/services/cartStore');
+
+describe('cartStore.parseQuantity', () => {
+    it('accepts whole numbers from JSON or form fields', () => {
+        expect(cartStore.parseQuantity(2)).toBe(2);
+        expect(cartStore.parseQuantity('3')).toBe(3);
+        expect(cartStore.parseQuantity(0, { min: 0 })).toBe(0);
+    });
+
+    it.each([-5, 0, 1.5, '2abc', 'abc', '', null, undefined, true])('rejects %p with a 400', (quantity) => {
+        expect(() => cartStore.parseQuantity(quantity)).toThrow(expect.objectContaining({
+            statusCode: 400,
+            message: 'Quantity must be a whole number of 1 or more'
+        }));
+    });
+});
+
+describe('Product#findVariant prices', () => {
+    // As read back from a raw insert, before effectivePrice is backfilled
+    const rawProduct = (fields) => Product.hydrate({
+        name: 'Runner',
+        price: 100,
+        sizes: [{ size: 10, stock: 3 }],
+        ...fields
+    });
+
+    it('prices products that have no stored effectivePrice', () => {
+        expect(rawProduct({}).findVariant(10).price).toBe(100);
+        expect(rawProduct({ salePrice: 80 }).findVariant(10).price).toBe(80);
+    });
+
+    it('prefers the stored effectivePrice', () => {
+        expect(rawProduct({ effectivePrice: 90 }).findVariant(10).price).toBe(90);
+    });
+});
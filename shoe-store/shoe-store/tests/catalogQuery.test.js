@@ -0,0 +1,195 @@
+/**
+ * Catalog query - Filter parsing, MongoDB queries and in-memory matching
+ */
+
+const mongoose = require('mongoose');
+const { Product } = require('../src/models');
+const catalogQuery = require('../src/services/catalogQuery');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+const { createProduct } = require('./helpers/factories');
+
+const parseFilters = (params) => catalogQuery.parse(params).filters;
+
+const parseError = (params) => {
+    try {
+        catalogQuery.parse(params);
+    } catch (error) {
+        return error;
+    }
+    return null;
+};
+
+describe('catalogQuery.parse', () => {
+    it('accepts comma-separated and repeated list values', () => {
+        const filters = parseFilters({ brand: ['Nike,Adidas', 'Vans'], size: '9, 9.5,9', color: 'Black,WHITE' });
+
+        expect(filters.brand).toEqual(['Nike', 'Adidas', 'Vans']);
+        expect(filters.size).toEqual([9, 9.5]);
+        expect(filters.color).toEqual(['black', 'white']);
+    });
+
+    it('reads flags and numbers', () => {
+        const filters = parseFilters({ inStock: 'true', onSale: '1', featured: 'no', minPrice: '50', minRating: '4' });
+
+        expect(filters).toMatchObject({ inStock: true, onSale: true, featured: false, minPrice: 50, maxPrice: null, minRating: 4 });
+    });
+
+    it.each([
+        [{ size: 'large' }, 'Invalid size: large'],
+        [{ minPrice: 'cheap' }, 'Invalid minPrice: cheap'],
+        [{ maxPrice: '-5' }, 'Invalid maxPrice: -5'],
+        [{ minRating: '6' }, 'Invalid minRating: 6'],
+        [{ minPrice: '100', maxPrice: '50' }, 'minPrice cannot be greater than maxPrice'],
+        [{ sort: 'cheapest' }, expect.stringMatching(/^Unknown sort: cheapest/)]
+    ])('rejects %j with a 400', (params, message) => {
+        expect(parseError(params)).toMatchObject({ statusCode: 400, message });
+    });
+
+    it('clamps paging', () => {
+        expect(catalogQuery.parse({ page: '-3', limit: '500' })).toMatchObject({ page: 1, limit: 100, sort: null });
+        expect(catalogQuery.parse({ limit: 'x' }).limit).toBe(12);
+        expect(catalogQuery.parse({ includeTotal: 'false' }).includeTotal).toBe(false);
+    });
+});
+
+describe('catalogQuery.toMongo', () => {
+    it('only lists active products when there are no filters', () => {
+        expect(catalogQuery.toMongo(parseFilters({}))).toEqual({ isActive: true });
+    });
+
+    it('matches any listed value and only in-stock sizes', () => {
+        const query = catalogQuery.toMongo(parseFilters({ brand: 'Nike,Vans', size: '10', inStock: 'true' }));
+
+        expect(query.$and).toEqual(expect.arrayContaining([
+            { brand: { $in: ['Nike', 'Vans'] } },
+            { sizes: { $elemMatch: { size: { $in: [10] }, stock: { $gt: 0 } } } },
+            { totalStock: { $gt: 0 } }
+        ]));
+    });
+
+    it('matches colors case-insensitively on colors and variants', () => {
+        const query = catalogQuery.toMongo(parseFilters({ color: 'navy.blue' }));
+        const [pattern] = query.$and[1].$or[0]['colors.name'].$in;
+
+        expect(pattern.test('Navy.Blue')).toBe(true);
+        expect(pattern.test('NavyxBlue')).toBe(false);
+        expect(query.$and[1].$or[1]).toHaveProperty(['variants.color']);
+    });
+
+    it('bounds the stored effective price', () => {
+        const query = catalogQuery.toMongo(parseFilters({ minPrice: '50', maxPrice: '120' }));
+
+        expect(query.$and[1]).toEqual({ effectivePrice: { $gte: 50, $lte: 120 } });
+    });
+});
+
+describe('catalogQuery cursors', () => {
+    const id = new mongoose.Types.ObjectId();
+
+    it('round-trips the sort value and _id', () => {
+        const cursor = catalogQuery.encodeCursor('price_asc', { _id: id, effectivePrice: 89.99 });
+
+        expect(catalogQuery.decodeCursor(cursor, 'price_asc')).toEqual({ field: 'effectivePrice', value: 89.99, id });
+    });
+
+    it('reads nested fields and restores dates', () => {
+        const createdAt = new Date('2024-03-01T12:00:00Z');
+
+        expect(catalogQuery.decodeCursor(catalogQuery.encodeCursor('newest', { _id: id, createdAt }), 'newest').value)
+            .toEqual(createdAt);
+        expect(catalogQuery.decodeCursor(catalogQuery.encodeCursor('rating', { _id: id, rating: { average: 4.5 } }), 'rating'))
+            .toMatchObject({ field: 'rating.average', value: 4.5 });
+    });
+
+    it('rejects cursors from another sort', () => {
+        const cursor = catalogQuery.encodeCursor('popular', { _id: id, soldCount: 3 });
+
+        expect(() => catalogQuery.decodeCursor(cursor, 'price_desc')).toThrow(/different sort/);
+    });
+
+    it.each([
+        ['garbage', 'not a cursor'],
+        ['an unknown sort', Buffer.from(JSON.stringify({ s: 'cheapest', v: 1, id: id.toString() })).toString('base64url')],
+        ['a bad id', Buffer.from(JSON.stringify({ s: 'newest', v: 1, id: 'nope' })).toString('base64url')]
+    ])('rejects %s with a 400', (label, cursor) => {
+        expect(() => catalogQuery.decodeCursor(cursor, 'newest')).toThrow(expect.objectContaining({
+            statusCode: 400,
+            message: 'Invalid cursor'
+        }));
+    });
+});
+
+describeWithDb('catalogQuery.find', () => {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+
+    it('stores the effective price on save', async () => {
+        const product = await createProduct({ price: 120, salePrice: 95 });
+        expect(product.effectivePrice).toBe(95);
+
+        product.salePrice = undefined;
+        await product.save();
+        expect((await Product.findById(product._id)).effectivePrice).toBe(120);
+    });
+
+    it('pages through a price sort with cursors', async () => {
+        await Promise.all([
+            createProduct({ price: 80 }),
+            createProduct({ price: 150, salePrice: 60 }),
+            createProduct({ price: 80 }),
+            createProduct({ price: 110 }),
+            createProduct({ price: 100, isActive: false })
+        ]);
+        const filters = parseFilters({});
+
+        const prices = [];
+        let after = null;
+        do {
+            const result = await catalogQuery.find({ filters, sort: 'price_asc', page: 1, limit: 2, after });
+            prices.push(...result.products.map(product => product.effectivePrice));
+            after = result.nextCursor;
+        } while (after);
+
+        expect(prices).toEqual([60, 80, 80, 110]);
+    });
+
+    it('uses the effective price index for price sorts', async () => {
+        await createProduct({ price: 80 });
+
+        const explain = await Product.find({ isActive: true })
+            .sort({ effectivePrice: -1, _id: 1 })
+            .explain('queryPlanner');
+
+        expect(JSON.stringify(explain)).toContain('isActive_1_effectivePrice_1__id_1');
+    });
+});
+
+describe('catalogQuery.matches', () => {
+    const doc = {
+        brand: 'Nike',
+        category: 'Running',
+        gender: 'Men',
+        sizes: [9, 10],
+        colors: ['Black', 'Volt'],
+        effectivePrice: 90,
+        onSale: true,
+        inStock: true,
+        rating: 4.2,
+        isFeatured: false
+    };
+
+    it('applies every filter', () => {
+        expect(catalogQuery.matches(doc, parseFilters({ brand: 'Nike', size: '10', color: 'volt', maxPrice: '90' }))).toBe(true);
+        expect(catalogQuery.matches(doc, parseFilters({ minPrice: '91' }))).toBe(false);
+        expect(catalogQuery.matches(doc, parseFilters({ minRating: '4.5' }))).toBe(false);
+        expect(catalogQuery.matches(doc, parseFilters({ featured: 'true' }))).toBe(false);
+    });
+
+    it('can skip one check for facet counts', () => {
+        const filters = parseFilters({ brand: 'Adidas' });
+
+        expect(catalogQuery.matches(doc, filters)).toBe(false);
+        expect(catalogQuery.matches(doc, filters, 'brand')).toBe(true);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Environment - Settings that must be explicit outside development and test
+ */
+
+const env = require('../src/services/env');
+const { withEnv, loadWithEnv } = require('./helpers/env');
+
+describe('env.required', () => {
+    it('uses the local default only in development and test', () => {
+        withEnv({ NODE_ENV: 'development', SOME_SETTING: undefined }, () => {
+            expect(env.required('SOME_SETTING', 'local')).toBe('local');
+        });
+        withEnv({ NODE_ENV: 'production', SOME_SETTING: undefined }, () => {
+            expect(() => env.required('SOME_SETTING', 'local')).toThrow('SOME_SETTING must be set');
+        });
+        withEnv({ NODE_ENV: 'staging', SOME_SETTING: undefined }, () => {
+            expect(() => env.required('SOME_SETTING', 'local')).toThrow(/NODE_ENV is staging/);
+        });
+    });
+
+    it('treats an unset NODE_ENV as development, like the rest of the app', () => {
+        withEnv({ NODE_ENV: undefined, SOME_SETTING: undefined }, () => {
+            expect(env.isLocal()).toBe(true);
+            expect(env.required('SOME_SETTING', 'local')).toBe('local');
+        });
+    });
+
+    it('prefers the configured value everywhere', () => {
+        withEnv({ NODE_ENV: 'production', SOME_SETTING: 'configured' }, () => {
+            expect(env.required('SOME_SETTING', 'local')).toBe('configured');
+        });
+    });
+});
+
+describe('env.oneOf', () => {
+    const options = { console: 'console transport', smtp: 'smtp transport' };
+
+    it('returns the named option', () => {
+        withEnv({ NODE_ENV: 'production', TRANSPORT: 'smtp' }, () => {
+            expect(env.oneOf('TRANSPORT', options, 'console')).toBe('smtp transport');
+        });
+    });
+
+    it('never falls back on an unknown name', () => {
+        withEnv({ NODE_ENV: 'development', TRANSPORT: 'SMTP' }, () => {
+            expect(() => env.oneOf('TRANSPORT', options, 'console'))
+                .toThrow('Unknown TRANSPORT "SMTP" - use one of: console, smtp');
+        });
+        withEnv({ NODE_ENV: 'development', TRANSPORT: 'toString' }, () => {
+            expect(() => env.oneOf('TRANSPORT', options, 'console')).toThrow(/Unknown TRANSPORT/);
+        });
+    });
+});
+
+describe('mail and notifier transports', () => {
+    it.each([
+        ['../src/services/mail', 'MAIL_TRANSPORT'],
+        ['../src/services/notifier', 'NOTIFIER_TRANSPORT']
+    ])('%s refuses an unknown or missing %s', (modulePath, name) => {
+        expect(() => loadWithEnv(modulePath, { NODE_ENV: 'development', [name]: 'smtpp' }))
+            .toThrow(`Unknown ${name} "smtpp"`);
+        expect(() => loadWithEnv(modulePath, {
+            NODE_ENV: 'production',
+            MAIL_TRANSPORT: 'console',
+            NOTIFIER_TRANSPORT: 'console',
+            [name]: undefined
+        })).toThrow(`${name} must be set`);
+    });
+
+    it('defaults to the console in development', () => {
+        expect(() => loadWithEnv('../src/services/mail', {
+            NODE_ENV: 'development',
+            MAIL_TRANSPORT: undefined,
+            NOTIFIER_TRANSPORT: undefined
+        })).not.toThrow();
+    });
+
+    it('only offers SMS outside development and test once an adapter registers it', () => {
+        const load = (NODE_ENV) => loadWithEnv('../src/services/notifier', { NODE_ENV, NOTIFIER_TRANSPORT: 'console' });
+        expect(load('development').getChannels()).toEqual(['email', 'sms']);
+
+        const production = load('production');
+        expect(production.getChannels()).toEqual(['email']);
+        production.registerChannel({ name: 'sms', send: async () => ({ success: true }) });
+        expect(production.getChannels()).toEqual(['email', 'sms']);
+    });
+});
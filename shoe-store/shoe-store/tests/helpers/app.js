@@ -0,0 +1,38 @@
+/**
+ * Test app - The cart, order and wishlist routes behind an in-memory session store
+ *
+ * src/app.js connects to MongoDB and listens on start-up, so route tests mount
+ * the routers they need here instead. Bearer tokens skip the session as they
+ * do in src/app.js. POST /test/login puts the posted user into the session
+ * the way the real login route does.
+ */
+
+const express = require('express');
+const session = require('express-session');
+const { authenticateBearer } = require('../../src/middleware/auth');
+
+const buildApp = () => {
+    const app = express();
+
+    app.use(express.json());
+    const sessionMiddleware = session({
+        secret: 'test-session-secret',
+        resave: false,
+        saveUninitialized: false
+    });
+    app.use(authenticateBearer);
+    app.use((req, res, next) => req.auth ? next() : sessionMiddleware(req, res, next));
+
+    app.post('/test/login', (req, res) => {
+        req.session.user = req.body;
+        res.json({ success: true });
+    });
+
+    app.use('/api/cart', require('../../src/routes/cart'));
+    app.use('/api/orders', require('../../src/routes/orders'));
+    app.use('/api/wishlist', require('../../src/routes/wishlist'));
+
+    return app;
+};
+
+module.exports = { buildApp };
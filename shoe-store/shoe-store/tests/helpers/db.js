@@ -0,0 +1,38 @@
+/**
+ * Test database helpers
+ *
+ * Each test file gets its own database on the server from globalSetup, so
+ * files running in parallel never see each other's data.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const MONGODB_URI = process.env.MONGODB_TEST_URI;
+
+// describe() for suites that need MongoDB; skipped when none is configured
+const describeWithDb = MONGODB_URI ? describe : describe.skip;
+
+const connect = async () => {
+    const dbName = `shoestore-test-${crypto.randomBytes(4).toString('hex')}`;
+    await mongoose.connect(MONGODB_URI, { dbName });
+    // Unique indexes (slugs, hold keys) must exist before concurrent writes
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+const clear = async () => {
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+};
+
+module.exports = {
+    describeWithDb,
+    connect,
+    clear,
+    disconnect
+};
@@ -0,0 +1,32 @@
+/**
+ * Environment helpers - Load modules under other environment variables
+ */
+
+// Run `fn` with environment variables changed (undefined unsets one), then restore them
+const withEnv = (vars, fn) => {
+    const saved = { ...process.env };
+    Object.entries(vars).forEach(([name, value]) => {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+    });
+
+    try {
+        return fn();
+    } finally {
+        process.env = saved;
+    }
+};
+
+// Require a fresh copy of a module (path relative to tests/) under `vars`
+const loadWithEnv = (modulePath, vars) => withEnv(vars, () => {
+    let loaded;
+    jest.isolateModules(() => {
+        loaded = require(require('path').join(__dirname, '..', modulePath));
+    });
+    return loaded;
+});
+
+module.exports = {
+    withEnv,
+    loadWithEnv
+};
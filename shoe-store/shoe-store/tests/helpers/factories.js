@@ -0,0 +1,37 @@
+/**
+ * Test data factories
+ */
+
+const { Product, User } = require('../../src/models');
+
+let counter = 0;
+
+const createProduct = (overrides = {}) => {
+    counter++;
+    return Product.create({
+        name: `Test Runner ${counter}`,
+        description: 'A shoe for tests',
+        brand: 'Nike',
+        category: 'Running',
+        price: 100,
+        colors: [{ name: 'Black', hexCode: '#000000' }],
+        variants: [{ size: 10, color: 'Black', stock: 5 }],
+        ...overrides
+    });
+};
+
+const createUser = (overrides = {}) => {
+    counter++;
+    return User.create({
+        email: `shopper${counter}@example.com`,
+        password: 'Password123!',
+        firstName: 'Test',
+        lastName: `Shopper${counter}`,
+        ...overrides
+    });
+};
+
+module.exports = {
+    createProduct,
+    createUser
+};
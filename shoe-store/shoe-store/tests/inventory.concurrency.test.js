@@ -0,0 +1,223 @@
+/**
+ * Inventory concurrency - Many shoppers checking out the same size at once
+ *
+ * Stock is limited to a few units and many reservations or checkouts are
+ * fired in parallel. Stock must never go negative, exactly as many orders as
+ * there were units succeed, and failed checkouts hand their stock back.
+ */
+
+const request = require('supertest');
+const { Product, Order } = require('../src/models');
+const inventory = require('../src/services/inventory');
+const orderLifecycle = require('../src/services/orderLifecycle');
+const authTokens = require('../src/services/authTokens');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+const { createProduct, createUser } = require('./helpers/factories');
+const { buildApp } = require('./helpers/app');
+
+const SHOPPERS = 20;
+const STOCK = 5;
+
+const lineFor = (product, variant, quantity = 1) => ({
+    product: product._id,
+    sku: variant.sku,
+    name: product.name,
+    size: variant.size,
+    color: variant.color,
+    quantity
+});
+
+const settle = (promises) => Promise.allSettled(promises);
+
+describeWithDb('inventory under concurrent checkouts', () => {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+
+    describe('reserveStock', () => {
+        it('sells exactly the units in stock to parallel reservations', async () => {
+            const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: STOCK }] });
+            const line = lineFor(product, product.variants[0]);
+
+            const results = await settle(
+                Array.from({ length: SHOPPERS }, () => inventory.reserveStock([line]))
+            );
+
+            const sold = results.filter(r => r.status === 'fulfilled');
+            const refused = results.filter(r => r.status === 'rejected');
+            expect(sold).toHaveLength(STOCK);
+            expect(refused).toHaveLength(SHOPPERS - STOCK);
+            refused.forEach(r => expect(r.reason.statusCode).toBe(409));
+
+            const after = await Product.findById(product._id);
+            expect(after.variants[0].stock).toBe(0);
+            expect(after.sizes.find(s => s.size === 10).stock).toBe(0);
+            expect(after.totalStock).toBe(0);
+            expect(after.soldCount).toBe(STOCK);
+        });
+
+        it('never takes part of a multi-line order', async () => {
+            const product = await createProduct({
+                variants: [
+                    { size: 10, color: 'Black', stock: 3 },
+                    { size: 11, color: 'Black', stock: 1 }
+                ]
+            });
+            const lines = product.variants.map(variant => lineFor(product, variant));
+
+            const results = await settle(Array.from({ length: 4 }, () => inventory.reserveStock(lines)));
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+            const after = await Product.findById(product._id);
+            expect(after.variants.map(v => v.stock)).toEqual([2, 0]);
+            expect(after.totalStock).toBe(2);
+        });
+
+        it('keeps size-only stock from going negative', async () => {
+            const product = await createProduct({ variants: [], sizes: [{ size: 9, stock: 2 }] });
+            const line = { product: product._id, name: product.name, size: 9, color: 'Black', quantity: 1 };
+
+            const results = await settle(Array.from({ length: 10 }, () => inventory.reserveStock([line])));
+
+            expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(2);
+            const after = await Product.findById(product._id);
+            expect(after.sizes[0].stock).toBe(0);
+        });
+    });
+
+    describe('POST /api/orders', () => {
+        const app = buildApp();
+        const address = { street: '1 Main St', city: 'Los Angeles', state: 'CA', zipCode: '90012', country: 'USA' };
+
+        // A signed-in shopper with one unit of the variant in their cart
+        const shopperWithCart = async (product) => {
+            const agent = request.agent(app);
+            const user = await createUser();
+            await agent.post('/test/login').send(authTokens.sessionUser(user)).expect(200);
+            await agent.post('/api/cart/add')
+                .send({ productId: product._id.toString(), size: 10, color: 'Black', quantity: 1 })
+                .expect(200);
+            return agent;
+        };
+
+        const checkout = (agent, paymentToken = 'tok_visa') => agent.post('/api/orders').send({
+            shippingAddress: address,
+            paymentMethod: 'card',
+            paymentToken
+        });
+
+        it('places exactly as many orders as there are units', async () => {
+            const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: STOCK }] });
+            const agents = [];
+            for (let i = 0; i < SHOPPERS; i++) {
+                agents.push(await shopperWithCart(product));
+            }
+
+            const responses = await Promise.all(agents.map(agent => checkout(agent)));
+            const statuses = responses.map(r => r.status);
+
+            expect(statuses.filter(status => status === 201)).toHaveLength(STOCK);
+            expect(statuses.filter(status => status === 409)).toHaveLength(SHOPPERS - STOCK);
+
+            const after = await Product.findById(product._id);
+            expect(after.variants[0].stock).toBe(0);
+            expect(after.totalStock).toBe(0);
+
+            const orders = await Order.find({ status: 'confirmed' });
+            expect(orders).toHaveLength(STOCK);
+            expect(new Set(orders.map(o => o.orderNumber)).size).toBe(STOCK);
+        });
+
+        it('puts the stock back when the order cannot be written', async () => {
+            const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 2 }] });
+            const agent = await shopperWithCart(product);
+            const create = jest.spyOn(Order, 'create').mockRejectedValueOnce(new Error('write failed'));
+            const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            try {
+                const response = await checkout(agent);
+                expect(response.status).toBe(500);
+            } finally {
+                create.mockRestore();
+                log.mockRestore();
+            }
+
+            const after = await Product.findById(product._id);
+            expect(after.variants[0].stock).toBe(2);
+            expect(after.totalStock).toBe(2);
+            expect(after.soldCount).toBe(0);
+            expect(await Order.countDocuments()).toBe(0);
+        });
+
+        it('cancels through the order lifecycle when the payment provider fails', async () => {
+            const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 1 }] });
+            const agent = await shopperWithCart(product);
+            const transitions = [];
+            const listener = (event) => transitions.push(event.to);
+            orderLifecycle.events.on('transition', listener);
+            const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            try {
+                const response = await checkout(agent, 'tok_error');
+                expect(response.status).toBe(500);
+            } finally {
+                orderLifecycle.events.off('transition', listener);
+                log.mockRestore();
+            }
+
+            expect(transitions).toEqual(['cancelled']);
+            const order = await Order.findOne();
+            expect(order.status).toBe('cancelled');
+            expect(order.statusHistory[order.statusHistory.length - 1].note).toBe('Payment provider error');
+            const after = await Product.findById(product._id);
+            expect(after.variants[0].stock).toBe(1);
+        });
+
+        it('puts the stock back when payment is declined', async () => {
+            const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 1 }] });
+            const agent = await shopperWithCart(product);
+
+            const response = await checkout(agent, 'tok_decline');
+            expect(response.status).toBe(402);
+
+            const after = await Product.findById(product._id);
+            expect(after.variants[0].stock).toBe(1);
+            const order = await Order.findOne();
+            expect(order.status).toBe('cancelled');
+        });
+    });
+
+    describe('Product#mergeStockUnits', () => {
+        it('keeps stock sold after the product was loaded', async () => {
+            const loaded = await createProduct({
+                variants: [{ size: 10, color: 'Black', stock: STOCK }, { size: 11, color: 'Black', stock: 2 }]
+            });
+            const [ten, eleven] = loaded.variants;
+            await inventory.reserveStock([lineFor(loaded, ten, 2)]);
+
+            // The form still shows the stock from when it was loaded
+            const updated = await loaded.mergeStockUnits({
+                variants: [
+                    { sku: ten.sku, size: 10, color: 'Black', stock: STOCK, price: 90 },
+                    { size: 12, color: 'Black', stock: 4 }
+                ]
+            });
+
+            expect(updated.variants.map(v => [v.sku, v.stock])).toEqual([[ten.sku, STOCK - 2], [expect.any(String), 4]]);
+            expect(updated.variants[0].price).toBe(90);
+            expect(updated.variants.some(v => v.sku === eleven.sku)).toBe(false);
+            expect(updated.sizes.map(s => [s.size, s.stock])).toEqual([[10, STOCK - 2], [12, 4]]);
+            expect(updated.totalStock).toBe(STOCK + 2);
+        });
+
+        it('keeps size-level stock for size-only products', async () => {
+            const loaded = await createProduct({ variants: [], sizes: [{ size: 9, stock: 3 }] });
+            await inventory.reserveStock([{ product: loaded._id, name: loaded.name, size: 9, quantity: 1 }]);
+
+            const updated = await loaded.mergeStockUnits({ sizes: [{ size: 9, stock: 3 }, { size: 10, stock: 2 }] });
+
+            expect(updated.sizes.map(s => [s.size, s.stock])).toEqual([[9, 2], [10, 2]]);
+            expect(updated.totalStock).toBe(4);
+        });
+    });
+});
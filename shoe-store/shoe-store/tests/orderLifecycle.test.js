@@ -0,0 +1,145 @@
+/**
+ * Order lifecycle - Allowed transitions, guards and side effects
+ *
+ * Orders are plain objects with a stubbed save(); stock and promotion
+ * effects are spied on, so no database is needed.
+ */
+
+const orderLifecycle = require('../src/services/orderLifecycle');
+const inventory = require('../src/services/inventory');
+const promotions = require('../src/services/promotions');
+const payments = require('../src/services/payments');
+
+const buildOrder = (overrides = {}) => ({
+    status: 'pending',
+    items: [
+        { product: 'p1', sku: 'RUN-10-BLACK', size: 10, quantity: 1 },
+        { product: 'p2', size: 9, quantity: 2 }
+    ],
+    payment: { method: 'card', provider: 'fake', status: 'authorized', transactionId: 'fake_1', amountAuthorized: 100, amountRefunded: 0 },
+    statusHistory: [],
+    save: jest.fn().mockResolvedValue(),
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.spyOn(inventory, 'restock').mockResolvedValue();
+    jest.spyOn(promotions, 'findByCode').mockResolvedValue(null);
+    jest.spyOn(promotions, 'release').mockResolvedValue();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('allowed transitions', () => {
+    it('gives customers only early cancellation', () => {
+        expect(orderLifecycle.allowedTransitions('pending', 'customer')).toEqual(['cancelled']);
+        expect(orderLifecycle.allowedTransitions('processing', 'customer')).toEqual([]);
+        expect(orderLifecycle.allowedTransitions('processing')).toEqual(['shipped', 'cancelled']);
+    });
+
+    it('treats cancelled and refunded as final', () => {
+        expect(orderLifecycle.TRANSITIONS.cancelled).toEqual([]);
+        expect(orderLifecycle.TRANSITIONS.refunded).toEqual([]);
+    });
+});
+
+describe('orderLifecycle.transition', () => {
+    it('rejects unknown statuses and illegal moves without saving', async () => {
+        const order = buildOrder();
+
+        await expect(orderLifecycle.transition(order, 'lost')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(orderLifecycle.transition(order, 'delivered'))
+            .rejects.toThrow('Cannot move order from pending to delivered');
+        expect(order.save).not.toHaveBeenCalled();
+        expect(order.status).toBe('pending');
+    });
+
+    it('tells customers when an order can no longer be cancelled', async () => {
+        await expect(orderLifecycle.transition(buildOrder({ status: 'processing' }), 'cancelled', { actor: 'customer' }))
+            .rejects.toThrow('Order cannot be cancelled at this stage');
+    });
+
+    it('records history, saves and emits an event', async () => {
+        const order = buildOrder();
+        const listener = jest.fn();
+        orderLifecycle.events.on('transition', listener);
+
+        try {
+            await orderLifecycle.transition(order, 'confirmed', { actor: 'system', note: 'Paid' });
+        } finally {
+            orderLifecycle.events.off('transition', listener);
+        }
+
+        expect(order.status).toBe('confirmed');
+        expect(order.statusHistory).toEqual([{ status: 'confirmed', note: 'Paid' }]);
+        expect(order.save).toHaveBeenCalledTimes(1);
+        expect(listener).toHaveBeenCalledWith({ order, from: 'pending', to: 'confirmed', note: 'Paid' });
+    });
+
+    it('needs a tracking number to ship and captures the payment', async () => {
+        const order = buildOrder({ status: 'processing' });
+
+        await expect(orderLifecycle.transition(order, 'shipped')).rejects.toThrow(/tracking number/);
+        await orderLifecycle.transition(order, 'shipped', { trackingNumber: '1Z999' });
+
+        expect(order).toMatchObject({ status: 'shipped', trackingNumber: '1Z999' });
+        expect(order.payment.status).toBe('completed');
+    });
+
+    it('leaves the order unshipped when capture fails', async () => {
+        jest.spyOn(payments, 'captureOrder').mockResolvedValue({ success: false, message: 'Card expired' });
+        const order = buildOrder({ status: 'processing' });
+
+        await expect(orderLifecycle.transition(order, 'shipped', { trackingNumber: '1Z999' }))
+            .rejects.toMatchObject({ statusCode: 502, message: 'Card expired' });
+        expect(order.status).toBe('processing');
+        expect(order.save).not.toHaveBeenCalled();
+    });
+
+    it('voids the payment, restocks every line and releases the discount on cancel', async () => {
+        const promotion = { _id: 'promo1', code: 'SAVE10' };
+        promotions.findByCode.mockResolvedValue(promotion);
+        const order = buildOrder({ status: 'confirmed', discount: { code: 'SAVE10', amount: 10 } });
+
+        await orderLifecycle.transition(order, 'cancelled');
+
+        expect(order.payment.status).toBe('voided');
+        expect(inventory.restock).toHaveBeenCalledTimes(2);
+        expect(inventory.restock).toHaveBeenCalledWith(order.items[1]);
+        expect(promotions.release).toHaveBeenCalledWith(promotion);
+    });
+
+    it('refunds a captured payment on cancel', async () => {
+        const order = buildOrder({
+            status: 'confirmed',
+            payment: { method: 'card', provider: 'fake', status: 'completed', amountCaptured: 100, amountRefunded: 0 }
+        });
+
+        await orderLifecycle.transition(order, 'cancelled');
+
+        expect(order.payment).toMatchObject({ status: 'refunded', amountRefunded: 100 });
+    });
+
+    it('only marks an order refunded once money has gone back', async () => {
+        const order = buildOrder({ status: 'delivered', trackingNumber: '1Z999', returns: [] });
+
+        await expect(orderLifecycle.transition(order, 'refunded')).rejects.toThrow(/Issue a refund/);
+
+        order.payment.amountRefunded = 25;
+        await expect(orderLifecycle.transition(order, 'refunded')).resolves.toBe(order);
+    });
+});
+
+describe('orderLifecycle.statusForPayment', () => {
+    it.each([
+        ['pending', 'authorized', 'confirmed'],
+        ['pending', 'completed', 'confirmed'],
+        ['pending', 'failed', 'cancelled'],
+        ['shipped', 'refunded', 'refunded'],
+        ['confirmed', 'authorized', null],
+        ['cancelled', 'refunded', null]
+    ])('maps a %s order whose payment is %s to %s', (status, paymentStatus, expected) => {
+        const order = buildOrder({ status, payment: { status: paymentStatus } });
+        expect(orderLifecycle.statusForPayment(order)).toBe(expected);
+    });
+});
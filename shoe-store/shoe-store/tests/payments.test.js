@@ -0,0 +1,107 @@
+/**
+ * Payments - Provider configuration and payment state changes
+ */
+
+const payments = require('../src/services/payments');
+const { loadWithEnv } = require('./helpers/env');
+
+const loadPayments = (vars) => loadWithEnv('../src/services/payments', vars);
+
+const pendingOrder = (overrides = {}) => ({
+    total: 120,
+    status: 'pending',
+    statusHistory: [],
+    payment: { method: 'card', status: 'pending', amountRefunded: 0, processedEvents: [] },
+    ...overrides
+});
+
+describe('payment provider configuration', () => {
+    it('refuses to start outside development and test without PAYMENT_PROVIDER', () => {
+        expect(() => loadPayments({ NODE_ENV: 'production', PAYMENT_PROVIDER: undefined }))
+            .toThrow(/PAYMENT_PROVIDER must be set/);
+    });
+
+    it('refuses to start with the fake provider outside development and test', () => {
+        expect(() => loadPayments({ NODE_ENV: 'production', PAYMENT_PROVIDER: 'fake' }))
+            .toThrow(/Unknown PAYMENT_PROVIDER "fake"/);
+    });
+
+    it('refuses to start with a provider that is not registered', () => {
+        expect(() => loadPayments({ NODE_ENV: 'development', PAYMENT_PROVIDER: 'stripe' }))
+            .toThrow('Unknown PAYMENT_PROVIDER "stripe" - use one of: fake');
+    });
+
+    it('uses the fake provider by default in development', () => {
+        const development = loadPayments({ NODE_ENV: 'development', PAYMENT_PROVIDER: undefined });
+        expect(development.getProvider().name).toBe('fake');
+    });
+
+    it('requires a real webhook secret for the fake provider outside local environments', () => {
+        expect(() => loadWithEnv('../src/services/payments/providers/fake', {
+            NODE_ENV: 'staging',
+            PAYMENT_WEBHOOK_SECRET: undefined
+        })).toThrow(/PAYMENT_WEBHOOK_SECRET must be set/);
+    });
+});
+
+describe('payments.authorizeOrder', () => {
+    it('skips the gateway for cash on delivery', async () => {
+        const order = pendingOrder({ payment: { method: 'cod', status: 'pending' } });
+        await expect(payments.authorizeOrder(order)).resolves.toEqual({ success: true });
+        expect(order.payment.status).toBe('pending');
+    });
+
+    it('records an authorization', async () => {
+        const order = pendingOrder();
+        const result = await payments.authorizeOrder(order, { paymentToken: 'tok_visa' });
+
+        expect(result.success).toBe(true);
+        expect(order.payment).toMatchObject({ provider: 'fake', status: 'authorized', amountAuthorized: 120 });
+    });
+
+    it('marks declined payments as failed', async () => {
+        const order = pendingOrder();
+        const result = await payments.authorizeOrder(order, { paymentToken: 'tok_decline' });
+
+        expect(result).toEqual({ success: false, message: 'Your card was declined' });
+        expect(order.payment.status).toBe('failed');
+    });
+});
+
+describe('payments.refundOrder', () => {
+    const captured = () => pendingOrder({
+        payment: { provider: 'fake', status: 'completed', amountCaptured: 120, amountRefunded: 0 }
+    });
+
+    it('refunds part of the capture, then the rest', async () => {
+        const order = captured();
+
+        await expect(payments.refundOrder(order, 20)).resolves.toMatchObject({ success: true, amount: 20 });
+        expect(order.payment.status).toBe('partially_refunded');
+
+        await expect(payments.refundOrder(order)).resolves.toMatchObject({ success: true, amount: 100 });
+        expect(order.payment.status).toBe('refunded');
+    });
+
+    it('never refunds more than was captured', async () => {
+        await expect(payments.refundOrder(captured(), 120.01)).resolves.toMatchObject({ success: false });
+    });
+});
+
+describe('payments.applyWebhookEvent', () => {
+    it('moves payment state forward once per event', () => {
+        const order = pendingOrder({ payment: { ...pendingOrder().payment, provider: 'fake' } });
+        const event = { id: 'evt_1', type: 'payment.captured', amount: 120 };
+
+        expect(payments.applyWebhookEvent(order, event)).toBe(true);
+        expect(payments.applyWebhookEvent(order, event)).toBe(false);
+        expect(order.payment).toMatchObject({ status: 'completed', amountCaptured: 120 });
+        expect(order.statusHistory).toHaveLength(1);
+    });
+
+    it('ignores events that would move state backwards', () => {
+        const order = pendingOrder({ payment: { ...pendingOrder().payment, status: 'completed' } });
+        expect(payments.applyWebhookEvent(order, { id: 'evt_2', type: 'payment.failed' })).toBe(false);
+        expect(order.payment.status).toBe('completed');
+    });
+});
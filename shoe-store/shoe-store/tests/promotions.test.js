@@ -0,0 +1,136 @@
+/**
+ * Promotions - Discount math, eligibility and usage limits
+ */
+
+const { Promotion } = require('../src/models');
+const promotions = require('../src/services/promotions');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+
+const line = (overrides = {}) => ({
+    productId: 'p1',
+    brand: 'Nike',
+    category: 'Running',
+    price: 100,
+    quantity: 1,
+    ...overrides
+});
+
+const cartOf = (...items) => ({
+    items,
+    subtotal: items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+});
+
+const promotion = (overrides = {}) => ({
+    code: 'SAVE',
+    isActive: true,
+    minSubtotal: 0,
+    usedCount: 0,
+    scope: {},
+    ...overrides
+});
+
+describe('promotions.computeDiscount', () => {
+    it('takes a percentage off eligible lines only', () => {
+        const promo = promotion({ type: 'percentage', value: 15, scope: { brands: ['Nike'] } });
+        const cart = cartOf(line({ price: 80, quantity: 2 }), line({ brand: 'Adidas', price: 50 }));
+
+        expect(promotions.computeDiscount(promo, cart)).toMatchObject({ amount: 24, freeShipping: false });
+    });
+
+    it('rounds to cents', () => {
+        const promo = promotion({ type: 'percentage', value: 15 });
+        expect(promotions.computeDiscount(promo, cartOf(line({ price: 33.33 }))).amount).toBe(5);
+    });
+
+    it('never takes more than the eligible subtotal for fixed amounts', () => {
+        const promo = promotion({ type: 'fixed', value: 50, scope: { categories: ['Boots'] } });
+        const cart = cartOf(line({ category: 'Boots', price: 30 }), line({ price: 200 }));
+
+        expect(promotions.computeDiscount(promo, cart).amount).toBe(30);
+    });
+
+    it('only grants free shipping when a line qualifies', () => {
+        const promo = promotion({ type: 'free_shipping', scope: { brands: ['Vans'] } });
+
+        expect(promotions.computeDiscount(promo, cartOf(line())).freeShipping).toBe(false);
+        expect(promotions.computeDiscount(promo, cartOf(line({ brand: 'Vans' })))).toMatchObject({
+            amount: 0,
+            freeShipping: true
+        });
+    });
+
+    it('discounts the cheapest unit in each buy-x-get-y group', () => {
+        const promo = promotion({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, value: 0 });
+        const cart = cartOf(
+            line({ price: 120 }),
+            line({ productId: 'p2', price: 90, quantity: 2 }),
+            line({ productId: 'p3', price: 60, quantity: 2 })
+        );
+
+        // Units 120, 90, 90 | 60, 60: only the first group is complete, its 90 is free
+        expect(promotions.computeDiscount(promo, cart).amount).toBe(90);
+    });
+
+    it('applies a partial discount to the free units when value is set', () => {
+        const promo = promotion({ type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, value: 50 });
+        const cart = cartOf(line({ price: 100, quantity: 4 }));
+
+        expect(promotions.computeDiscount(promo, cart).amount).toBe(100);
+    });
+});
+
+describe('promotions.isEligibleLine', () => {
+    it('requires every non-empty scope list to match', () => {
+        const promo = promotion({ scope: { brands: ['Nike'], categories: ['Running'], products: ['p1'] } });
+
+        expect(promotions.isEligibleLine(promo, line())).toBe(true);
+        expect(promotions.isEligibleLine(promo, line({ productId: 'p2' }))).toBe(false);
+        expect(promotions.isEligibleLine(promo, line({ category: 'Casual' }))).toBe(false);
+    });
+});
+
+describe('promotions.validate', () => {
+    const cart = cartOf(line({ price: 40 }));
+
+    it.each([
+        ['inactive', { isActive: false }, /not valid/],
+        ['not started', { startsAt: new Date(Date.now() + 60000) }, /not active yet/],
+        ['expired', { endsAt: new Date(Date.now() - 60000) }, /expired/],
+        ['used up', { usageLimit: 5, usedCount: 5 }, /usage limit/],
+        ['below minimum', { minSubtotal: 50 }, /at least \$50\.00/],
+        ['out of scope', { scope: { brands: ['Puma'] } }, /does not apply/]
+    ])('rejects a code that is %s', async (_, overrides, message) => {
+        const result = await promotions.validate(promotion({ type: 'fixed', value: 10, ...overrides }), cart);
+        expect(result.valid).toBe(false);
+        expect(result.message).toMatch(message);
+    });
+
+    it('accepts a code that applies to the cart', async () => {
+        await expect(promotions.validate(promotion({ type: 'fixed', value: 10 }), cart))
+            .resolves.toEqual({ valid: true });
+    });
+});
+
+describeWithDb('promotions.redeem', () => {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+
+    it('never goes past the usage limit under concurrent checkouts', async () => {
+        const promo = await Promotion.create({ code: 'LIMITED', type: 'fixed', value: 10, usageLimit: 3 });
+
+        const results = await Promise.all(Array.from({ length: 12 }, () => promotions.redeem(promo)));
+
+        expect(results.filter(Boolean)).toHaveLength(3);
+        expect((await Promotion.findById(promo._id)).usedCount).toBe(3);
+    });
+
+    it('gives back a use on release but never goes below zero', async () => {
+        const promo = await Promotion.create({ code: 'ONCE', type: 'fixed', value: 10, usedCount: 1 });
+
+        await promotions.release(promo);
+        await promotions.release(promo);
+
+        expect((await Promotion.findById(promo._id)).usedCount).toBe(0);
+    });
+});
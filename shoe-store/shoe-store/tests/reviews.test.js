@@ -0,0 +1,175 @@
+/**
+ * Reviews - Writes are targeted updates that leave stock and each other alone,
+ * and review photos only stay in S3 (and public) while they should
+ */
+
+const { Product, Order } = require('../src/models');
+const reviews = require('../src/services/reviews');
+const inventory = require('../src/services/inventory');
+const uploads = require('../src/services/uploads');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+const { createProduct, createUser } = require('./helpers/factories');
+
+const shopper = async () => {
+    const user = await createUser();
+    return { id: user._id.toString(), email: user.email };
+};
+
+const approve = (product, review) => reviews.moderate(product._id, review._id, { status: 'approved' });
+
+describeWithDb('reviews', () => {
+    beforeAll(connect);
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await clear();
+    });
+    afterAll(disconnect);
+
+    it('does not undo a checkout that lands while the review is written', async () => {
+        const product = await createProduct();
+        const user = await shopper();
+
+        // Take stock between the review loading the product and writing it
+        const exists = Order.exists.bind(Order);
+        jest.spyOn(Order, 'exists').mockImplementationOnce(async (query) => {
+            await inventory.reserveStock([{ product: product._id, sku: product.variants[0].sku, size: 10, quantity: 2 }]);
+            return exists(query);
+        });
+
+        await reviews.create(product._id, user, { rating: 5, comment: 'Great' });
+
+        const saved = await Product.findById(product._id);
+        expect(saved.reviews).toHaveLength(1);
+        expect(saved.variants[0].stock).toBe(3);
+        expect(saved.sizes[0].stock).toBe(3);
+        expect(saved.totalStock).toBe(3);
+    });
+
+    it('only keeps one review per shopper when posts race', async () => {
+        const product = await createProduct();
+        const user = await shopper();
+
+        const results = await Promise.allSettled(
+            [1, 2, 3].map(() => reviews.create(product._id, user, { rating: 4 }))
+        );
+
+        expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+        expect((await Product.findById(product._id)).reviews).toHaveLength(1);
+    });
+
+    it('counts every vote when shoppers vote at the same time', async () => {
+        const product = await createProduct();
+        const review = await reviews.create(product._id, await shopper(), { rating: 5 });
+        await approve(product, review);
+
+        const voters = await Promise.all([1, 2, 3, 4, 5].map(shopper));
+        await Promise.all(voters.map((voter, i) => reviews.vote(product._id, review._id, voter, i < 3)));
+        // Changing a vote moves it between the counters once
+        await Promise.all([1, 2].map(() => reviews.vote(product._id, review._id, voters[0], false)));
+
+        const [saved] = (await Product.findById(product._id)).reviews;
+        expect(saved.votes).toHaveLength(5);
+        expect(saved).toMatchObject({ helpfulCount: 2, notHelpfulCount: 3 });
+    });
+
+    it('keeps rating and fit in step with approved reviews', async () => {
+        const product = await createProduct();
+        const first = await reviews.create(product._id, await shopper(), { rating: 5, fit: 'runs_small' });
+        const second = await reviews.create(product._id, await shopper(), { rating: 2, fit: 'runs_small' });
+
+        await approve(product, first);
+        const { product: rated } = await approve(product, second);
+        expect(rated.rating).toMatchObject({ average: 3.5, count: 2 });
+        expect(rated.fit.runsSmall).toBe(2);
+
+        const { product: afterDelete } = await reviews.remove(product._id, second._id, null, { moderator: true });
+        expect(afterDelete.rating).toMatchObject({ average: 5, count: 1 });
+        expect(afterDelete.fit.runsSmall).toBe(1);
+    });
+
+    it('takes an edited review out of the rating until it is approved again', async () => {
+        const product = await createProduct();
+        const user = await shopper();
+        const review = await reviews.create(product._id, user, { rating: 5 });
+        await approve(product, review);
+
+        await reviews.update(product._id, review._id, user, { rating: 1, comment: 'Fell apart' });
+
+        const saved = await Product.findById(product._id);
+        expect(saved.rating.count).toBe(0);
+        expect(saved.reviews[0]).toMatchObject({ rating: 1, comment: 'Fell apart', status: 'pending' });
+    });
+
+    it('refuses to moderate a review that was edited after it was read', async () => {
+        const product = await createProduct();
+        const user = await shopper();
+        const review = await reviews.create(product._id, user, { rating: 5 });
+
+        const exists = Order.exists.bind(Order);
+        jest.spyOn(Order, 'exists').mockImplementationOnce(async (query) => {
+            await Product.updateOne(
+                { _id: product._id, 'reviews._id': review._id },
+                { $set: { 'reviews.$.updatedAt': new Date(), 'reviews.$.comment': 'Edited' } }
+            );
+            return exists(query);
+        });
+
+        await expect(approve(product, review)).rejects.toMatchObject({ statusCode: 409 });
+        expect((await Product.findById(product._id)).reviews[0].status).toBe('pending');
+    });
+
+    describe('photos', () => {
+        const photo = (name) => ({ originalname: name, buffer: Buffer.from(name), mimetype: 'image/jpeg' });
+
+        beforeEach(() => {
+            jest.spyOn(uploads, 'storeFile').mockImplementation(async (file) => `reviews/${file.originalname}`);
+            jest.spyOn(uploads, 'deleteFromS3').mockResolvedValue({});
+            jest.spyOn(uploads, 'setPublic').mockResolvedValue({});
+        });
+
+        it('stores photos privately until the review is approved', async () => {
+            const product = await createProduct();
+            const review = await reviews.create(product._id, await shopper(), { rating: 5 }, [photo('a.jpg')]);
+
+            expect(uploads.storeFile).toHaveBeenCalledWith(expect.anything(), 'reviews', { isPublic: false });
+            expect(review.photos[0].key).toBe('reviews/a.jpg');
+
+            await approve(product, review);
+            expect(uploads.setPublic).toHaveBeenCalledWith('reviews/a.jpg', true);
+        });
+
+        it('deletes uploaded photos when the review cannot be saved', async () => {
+            const product = await createProduct();
+            jest.spyOn(Product, 'updateOne').mockRejectedValueOnce(new Error('write failed'));
+
+            await expect(reviews.create(product._id, await shopper(), { rating: 5 }, [photo('a.jpg'), photo('b.jpg')]))
+                .rejects.toThrow('write failed');
+            expect(uploads.deleteFromS3.mock.calls).toEqual([['reviews/a.jpg'], ['reviews/b.jpg']]);
+        });
+
+        it('deletes removed photos and hides kept ones until re-approved', async () => {
+            const product = await createProduct();
+            const user = await shopper();
+            const review = await reviews.create(product._id, user, { rating: 5 }, [photo('a.jpg'), photo('b.jpg')]);
+
+            const edited = await reviews.update(product._id, review._id, user, {
+                rating: 4,
+                removePhotos: [review.photos[0]._id.toString()]
+            }, [photo('c.jpg')]);
+
+            expect(uploads.deleteFromS3.mock.calls).toEqual([['reviews/a.jpg']]);
+            expect(uploads.setPublic).toHaveBeenCalledWith('reviews/b.jpg', false);
+            expect(edited.photos.map(p => p.key)).toEqual(['reviews/b.jpg', 'reviews/c.jpg']);
+        });
+
+        it('deletes the photos of a deleted review', async () => {
+            const product = await createProduct();
+            const user = await shopper();
+            const review = await reviews.create(product._id, user, { rating: 5 }, [photo('a.jpg')]);
+
+            await reviews.remove(product._id, review._id, user);
+
+            expect(uploads.deleteFromS3).toHaveBeenCalledWith('reviews/a.jpg');
+        });
+    });
+});
@@ -0,0 +1,27 @@
+/**
+ * Jest global setup - MongoDB for the database suites
+ *
+ * Set MONGODB_TEST_URI to use an existing server (e.g. the docker-compose
+ * mongodb service). Otherwise an in-memory server is started with
+ * mongodb-memory-server. When neither is available the database suites are
+ * skipped and only the pure unit tests run - unless MONGODB_TEST_REQUIRED is
+ * set (`npm run test:db`), which makes a missing server a failure.
+ */
+
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+module.exports = async () => {
+    if (process.env.MONGODB_TEST_URI) return;
+
+    try {
+        const server = await MongoMemoryServer.create();
+        globalThis.__MONGO_SERVER__ = server;
+        process.env.MONGODB_TEST_URI = server.getUri();
+    } catch (error) {
+        if (process.env.MONGODB_TEST_REQUIRED) {
+            throw new Error(`MONGODB_TEST_REQUIRED is set but no MongoDB is available: ${error.message}`);
+        }
+        console.warn(`\n⚠️  No MongoDB for tests (${error.message}); database suites will be skipped.`);
+        console.warn('   Set MONGODB_TEST_URI to run them against an existing server.\n');
+    }
+};
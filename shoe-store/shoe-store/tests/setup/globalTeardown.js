@@ -0,0 +1,9 @@
+/**
+ * Jest global teardown - Stop the in-memory MongoDB started by globalSetup
+ */
+
+module.exports = async () => {
+    if (globalThis.__MONGO_SERVER__) {
+        await globalThis.__MONGO_SERVER__.stop();
+    }
+};
@@ -0,0 +1,82 @@
+/**
+ * Shipping - Zones, rate tables and carrier registry
+ */
+
+const shipping = require('../src/services/shipping');
+
+const items = (weight, quantity = 1) => [{ weight, quantity }];
+
+describe('shipping.zoneFor', () => {
+    it.each([
+        [{ zipCode: '90210' }, 'local'],
+        [{ zipCode: '60601' }, 'regional'],
+        [{ zipCode: '10001' }, 'national'],
+        [{ zipCode: '99501', state: 'AK' }, 'remote'],
+        [{ country: 'Canada' }, 'international'],
+        [{}, 'national']
+    ])('puts %j in the %s zone', (destination, zone) => {
+        expect(shipping.zoneFor(destination)).toBe(zone);
+    });
+});
+
+describe('shipping.parcelWeight', () => {
+    it('uses the boxed default weight for items without one', () => {
+        expect(shipping.parcelWeight([{ weight: 3, quantity: 2 }, { quantity: 1 }])).toBe(8.5);
+    });
+});
+
+describe('shipping.quote', () => {
+    it('picks the first matching rate row for zone and weight', async () => {
+        const light = await shipping.quote('standard', { items: items(2), subtotal: 50, destination: { zipCode: '10001' } });
+        const heavy = await shipping.quote('standard', { items: items(6, 2), subtotal: 50, destination: { zipCode: '10001' } });
+
+        expect(light).toMatchObject({ code: 'standard', carrier: 'local', zone: 'national', cost: 9.99 });
+        expect(heavy.cost).toBe(14.99);
+    });
+
+    it('is free over the method threshold or with a free-shipping promotion', async () => {
+        const destination = { zipCode: '10001' };
+
+        expect((await shipping.quote('standard', { items: items(2), subtotal: 100, destination })).cost).toBe(0);
+        expect((await shipping.quote('standard', { items: items(2), subtotal: 20, destination, freeShipping: true })).cost)
+            .toBe(0);
+        // Express has no threshold and ignores free-shipping promotions
+        expect((await shipping.quote('express', { items: items(2), subtotal: 500, destination, freeShipping: true })).cost)
+            .toBe(19.99);
+    });
+
+    it('returns null for unknown methods and destinations a method does not serve', async () => {
+        const params = { items: items(2), subtotal: 50, destination: { country: 'Canada' } };
+
+        await expect(shipping.quote('teleport', params)).resolves.toBeNull();
+        await expect(shipping.quote('overnight', params)).resolves.toBeNull();
+    });
+
+    it('estimates delivery in business days', async () => {
+        const rate = await shipping.quote('overnight', { items: items(2), subtotal: 50, destination: { zipCode: '90001' } });
+        const { earliest } = rate.estimatedDelivery;
+
+        expect([0, 6]).not.toContain(earliest.getDay());
+        expect(earliest.getTime()).toBeGreaterThan(Date.now());
+    });
+});
+
+describe('shipping.getRates', () => {
+    it('lists only the methods that serve the destination', async () => {
+        const rates = await shipping.getRates({ items: items(2), subtotal: 50, destination: { country: 'Canada' } });
+        expect(rates.map(rate => rate.code)).toEqual(['standard', 'express']);
+    });
+
+    it('quotes through the registered carrier adapter', async () => {
+        const quote = jest.fn().mockResolvedValue({ cost: 12.499, deliveryDays: { min: 3, max: 4 } });
+        shipping.registerCarrier({ name: 'local', quote });
+
+        try {
+            const rate = await shipping.quote('express', { items: items(2), subtotal: 50, destination: { zipCode: '10001' } });
+            expect(quote).toHaveBeenCalledWith(expect.objectContaining({ zone: 'national', weight: 2 }));
+            expect(rate.cost).toBe(12.5);
+        } finally {
+            shipping.registerCarrier(require('../src/services/shipping/carriers/local'));
+        }
+    });
+});
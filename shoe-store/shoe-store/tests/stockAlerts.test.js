@@ -0,0 +1,84 @@
+/**
+ * Stock alerts - Subscriptions and when they fire
+ */
+
+const { Product, StockAlert } = require('../src/models');
+const stockAlerts = require('../src/services/stockAlerts');
+const notifier = require('../src/services/notifier');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+const { createProduct } = require('./helpers/factories');
+
+const subscribe = (product, overrides = {}) => stockAlerts.subscribe({
+    type: 'back_in_stock',
+    productId: product._id,
+    size: 10,
+    contact: 'shopper@example.com',
+    ...overrides
+});
+
+describeWithDb('stock alerts', () => {
+    beforeAll(connect);
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await clear();
+    });
+    afterAll(disconnect);
+
+    const twoColors = () => createProduct({
+        colors: [{ name: 'Black' }, { name: 'Triple White' }],
+        variants: [
+            { size: 10, color: 'Black', stock: 4 },
+            { size: 10, color: 'Triple White', stock: 0 }
+        ]
+    });
+
+    it('matches colors case-insensitively and stores the product spelling', async () => {
+        const product = await twoColors();
+
+        await expect(subscribe(product, { color: 'black' })).rejects.toThrow('Selected size is in stock');
+
+        const alert = await subscribe(product, { color: 'TRIPLE white' });
+        expect(alert.color).toBe('Triple White');
+    });
+
+    it('rejects colors the product does not come in', async () => {
+        const product = await twoColors();
+        await expect(subscribe(product, { color: 'Red' })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('fires once the variant comes back, whatever case the alert was saved in', async () => {
+        const product = await twoColors();
+        await StockAlert.create({
+            type: 'back_in_stock',
+            product: product._id,
+            size: 10,
+            color: 'triple white',
+            contact: 'legacy@example.com'
+        });
+        await subscribe(product, { color: 'Triple White' });
+        const send = jest.spyOn(notifier, 'send').mockResolvedValue({ success: true });
+
+        const before = stockAlerts.snapshot(product);
+        product.variants[1].stock = 3;
+        await product.save();
+
+        await expect(stockAlerts.notifyChanges(before, product)).resolves.toBe(2);
+        expect(send).toHaveBeenCalledWith('email', expect.objectContaining({
+            subject: `${product.name} is back in stock`
+        }));
+        expect(await StockAlert.countDocuments()).toBe(0);
+    });
+
+    it('keeps alerts for other colors waiting', async () => {
+        const product = await twoColors();
+        await subscribe(product, { color: 'Triple White' });
+        jest.spyOn(notifier, 'send').mockResolvedValue({ success: true });
+
+        const before = stockAlerts.snapshot(product);
+        await Product.updateOne({ _id: product._id }, { $set: { 'variants.0.stock': 9 } });
+        const updated = await Product.findById(product._id);
+
+        await expect(stockAlerts.notifyChanges(before, updated)).resolves.toBe(0);
+        expect(await StockAlert.countDocuments()).toBe(1);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Stock holds under concurrency - Shoppers racing to hold the last units
+ *
+ * With cart holds on, no more units may be held than are in stock, and
+ * checkout must leave units held in other shoppers' carts alone.
+ */
+
+process.env.CART_HOLD_MINUTES = '15';
+
+const request = require('supertest');
+const { Product, StockHold } = require('../src/models');
+const stockHolds = require('../src/services/stockHolds');
+const inventory = require('../src/services/inventory');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+const { createProduct } = require('./helpers/factories');
+const { buildApp } = require('./helpers/app');
+
+const cartLine = (product, quantity = 1) => {
+    const variant = product.variants[0];
+    return {
+        productId: product._id.toString(),
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        quantity
+    };
+};
+
+const orderLine = (product, quantity = 1) => {
+    const { productId, ...line } = cartLine(product, quantity);
+    return { ...line, product: productId, name: product.name };
+};
+
+const totalHeld = async () => (await StockHold.find()).reduce((sum, hold) => sum + hold.quantity, 0);
+
+describeWithDb('stock holds under concurrency', () => {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+
+    it('never holds more units than are in stock', async () => {
+        const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 3 }] });
+        const line = cartLine(product);
+
+        const results = await Promise.allSettled(
+            Array.from({ length: 15 }, (_, i) => stockHolds.placeHold(`session-${i}`, line))
+        );
+
+        // Racing shoppers may all be refused, but never over-held
+        const held = results.filter(r => r.status === 'fulfilled');
+        expect(held.length).toBeLessThanOrEqual(3);
+        results.filter(r => r.status === 'rejected').forEach(r => expect(r.reason.statusCode).toBe(409));
+        expect(await totalHeld()).toBe(held.length);
+
+        // Retrying one at a time fills exactly the stock
+        for (let i = 0; i < 15; i++) {
+            await stockHolds.placeHold(`session-${i}`, line).catch(() => null);
+        }
+        expect(await totalHeld()).toBe(3);
+    });
+
+    it('refuses to raise a hold past the stock left by other carts', async () => {
+        const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 3 }] });
+        await stockHolds.placeHold('first', cartLine(product, 2));
+
+        await expect(stockHolds.placeHold('second', cartLine(product, 2)))
+            .rejects.toMatchObject({ statusCode: 409, message: expect.stringMatching(/Only 1/) });
+        expect(await StockHold.countDocuments({ sessionId: 'second' })).toBe(0);
+
+        // An existing hold that can't grow is kept at its old quantity
+        await stockHolds.placeHold('second', cartLine(product, 1));
+        await expect(stockHolds.placeHold('second', cartLine(product, 2))).rejects.toMatchObject({ statusCode: 409 });
+        expect((await StockHold.findOne({ sessionId: 'second' })).quantity).toBe(1);
+    });
+
+    it('does not sell units held in another cart', async () => {
+        const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 2 }] });
+        await stockHolds.placeHold('holder', cartLine(product, 2));
+
+        await expect(inventory.reserveStock([orderLine(product)], { sessionId: 'someone-else' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        await expect(inventory.reserveStock([orderLine(product, 2)], { sessionId: 'holder' }))
+            .resolves.toHaveLength(1);
+
+        const after = await Product.findById(product._id);
+        expect(after.variants[0].stock).toBe(0);
+    });
+
+    it.each([-5, 0, 1.5, 'abc'])('refuses quantity %p before holding anything', async (quantity) => {
+        const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 3 }] });
+        const agent = request.agent(buildApp());
+
+        const added = await agent.post('/api/cart/add')
+            .send({ productId: product._id.toString(), size: 10, color: 'Black', quantity });
+        expect(added.status).toBe(400);
+        expect(await StockHold.countDocuments()).toBe(0);
+    });
+
+    it('refuses a negative quantity when updating a line', async () => {
+        const product = await createProduct({ variants: [{ size: 10, color: 'Black', stock: 3 }] });
+        const agent = request.agent(buildApp());
+        await agent.post('/api/cart/add').send({ productId: product._id.toString(), size: 10, color: 'Black' });
+
+        const updated = await agent.put('/api/cart/update').send({ ...cartLine(product), quantity: -5 });
+
+        expect(updated.status).toBe(400);
+        expect(await totalHeld()).toBe(1);
+    });
+});
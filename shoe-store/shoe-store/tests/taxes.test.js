@@ -0,0 +1,116 @@
+/**
+ * Taxes - Rule matching and tax calculation
+ */
+
+const { TaxRule } = require('../src/models');
+const taxes = require('../src/services/taxes');
+const { describeWithDb, connect, clear, disconnect } = require('./helpers/db');
+
+const rule = (overrides = {}) => ({
+    name: 'CA State',
+    taxClass: 'standard',
+    rate: 7.25,
+    appliesToShipping: false,
+    ...overrides
+});
+
+const cart = {
+    subtotal: 200,
+    items: [
+        { price: 100, quantity: 1, taxClass: 'standard' },
+        { price: 50, quantity: 2, taxClass: 'reduced' }
+    ]
+};
+
+describe('taxes.computeTax', () => {
+    it('stacks every rule for a class and reports one line per rule', () => {
+        const result = taxes.computeTax(cart, [
+            rule(),
+            rule({ name: 'LA County', rate: 2.25 }),
+            rule({ name: 'Reduced', taxClass: 'reduced', rate: 5 })
+        ]);
+
+        expect(result.lines.map(line => [line.name, line.amount])).toEqual([
+            ['CA State', 7.25],
+            ['LA County', 2.25],
+            ['Reduced', 5]
+        ]);
+        expect(result.tax).toBe(14.5);
+        expect(result.pricesIncludeTax).toBe(false);
+    });
+
+    it('spreads a discount over lines before taxing', () => {
+        const discounted = { ...cart, discount: { amount: 50 } };
+        const result = taxes.computeTax(discounted, [rule({ rate: 10 }), rule({ taxClass: 'reduced', rate: 10 })]);
+
+        // 25% off every line: 75 + 75 taxed at 10%
+        expect(result.tax).toBe(15);
+    });
+
+    it('taxes shipping only for rules that say so', () => {
+        const result = taxes.computeTax(cart, [rule({ rate: 10, appliesToShipping: true })], { shipping: 20 });
+        expect(result.tax).toBe(12);
+    });
+
+    it('treats lines without a class as standard and drops zero lines', () => {
+        const result = taxes.computeTax(
+            { subtotal: 80, items: [{ price: 80, quantity: 1 }] },
+            [rule({ rate: 5 }), rule({ name: 'Luxury', taxClass: 'luxury', rate: 10 })]
+        );
+
+        expect(result.lines).toEqual([{ name: 'CA State', taxClass: 'standard', rate: 5, amount: 4 }]);
+    });
+
+    it('extracts tax from inclusive prices when PRICES_INCLUDE_TAX is set', () => {
+        jest.isolateModules(() => {
+            process.env.PRICES_INCLUDE_TAX = 'true';
+            try {
+                const inclusive = require('../src/services/taxes');
+                const result = inclusive.computeTax(
+                    { subtotal: 120, items: [{ price: 120, quantity: 1 }] },
+                    [rule({ rate: 15 }), rule({ name: 'City', rate: 5 })]
+                );
+
+                // 120 includes 20% combined: 15/120 and 5/120 of the price
+                expect(result.lines.map(line => line.amount)).toEqual([15, 5]);
+                expect(result.pricesIncludeTax).toBe(true);
+            } finally {
+                delete process.env.PRICES_INCLUDE_TAX;
+            }
+        });
+    });
+});
+
+describe('taxes.normalizeCountry', () => {
+    it('maps common spellings of the United States to USA', () => {
+        expect(taxes.normalizeCountry('us')).toBe('USA');
+        expect(taxes.normalizeCountry(' United States ')).toBe('USA');
+        expect(taxes.normalizeCountry(undefined)).toBe('USA');
+        expect(taxes.normalizeCountry('ca')).toBe('CA');
+    });
+});
+
+describeWithDb('taxes.findRules', () => {
+    beforeAll(connect);
+    afterEach(clear);
+    afterAll(disconnect);
+
+    it('matches country, state and zip prefix rules for the address', async () => {
+        await TaxRule.create([
+            rule({ name: 'Federal', state: '' }),
+            rule({ name: 'California', state: 'CA' }),
+            rule({ name: 'Los Angeles', state: 'CA', zipPrefix: '900' }),
+            rule({ name: 'San Diego', state: 'CA', zipPrefix: '921' }),
+            rule({ name: 'Texas', state: 'TX' }),
+            rule({ name: 'Retired', state: 'CA', isActive: false })
+        ]);
+
+        const rules = await taxes.findRules({ state: 'ca', zipCode: '90012', country: 'US' });
+
+        expect(rules.map(r => r.name).sort()).toEqual(['California', 'Federal', 'Los Angeles']);
+    });
+
+    it('returns no rules for an empty address', async () => {
+        await expect(taxes.findRules({})).resolves.toEqual([]);
+    });
+});
@@ -0,0 +1,21 @@
+/**
+ * Wishlist - Malformed product ids are a missing product, not a server error
+ */
+
+const request = require('supertest');
+const { buildApp } = require('./helpers/app');
+
+describe('wishlist product ids', () => {
+    const app = buildApp();
+
+    it.each([
+        ['post', '/api/wishlist/add', {}],
+        ['delete', '/api/wishlist/remove', {}],
+        ['post', '/api/wishlist/move-to-cart', { size: 10 }]
+    ])('%s %s answers 404 for an id that is not an ObjectId', async (method, url, body) => {
+        const res = await request(app)[method](url).send({ productId: 'not-an-id', ...body });
+
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({ success: false, message: 'Product not found' });
+    });
+});